@@ -0,0 +1,224 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/*
+ * Props schema validation for <Component src="..." /> (vite-plugin-html-inject)
+ *
+ * - A component's props are the {=$name} placeholders it contains
+ * - Placeholders named "class" or "*-class" are optional modifiers, every other one is required
+ * - A component can declare its schema instead with a comment, "?" marks optional props:
+ *     <!-- @props cta-heading, description, class?, badge-class? -->
+ * - The build fails (file:line) when a <Component> omits a required prop, passes an unknown one
+ *   or points to a missing file, and when a declaring component uses an undeclared placeholder
+ * - Optional props a page leaves out render empty instead of as a literal {=$name}, any other
+ *   leftover placeholder stays visible
+ */
+
+// Configuration
+const PROPS_CONFIG = {
+  rootDir: __dirname,
+  componentsDir: path.join(__dirname, 'src/components'),
+  tagName: 'Component',
+  sourceAttribute: 'src',
+  optionalPattern: /^(?:class|.+-class)$/,
+};
+
+const PLACEHOLDER_PATTERN = /{=\$([a-z0-9_-]+)}/gi;
+const DECLARATION_PATTERN = /<!--\s*@props\b([\s\S]*?)-->/;
+const ATTRIBUTE_PATTERN = /([a-z0-9_-]+)="([^"]*)"/gi;
+
+const relative = (filePath) => path.relative(PROPS_CONFIG.rootDir, filePath);
+
+const lineOf = (content, index) => content.slice(0, index).split('\n').length;
+
+const columnOf = (content, index) => index - content.lastIndexOf('\n', index - 1);
+
+const locationOf = (filePath, content, index) =>
+  `${relative(filePath)}:${lineOf(content, index)}:${columnOf(content, index)}`;
+
+function findFiles(dir, extension) {
+  const files = [];
+
+  for (const item of fs.readdirSync(dir)) {
+    const fullPath = path.join(dir, item);
+    if (fs.statSync(fullPath).isDirectory()) {
+      files.push(...findFiles(fullPath, extension));
+    } else if (item.endsWith(extension)) {
+      files.push(fullPath);
+    }
+  }
+
+  return files;
+}
+
+// Same resolution rules as vite-plugin-html-inject: "./x.htm" is relative to the including file,
+// anything else to the project root; folders resolve to their index.html / index.htm
+function resolveComponent(src, fromFile) {
+  const base = src.startsWith('.') ? path.dirname(fromFile) : PROPS_CONFIG.rootDir;
+  const target = path.join(base, src);
+
+  if (target.endsWith('.htm') || target.endsWith('.html')) return target;
+  return ['index.html', 'index.htm']
+    .map((file) => path.join(target, file))
+    .find((file) => fs.existsSync(file));
+}
+
+/**
+ * Props schema of a component file: declared with <!-- @props ... --> or inferred from placeholders
+ */
+function getSchema(filePath, cache) {
+  if (cache.has(filePath)) return cache.get(filePath);
+
+  const content = fs.readFileSync(filePath, 'utf8');
+  const declaration = content.match(DECLARATION_PATTERN);
+  const schema = { required: new Set(), optional: new Set() };
+
+  if (declaration) {
+    declaration[1]
+      .split(/[\s,]+/)
+      .filter(Boolean)
+      .forEach((prop) => {
+        if (prop.endsWith('?')) schema.optional.add(prop.slice(0, -1));
+        else schema.required.add(prop);
+      });
+  } else {
+    for (const [, name] of content.matchAll(PLACEHOLDER_PATTERN)) {
+      if (PROPS_CONFIG.optionalPattern.test(name)) schema.optional.add(name);
+      else schema.required.add(name);
+    }
+  }
+
+  cache.set(filePath, schema);
+  return schema;
+}
+
+/**
+ * Placeholders of a component with an @props declaration that the declaration leaves out
+ * (a typo or a renamed prop would otherwise never be filled)
+ */
+function validateDeclaration(filePath, cache) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  if (!DECLARATION_PATTERN.test(content)) return [];
+
+  const { required, optional } = getSchema(filePath, cache);
+  return [...content.matchAll(PLACEHOLDER_PATTERN)]
+    .filter(([, name]) => !required.has(name) && !optional.has(name))
+    .map((match) => {
+      const location = locationOf(filePath, content, match.index);
+      return `${location} placeholder "${match[0]}" is not declared in @props`;
+    });
+}
+
+/**
+ * Validate every <Component> tag of one page or component file
+ */
+function validateFile(filePath, cache) {
+  // Commented-out components are never rendered
+  const content = fs
+    .readFileSync(filePath, 'utf8')
+    .replace(/<!--[\s\S]*?-->/g, (comment) => comment.replace(/[^\n]/g, ' '));
+  const tagPattern = new RegExp(`<${PROPS_CONFIG.tagName}\\b([^>]*?)\\/?>`, 'g');
+  const errors = [];
+
+  for (const match of content.matchAll(tagPattern)) {
+    const location = locationOf(filePath, content, match.index);
+    const props = new Map(
+      [...match[1].matchAll(ATTRIBUTE_PATTERN)].map(([, name, value]) => [name, value])
+    );
+    const src = props.get(PROPS_CONFIG.sourceAttribute);
+    props.delete(PROPS_CONFIG.sourceAttribute);
+
+    if (!src) {
+      errors.push(`${location} <${PROPS_CONFIG.tagName}> is missing its src attribute`);
+      continue;
+    }
+
+    const componentPath = resolveComponent(src, filePath);
+    if (!componentPath || !fs.existsSync(componentPath)) {
+      errors.push(`${location} component "${src}" does not exist`);
+      continue;
+    }
+
+    const { required, optional } = getSchema(componentPath, cache);
+
+    for (const name of required) {
+      if (!props.has(name)) {
+        errors.push(`${location} "${src}" is missing required prop "${name}"`);
+      }
+    }
+    for (const name of props.keys()) {
+      if (!required.has(name) && !optional.has(name)) {
+        const known = [...required, ...optional].join(', ') || 'none';
+        errors.push(`${location} "${src}" has no prop "${name}" (props: ${known})`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate the root pages and every component under src/components
+ *
+ * @param {Map} [cache] - Filled with the props schema of every component, keyed by file path
+ */
+function validateComponents(cache = new Map()) {
+  const components = findFiles(PROPS_CONFIG.componentsDir, '.htm');
+  const files = [
+    ...fs
+      .readdirSync(PROPS_CONFIG.rootDir)
+      .filter((file) => file.endsWith('.html'))
+      .map((file) => path.join(PROPS_CONFIG.rootDir, file)),
+    ...components,
+  ];
+
+  return [
+    ...components.flatMap((filePath) => validateDeclaration(filePath, cache)),
+    ...files.flatMap((filePath) => validateFile(filePath, cache)),
+  ];
+}
+
+/**
+ * Vite plugin: fail the build on invalid <Component> props, warn in dev on every HTML change
+ */
+const componentProps = () => {
+  // Props some component marks optional, refreshed on every validation
+  let optionalProps = new Set();
+
+  const validate = () => {
+    const schemas = new Map();
+    const errors = validateComponents(schemas);
+    optionalProps = new Set([...schemas.values()].flatMap(({ optional }) => [...optional]));
+    return errors;
+  };
+
+  return {
+    name: 'component-props',
+    // Runs after vite-plugin-html-inject: unfilled optional placeholders render empty, anything
+    // else left over is a bug and stays visible
+    transformIndexHtml: {
+      order: 'post',
+      handler(html) {
+        return html.replace(PLACEHOLDER_PATTERN, (placeholder, name) =>
+          optionalProps.has(name) ? '' : placeholder
+        );
+      },
+    },
+    buildStart() {
+      const errors = validate();
+      if (errors.length > 0) {
+        this.error(`Invalid <${PROPS_CONFIG.tagName}> props:\n  ${errors.join('\n  ')}`);
+      }
+    },
+    handleHotUpdate({ file }) {
+      if (!file.endsWith('.htm') && !file.endsWith('.html')) return;
+      validate().forEach((error) => console.warn(`⚠️ ${error}`));
+    },
+  };
+};
+
+export { componentProps, validateComponents, PROPS_CONFIG };
@@ -0,0 +1,258 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadTranslations } from './i18n-prerender.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/*
+ * Translation coverage linter
+ *
+ * Usage: node i18n-lint.js [--threshold=95] [--json] [--verbose]
+ *
+ * - Collects every key used by data-i18n, data-i18n-html, data-i18n-placeholder and
+ *   data-i18n-title in the root *.html pages, src/components/**\/*.htm and the JS modules,
+ *   plus keys passed to t() / getTranslation()
+ * - Reports keys missing from and unused in each locale of src/translations/
+ * - Checks that every page declares (data-i18n-namespaces) the namespaces its markup uses
+ * - Exits with code 1 when any locale's coverage of the used keys drops below the threshold
+ *   or a page is missing a namespace
+ */
+
+// Configuration
+const LINT_CONFIG = {
+  rootDir: __dirname,
+  componentsDir: path.join(__dirname, 'src/components'),
+  scriptsDir: path.join(__dirname, 'src'),
+  referenceLanguage: 'en',
+  // Minimum % of used keys every locale must translate (overridable with --threshold or env)
+  threshold: Number(process.env.I18N_COVERAGE_THRESHOLD ?? 100),
+  // Namespaces I18n always loads (keep in sync with I18n.defaultNamespaces in src/i18n.js)
+  defaultNamespaces: ['meta', 'header', 'footer'],
+  // Keys built dynamically in JS (e.g. `${i18nKey}.label`), never reported as unused
+  ignoreUnused: [
+    'deeptech.simulation.*.label',
+    'deeptech.simulation.sweep.*',
+    'banking.graph.story.*',
+    'banking.graph.analytics.*',
+    'banking.graph.a11y.*',
+  ],
+};
+
+const ATTRIBUTE_PATTERN = /data-i18n(?:-html|-placeholder|-title)?\s*=\s*(["'])([^"']+)\1/g;
+const CALL_PATTERN = /(?:\bt|\bgetTranslation)\(\s*(["'`])([\w.-]+)\1/g;
+const STRING_PATTERN = /(["'`])([\w-]+(?:\.[\w-]+)+)\1/g;
+
+// -------------------- FILE HELPERS --------------------
+function findFiles(dir, extension) {
+  const files = [];
+
+  for (const item of fs.readdirSync(dir)) {
+    const fullPath = path.join(dir, item);
+    if (fs.statSync(fullPath).isDirectory()) {
+      files.push(...findFiles(fullPath, extension));
+    } else if (item.endsWith(extension)) {
+      files.push(fullPath);
+    }
+  }
+
+  return files;
+}
+
+// Flatten nested translation objects into dotted keys
+function flattenKeys(object, prefix = '') {
+  return Object.entries(object).flatMap(([key, value]) =>
+    value && typeof value === 'object'
+      ? flattenKeys(value, `${prefix}${key}.`)
+      : [`${prefix}${key}`]
+  );
+}
+
+const lineOf = (content, index) => content.slice(0, index).split('\n').length;
+
+const relative = (filePath) => path.relative(LINT_CONFIG.rootDir, filePath);
+
+const matchesPattern = (key, pattern) =>
+  new RegExp(`^${pattern.replace(/\./g, '\\.').replace(/\*/g, '[^.]+')}$`).test(key);
+
+// -------------------- COLLECTION --------------------
+// Regional locales (pt-PT/) are checked with the keys inherited from their base language
+function loadLocales() {
+  const { translations } = loadTranslations();
+  return Object.fromEntries(
+    Object.entries(translations).map(([language, content]) => [
+      language,
+      new Set(flattenKeys(content)),
+    ])
+  );
+}
+
+// Map of used key -> list of "file:line" locations
+function collectUsedKeys(knownKeys) {
+  const used = new Map();
+
+  const addKey = (key, filePath, content, index) => {
+    // Skip component props such as data-i18n="{=$key}"
+    if (/[{}$]/.test(key)) return;
+    if (!used.has(key)) used.set(key, []);
+    used.get(key).push(`${relative(filePath)}:${lineOf(content, index)}`);
+  };
+
+  const markupFiles = [
+    ...fs
+      .readdirSync(LINT_CONFIG.rootDir)
+      .filter((file) => file.endsWith('.html'))
+      .map((file) => path.join(LINT_CONFIG.rootDir, file)),
+    ...findFiles(LINT_CONFIG.componentsDir, '.htm'),
+  ];
+
+  for (const filePath of markupFiles) {
+    // Commented-out markup does not count as usage
+    const content = fs
+      .readFileSync(filePath, 'utf8')
+      .replace(/<!--[\s\S]*?-->/g, (comment) => comment.replace(/[^\n]/g, ' '));
+
+    for (const match of content.matchAll(ATTRIBUTE_PATTERN)) {
+      addKey(match[2], filePath, content, match.index);
+    }
+  }
+
+  for (const filePath of findFiles(LINT_CONFIG.scriptsDir, '.js')) {
+    const content = fs.readFileSync(filePath, 'utf8');
+
+    for (const match of content.matchAll(ATTRIBUTE_PATTERN)) {
+      addKey(match[2], filePath, content, match.index);
+    }
+    for (const match of content.matchAll(CALL_PATTERN)) {
+      addKey(match[2], filePath, content, match.index);
+    }
+    // Keys stored in variables or fallback maps, e.g. const descKey = 'meta.description'
+    for (const match of content.matchAll(STRING_PATTERN)) {
+      if (knownKeys.has(match[2])) addKey(match[2], filePath, content, match.index);
+    }
+  }
+
+  return used;
+}
+
+// Namespaces used by a page's markup, following its <Component src> includes
+function collectPageNamespaces(filePath, seen = new Set()) {
+  const content = fs.readFileSync(filePath, 'utf8').replace(/<!--[\s\S]*?-->/g, '');
+  const namespaces = new Set();
+
+  for (const match of content.matchAll(ATTRIBUTE_PATTERN)) {
+    if (!/[{}$]/.test(match[2])) namespaces.add(match[2].split('.')[0]);
+  }
+
+  for (const [, src] of content.matchAll(/<Component\s+src="([^"]+)"/g)) {
+    const componentPath = src.startsWith('.')
+      ? path.resolve(path.dirname(filePath), src)
+      : path.join(LINT_CONFIG.rootDir, src);
+    if (seen.has(componentPath) || !fs.existsSync(componentPath)) continue;
+
+    seen.add(componentPath);
+    collectPageNamespaces(componentPath, seen).forEach((namespace) => namespaces.add(namespace));
+  }
+
+  return namespaces;
+}
+
+// Pages whose markup uses a namespace they don't declare on <html data-i18n-namespaces>
+function checkPageNamespaces() {
+  const pages = fs.readdirSync(LINT_CONFIG.rootDir).filter((file) => file.endsWith('.html'));
+
+  return pages.flatMap((page) => {
+    const filePath = path.join(LINT_CONFIG.rootDir, page);
+    const htmlTag = fs.readFileSync(filePath, 'utf8').match(/<html\b[^>]*>/i)?.[0] || '';
+    const declared = new Set([
+      ...LINT_CONFIG.defaultNamespaces,
+      ...(htmlTag.match(/data-i18n-namespaces="([^"]*)"/)?.[1].split(/[\s,]+/) || []),
+    ]);
+
+    return [...collectPageNamespaces(filePath)]
+      .filter((namespace) => !declared.has(namespace))
+      .map((namespace) => ({ page, namespace }));
+  });
+}
+
+// -------------------- REPORT --------------------
+function buildReport(locales, used) {
+  const usedKeys = [...used.keys()];
+
+  return Object.entries(locales).map(([language, keys]) => {
+    const missing = usedKeys.filter((key) => !keys.has(key)).sort();
+    const unused = [...keys]
+      .filter((key) => !used.has(key))
+      .filter((key) => !LINT_CONFIG.ignoreUnused.some((pattern) => matchesPattern(key, pattern)))
+      .sort();
+    const reference = locales[LINT_CONFIG.referenceLanguage] || new Set();
+    const untranslated = [...reference].filter((key) => !keys.has(key)).sort();
+    const coverage = usedKeys.length
+      ? ((usedKeys.length - missing.length) / usedKeys.length) * 100
+      : 100;
+
+    return { language, coverage, missing, unused, untranslated };
+  });
+}
+
+function printReport(report, used, threshold, verbose) {
+  console.log(`\n🌐 Translation coverage (${used.size} keys used, threshold ${threshold}%)\n`);
+
+  for (const { language, coverage, missing, unused, untranslated } of report) {
+    const status = coverage >= threshold ? '✅' : '❌';
+    console.log(
+      `${status} ${language.padEnd(6)} ${coverage.toFixed(1).padStart(5)}%  ` +
+        `missing: ${missing.length}  unused: ${unused.length}  ` +
+        `behind ${LINT_CONFIG.referenceLanguage}: ${untranslated.length}`
+    );
+
+    missing.forEach((key) => console.log(`     missing  ${key}  (${used.get(key)[0]})`));
+    if (verbose) {
+      untranslated.forEach((key) => console.log(`     drift    ${key}`));
+      unused.forEach((key) => console.log(`     unused   ${key}`));
+    }
+  }
+
+  console.log('');
+}
+
+// -------------------- RUN --------------------
+function run() {
+  const args = process.argv.slice(2);
+  const thresholdArg = args.find((arg) => arg.startsWith('--threshold='));
+  const threshold = thresholdArg ? Number(thresholdArg.split('=')[1]) : LINT_CONFIG.threshold;
+
+  const locales = loadLocales();
+  const knownKeys = new Set(Object.values(locales).flatMap((keys) => [...keys]));
+  const used = collectUsedKeys(knownKeys);
+  const report = buildReport(locales, used);
+  const undeclared = checkPageNamespaces();
+
+  if (args.includes('--json')) {
+    console.log(
+      JSON.stringify({ threshold, usedKeys: used.size, locales: report, undeclared }, null, 2)
+    );
+  } else {
+    printReport(report, used, threshold, args.includes('--verbose'));
+  }
+
+  undeclared.forEach(({ page, namespace }) =>
+    console.error(
+      `❌ ${page} uses "${namespace}" keys but does not list it in data-i18n-namespaces`
+    )
+  );
+
+  const failing = report.filter(({ coverage }) => coverage < threshold);
+  if (failing.length > 0) {
+    console.error(
+      `Translation coverage below ${threshold}% for: ${failing.map((l) => l.language).join(', ')}`
+    );
+  }
+
+  if (failing.length > 0 || undeclared.length > 0) {
+    process.exit(1);
+  }
+}
+
+run();
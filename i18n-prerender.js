@@ -0,0 +1,347 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { formatMessage } from './src/js/utils/message-format.js';
+import {
+  getBaseLanguage,
+  getTextDirection,
+  isRegionalLocale,
+  mergeTranslations,
+} from './src/js/utils/locales.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Configuration
+const PRERENDER_CONFIG = {
+  siteUrl: 'https://colins.ai',
+  defaultLanguage: 'en',
+  translationsDir: path.resolve(__dirname, 'src/translations'),
+  // Pages that only make sense in the default language
+  exclude: ['404.html'],
+  // og:locale of each language folder (es/ is Latin American Spanish, pt/ Brazilian Portuguese),
+  // regional folders without an entry use their own tag (xx-YY -> xx_YY)
+  ogLocales: {
+    en: 'en_US',
+    es: 'es_LA',
+    de: 'de_DE',
+    fr: 'fr_FR',
+    it: 'it_IT',
+    pt: 'pt_BR',
+  },
+};
+
+// English name of a language for <meta name="language"> ('pt-PT' -> 'European Portuguese')
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+// Read every namespace of src/translations/<lang>/ into one object keyed by namespace
+function readLanguage(language) {
+  const languageDir = path.join(PRERENDER_CONFIG.translationsDir, language);
+  const translations = {};
+
+  for (const file of fs.readdirSync(languageDir)) {
+    if (!file.endsWith('.json')) continue;
+    const namespace = path.basename(file, '.json');
+    translations[namespace] = JSON.parse(fs.readFileSync(path.join(languageDir, file), 'utf8'));
+  }
+
+  return translations;
+}
+
+// Load every src/translations/<lang>/ folder, default language first
+// (regional folders such as pt-PT/ are merged onto their base language)
+function loadTranslations() {
+  const languages = fs
+    .readdirSync(PRERENDER_CONFIG.translationsDir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name)
+    .sort((a, b) =>
+      a === PRERENDER_CONFIG.defaultLanguage ? -1 : b === PRERENDER_CONFIG.defaultLanguage ? 1 : 0
+    );
+
+  const translations = {};
+  languages.forEach((language) => {
+    translations[language] = isRegionalLocale(language)
+      ? mergeTranslations(readLanguage(getBaseLanguage(language)), readLanguage(language))
+      : readLanguage(language);
+  });
+
+  return { languages, translations };
+}
+
+// Same lookup rules as I18n.t(): dotted path, English fallback, ICU params
+function createTranslator(translations, language) {
+  const resolveKey = (key, lang) =>
+    key
+      .split('.')
+      .reduce(
+        (value, k) => (value && typeof value === 'object' ? value[k] : undefined),
+        translations[lang]
+      );
+
+  return (key, params) => {
+    let messageLanguage = language;
+    let value = resolveKey(key, language);
+
+    if (value === undefined && language !== PRERENDER_CONFIG.defaultLanguage) {
+      messageLanguage = PRERENDER_CONFIG.defaultLanguage;
+      value = resolveKey(key, messageLanguage);
+    }
+
+    if (typeof value !== 'string') return null;
+    return params ? formatMessage(value, params, messageLanguage) : value;
+  };
+}
+
+const escapeHtml = (text) =>
+  text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const escapeAttribute = (text) => escapeHtml(text).replace(/"/g, '&quot;');
+
+const decodeAttribute = (text) =>
+  text
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+
+// Read an attribute value from an opening tag string
+function getAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`));
+  if (!match) return null;
+  return decodeAttribute(match[1] ?? match[2]);
+}
+
+// Set (or add) an attribute on an opening tag string
+function setAttribute(tag, name, value) {
+  const escaped = escapeAttribute(value);
+  const pattern = new RegExp(`(\\s${name}\\s*=\\s*)(?:"[^"]*"|'[^']*')`);
+  if (pattern.test(tag)) {
+    return tag.replace(pattern, `$1"${escaped}"`);
+  }
+  return tag.replace(/\s*\/?>$/, (end) => ` ${name}="${escaped}"${end}`);
+}
+
+function getElementArgs(tag) {
+  const args = getAttribute(tag, 'data-i18n-args');
+  if (!args) return undefined;
+
+  try {
+    return JSON.parse(args);
+  } catch (error) {
+    console.warn(`⚠️ Invalid data-i18n-args JSON: ${args}`);
+    return undefined;
+  }
+}
+
+// Find the closing tag matching an opening tag that ends at `from` (same-name tags may nest)
+function findClosingTag(html, tagName, from) {
+  const tagPattern = new RegExp(`<(/?)${tagName}\\b[^>]*>`, 'gi');
+  tagPattern.lastIndex = from;
+  let depth = 1;
+  let match;
+
+  while ((match = tagPattern.exec(html))) {
+    depth += match[1] ? -1 : 1;
+    if (depth === 0) {
+      return { start: match.index, end: tagPattern.lastIndex };
+    }
+  }
+  return null;
+}
+
+// Resolve data-i18n, data-i18n-html, data-i18n-placeholder and data-i18n-title attributes
+function translateElements(html, t) {
+  const openingTag =
+    /<([a-zA-Z][\w-]*)(\s[^>]*?\bdata-i18n(?:-html|-placeholder|-title)?\s*=[^>]*)>/g;
+  let output = '';
+  let cursor = 0;
+  let match;
+
+  while ((match = openingTag.exec(html))) {
+    const tagName = match[1].toLowerCase();
+    const args = getElementArgs(match[0]);
+    let tag = match[0];
+
+    const placeholderKey = getAttribute(tag, 'data-i18n-placeholder');
+    const titleKey = getAttribute(tag, 'data-i18n-title');
+    const textKey = getAttribute(tag, 'data-i18n');
+    const htmlKey = getAttribute(tag, 'data-i18n-html');
+
+    if (placeholderKey && t(placeholderKey, args) !== null) {
+      tag = setAttribute(tag, 'placeholder', t(placeholderKey, args));
+    }
+    if (titleKey && t(titleKey, args) !== null) {
+      tag = setAttribute(tag, 'title', t(titleKey, args));
+    }
+
+    // Inputs and textareas translate their placeholder, like I18n.updatePageTranslations()
+    const isFormField = tagName === 'input' || tagName === 'textarea';
+    if (textKey && isFormField && t(textKey, args) !== null) {
+      tag = setAttribute(tag, 'placeholder', t(textKey, args));
+    }
+
+    output += html.slice(cursor, match.index) + tag;
+    cursor = openingTag.lastIndex;
+
+    const contentKey = htmlKey || (isFormField ? null : textKey);
+    const translation = contentKey ? t(contentKey, args) : null;
+    if (translation === null || tagName === 'input') continue;
+
+    const closing = findClosingTag(html, tagName, openingTag.lastIndex);
+    if (!closing) continue;
+
+    output += htmlKey ? translation : escapeHtml(translation);
+    output += html.slice(closing.start, closing.end);
+    cursor = closing.end;
+    openingTag.lastIndex = closing.end;
+  }
+
+  return output + html.slice(cursor);
+}
+
+// Public URL of a page for a language (cleanUrls: no .html, index maps to the folder)
+function getPageUrl(fileName, language) {
+  return `${PRERENDER_CONFIG.siteUrl}${getPagePath(fileName, language)}`;
+}
+
+// Root-absolute path of a page for a language ('banking.html', 'de' -> '/de/banking')
+function getPagePath(fileName, language) {
+  const page = fileName.replace(/\.html$/, '').replace(/(^|\/)index$/, '');
+  const segments = [language === PRERENDER_CONFIG.defaultLanguage ? null : language, page || null];
+  return `/${segments.filter(Boolean).join('/')}`;
+}
+
+// Set the content of <meta name|property="..."> tags
+function setMetaContent(html, names, content) {
+  return names.reduce(
+    (result, name) =>
+      result.replace(new RegExp(`<meta\\s+(?:name|property)="${name}"[^>]*>`, 'gi'), (tag) =>
+        setAttribute(tag, 'content', content)
+      ),
+    html
+  );
+}
+
+// <html lang/dir>, language metas, canonical, hreflang alternates, title and description
+// (with their Open Graph and Twitter card copies)
+function updateHead(html, fileName, language, languages, t) {
+  const alternates = languages
+    .map(
+      (lang) => `<link rel="alternate" hreflang="${lang}" href="${getPageUrl(fileName, lang)}" />`
+    )
+    .concat(
+      `<link rel="alternate" hreflang="x-default" href="${getPageUrl(fileName, PRERENDER_CONFIG.defaultLanguage)}" />`
+    )
+    .join('\n    ');
+  const pageUrl = getPageUrl(fileName, language);
+  const canonical = `<link rel="canonical" href="${pageUrl}" />`;
+
+  html = html.replace(/<html\b[^>]*>/i, (tag) =>
+    [
+      ['lang', language],
+      ['dir', getTextDirection(language)],
+      ['data-i18n-prerendered', language],
+    ].reduce((result, [name, value]) => setAttribute(result, name, value), tag)
+  );
+
+  const ogLocale = PRERENDER_CONFIG.ogLocales[language] ?? language.replace('-', '_');
+  html = html.replace(/<meta\s+property="og:locale"[^>]*>/i, (tag) =>
+    setAttribute(tag, 'content', ogLocale)
+  );
+  html = html.replace(/<meta\s+name="language"[^>]*>/i, (tag) =>
+    setAttribute(tag, 'content', languageNames.of(language))
+  );
+
+  html = html.replace(/\s*<link\s+rel="(?:canonical|alternate)"[^>]*>/gi, '');
+  html = html.replace(/<\/head>/i, `  ${canonical}\n    ${alternates}\n  </head>`);
+  html = setMetaContent(html, ['og:url', 'twitter:url'], pageUrl);
+
+  const description = t('meta.description');
+  if (description !== null) {
+    html = setMetaContent(
+      html,
+      ['description', 'og:description', 'twitter:description'],
+      description
+    );
+  }
+
+  const title = t('meta.title');
+  if (title !== null) {
+    html = html.replace(/<title>[\s\S]*?<\/title>/i, `<title>${escapeHtml(title)}</title>`);
+  }
+
+  // Link previews share one site title
+  const ogTitle = t('meta.ogTitle') ?? title;
+  if (ogTitle !== null) {
+    html = setMetaContent(html, ['og:title', 'twitter:title'], ogTitle);
+  }
+
+  return html;
+}
+
+// Localized pages live one folder down: point relative asset URLs back to the root and page
+// links (./banking.html, ./iso9001) to the language's pages, root-absolute because the folder's
+// home page is served without a trailing slash (/de, where ./banking.html means /banking.html)
+function rebaseUrls(html, language) {
+  return html.replace(/\b(src|href)="\.\/([^"#?]*)/g, (match, attribute, assetPath) => {
+    const isAsset = /\.[a-z0-9]+$/i.test(assetPath) && !assetPath.endsWith('.html');
+    return isAsset
+      ? `${attribute}="../${assetPath}`
+      : `${attribute}="${getPagePath(assetPath || 'index.html', language)}`;
+  });
+}
+
+/**
+ * Render one built HTML page in a language
+ */
+function renderPage(html, fileName, language, languages, translations) {
+  const t = createTranslator(translations, language);
+  let output = translateElements(html, t);
+  output = updateHead(output, fileName, language, languages, t);
+
+  if (language !== PRERENDER_CONFIG.defaultLanguage) {
+    output = rebaseUrls(output, language);
+  }
+  return output;
+}
+
+/**
+ * Vite plugin: resolve data-i18n keys at build time and emit /<lang>/<page>.html
+ * for every language in src/translations (the default language stays at the root)
+ */
+const i18nPrerender = () => {
+  return {
+    name: 'i18n-prerender',
+    apply: 'build',
+    enforce: 'post',
+    generateBundle(options, bundle) {
+      const { languages, translations } = loadTranslations();
+      const pages = Object.values(bundle).filter(
+        (chunk) => chunk.type === 'asset' && chunk.fileName.endsWith('.html')
+      );
+
+      for (const page of pages) {
+        if (PRERENDER_CONFIG.exclude.includes(page.fileName)) continue;
+
+        const html = page.source.toString();
+        const { defaultLanguage } = PRERENDER_CONFIG;
+        page.source = renderPage(html, page.fileName, defaultLanguage, languages, translations);
+
+        for (const language of languages) {
+          if (language === defaultLanguage) continue;
+          this.emitFile({
+            type: 'asset',
+            fileName: `${language}/${page.fileName}`,
+            source: renderPage(html, page.fileName, language, languages, translations),
+          });
+        }
+      }
+
+      console.log(`✅ Pre-rendered ${pages.length} pages in ${languages.length} languages`);
+    },
+  };
+};
+
+export { i18nPrerender, loadTranslations, renderPage, PRERENDER_CONFIG };
@@ -0,0 +1,176 @@
+import { gzipSync } from 'zlib';
+import { PAGE_MODULES } from './src/js/page-modules.js';
+
+/*
+ * Per-page JS weight report
+ *
+ * - Shared: the page's entry script (main.[hash].js) and its static imports
+ * - Page modules: the chunks main.js imports on demand, found by matching the selectors registered
+ *   in src/js/page-modules.js against the built HTML
+ * - Pre-rendered language copies load the same modules and are not listed separately
+ */
+
+// Configuration
+const REPORT_CONFIG = {
+  // Pages whose total (gzip) goes over this are flagged with ⚠️
+  budget: 100 * 1024,
+};
+
+const TAG_PATTERN = /<([a-z][\w-]*)\b((?:[^>"']|"[^"]*"|'[^']*')*)>/gi;
+const ATTRIBUTE_PATTERN = /([^\s=/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+const SELECTOR_PART_PATTERN =
+  /#([\w-]+)|\.([\w-]+)|\[([\w-]+)(?:([*^$]?=)"([^"]*)")?\]|^([a-z][\w-]*)/gi;
+
+const formatSize = (bytes) => `${(bytes / 1024).toFixed(1)} kB`;
+
+/**
+ * Tag name and attributes of every element in an HTML document
+ */
+function parseElements(html) {
+  const elements = [];
+
+  for (const [, tag, attributeSource] of html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .matchAll(TAG_PATTERN)) {
+    const attributes = new Map();
+    for (const [, name, double, single, bare] of attributeSource.matchAll(ATTRIBUTE_PATTERN)) {
+      attributes.set(name.toLowerCase(), double ?? single ?? bare ?? '');
+    }
+    elements.push({ tag: tag.toLowerCase(), attributes });
+  }
+
+  return elements;
+}
+
+const ATTRIBUTE_OPERATORS = {
+  '=': (value, expected) => value === expected,
+  '^=': (value, expected) => value.startsWith(expected),
+  '$=': (value, expected) => value.endsWith(expected),
+  '*=': (value, expected) => value.includes(expected),
+};
+
+/**
+ * Match one compound selector (tag#id.class[attr^="value"]) against a parsed element
+ */
+function matchesCompound(element, compound) {
+  for (const [, id, className, attribute, operator, expected, tag] of compound.matchAll(
+    SELECTOR_PART_PATTERN
+  )) {
+    const classes = (element.attributes.get('class') || '').split(/\s+/);
+
+    if (tag && element.tag !== tag.toLowerCase()) return false;
+    if (id && element.attributes.get('id') !== id) return false;
+    if (className && !classes.includes(className)) return false;
+    if (attribute) {
+      const value = element.attributes.get(attribute.toLowerCase());
+      if (value === undefined) return false;
+      if (operator && !ATTRIBUTE_OPERATORS[operator](value, expected)) return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Whether a selector list matches the page
+ * Descendant selectors match when each of their parts matches some element
+ */
+function matchesPage(elements, selectorList) {
+  return selectorList.split(',').some((selector) =>
+    selector
+      .trim()
+      .split(/\s+/)
+      .every((compound) => elements.some((element) => matchesCompound(element, compound)))
+  );
+}
+
+/**
+ * A chunk and every chunk it statically imports
+ */
+function collectChunks(bundle, fileName, seen = new Set()) {
+  const chunk = bundle[fileName];
+  if (!chunk || chunk.type !== 'chunk' || seen.has(fileName)) return seen;
+
+  seen.add(fileName);
+  chunk.imports.forEach((imported) => collectChunks(bundle, imported, seen));
+  return seen;
+}
+
+const measure = (bundle, fileNames) =>
+  [...fileNames].reduce(
+    (total, fileName) => {
+      const code = bundle[fileName].code;
+      total.raw += Buffer.byteLength(code);
+      total.gzip += gzipSync(code).length;
+      return total;
+    },
+    { raw: 0, gzip: 0 }
+  );
+
+/**
+ * Vite plugin: print the JS each page loads once the bundle is written
+ */
+const pageWeightReport = () => {
+  return {
+    name: 'page-weight-report',
+    apply: 'build',
+    writeBundle(options, bundle) {
+      const chunks = Object.values(bundle).filter((file) => file.type === 'chunk');
+      const moduleChunks = new Map(
+        PAGE_MODULES.map(({ module }) => [
+          module,
+          chunks.find((chunk) => chunk.facadeModuleId?.endsWith(`/src/js/${module}.js`)),
+        ])
+      );
+
+      const missing = [...moduleChunks].filter(([, chunk]) => !chunk).map(([module]) => module);
+      if (missing.length > 0) {
+        console.warn(`⚠️ No chunk emitted for page modules: ${missing.join(', ')}`);
+      }
+
+      const pages = Object.values(bundle)
+        .filter((file) => file.type === 'asset' && /^[^/]+\.html$/.test(file.fileName))
+        .sort((a, b) => a.fileName.localeCompare(b.fileName));
+
+      console.log('\n📦 JS per page (raw / gzip):');
+
+      pages.forEach((page) => {
+        const html = String(page.source);
+        const elements = parseElements(html);
+
+        const shared = new Set();
+        for (const [, src] of html.matchAll(/<script[^>]*type="module"[^>]*src="\.?\/?([^"]+)"/g)) {
+          collectChunks(bundle, src, shared);
+        }
+
+        const modules = PAGE_MODULES.filter(
+          ({ module, selector }) => moduleChunks.get(module) && matchesPage(elements, selector)
+        );
+        const lazy = new Set();
+        modules.forEach(({ module }) =>
+          collectChunks(bundle, moduleChunks.get(module).fileName, lazy)
+        );
+        shared.forEach((fileName) => lazy.delete(fileName));
+
+        const sharedSize = measure(bundle, shared);
+        const lazySize = measure(bundle, lazy);
+        const total = { raw: sharedSize.raw + lazySize.raw, gzip: sharedSize.gzip + lazySize.gzip };
+        const icon = total.gzip > REPORT_CONFIG.budget ? '⚠️' : '  ';
+
+        console.log(
+          `${icon} ${page.fileName.padEnd(28)} ` +
+            `shared ${formatSize(sharedSize.raw)} / ${formatSize(sharedSize.gzip)}, ` +
+            `page ${formatSize(lazySize.raw)} / ${formatSize(lazySize.gzip)}, ` +
+            `total ${formatSize(total.raw)} / ${formatSize(total.gzip)}`
+        );
+        if (modules.length > 0) {
+          console.log(`     ${modules.map(({ module }) => module).join(', ')}`);
+        }
+      });
+
+      console.log('');
+    },
+  };
+};
+
+export { pageWeightReport, REPORT_CONFIG };
@@ -24,50 +24,57 @@ function findHtmlFiles(dir) {
   return files;
 }
 
-// Function to rename JavaScript file and update HTML references
-function fixJavaScriptFile() {
-  const assetsDir = path.join(__dirname, 'dist', 'assets');
-
-  // Find the JavaScript file with hash
-  const files = fs.readdirSync(assetsDir);
-  const jsFile = files.find((file) => file.startsWith('main') && file.endsWith('.js'));
-
-  if (jsFile && jsFile !== 'main.js') {
-    const oldPath = path.join(assetsDir, jsFile);
-    const newPath = path.join(assetsDir, 'main.js');
-
-    // Rename the file
-    fs.renameSync(oldPath, newPath);
-    console.log(`Renamed ${jsFile} to main.js`);
-
-    // Update all HTML files to reference main.js and inject script tag
-    const htmlFiles = findHtmlFiles(path.join(__dirname, 'dist'));
-
-    htmlFiles.forEach((filePath) => {
-      let content = fs.readFileSync(filePath, 'utf8');
-
-      // Replace the old filename with main.js
-      content = content.replace(new RegExp(jsFile, 'g'), 'main.js');
-
-      // Inject the main.js script tag if it's missing
-      if (content.includes('<!-- SCRIPT -->') && !content.includes('src="./assets/main.js"')) {
-        content = content.replace('<!-- SCRIPT -->', '<script src="./assets/main.js"></script>');
-      }
-
-      // Add CSS link if it's missing
-      if (!content.includes('href="./assets/main.css"')) {
-        content = content.replace(
-          /(<link\s+href="https:\/\/fonts\.googleapis\.com\/css2[^>]*>\s*)/,
-          '$1<link rel="stylesheet" href="./assets/main.css" />\n'
-        );
-      }
-
-      fs.writeFileSync(filePath, content, 'utf8');
-    });
-  } else {
-    console.log('No JavaScript file found to rename or already named main.js');
+// Hashed main script and stylesheet from Vite's manifest (dist/.vite/manifest.json)
+function readManifest(distDir) {
+  const manifestPath = path.join(distDir, '.vite', 'manifest.json');
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  const files = Object.values(manifest).map((entry) => entry.file);
+
+  return {
+    script: files.find((file) => /^assets\/main\.[\w-]+\.js$/.test(file)),
+    stylesheet: files.find((file) => /^assets\/main\.[\w-]+\.css$/.test(file)),
+  };
+}
+
+// Check every HTML file references the hashed assets (Vite rewrites them, nothing is renamed here)
+function verifyHashedAssets() {
+  const distDir = path.join(__dirname, 'dist');
+  const { script, stylesheet } = readManifest(distDir);
+  const errors = [];
+
+  if (!script || !stylesheet) {
+    console.error('❌ main.[hash].js / main.[hash].css missing from dist/.vite/manifest.json');
+    process.exit(1);
   }
+
+  const htmlFiles = findHtmlFiles(distDir);
+
+  htmlFiles.forEach((filePath) => {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const page = path.relative(distDir, filePath);
+
+    // Pre-rendered language pages (dist/es/*.html) reference assets one folder up
+    const rootPrefix = path.relative(path.dirname(filePath), distDir).split(path.sep).join('/');
+    const prefix = rootPrefix || '.';
+
+    if (!content.includes(`src="${prefix}/${script}"`)) {
+      errors.push(`${page}: missing <script src="${prefix}/${script}">`);
+    }
+    if (!content.includes(`href="${prefix}/${stylesheet}"`)) {
+      errors.push(`${page}: missing <link href="${prefix}/${stylesheet}">`);
+    }
+    if (content.includes('<!-- SCRIPT -->')) {
+      errors.push(`${page}: <!-- SCRIPT --> placeholder was not replaced`);
+    }
+  });
+
+  if (errors.length > 0) {
+    errors.forEach((error) => console.error(`❌ ${error}`));
+    process.exit(1);
+  }
+
+  console.log(`✅ ${htmlFiles.length} pages reference ${script} and ${stylesheet}`);
 }
 
 // Run the script
-fixJavaScriptFile();
+verifyHashedAssets();
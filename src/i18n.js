@@ -1,43 +1,103 @@
-// i18n.js - Internationalization System with Geolocation
+// i18n.js - Internationalization System with privacy-preserving language detection
+
+import { formatMessage, getFormatter } from './js/utils/message-format.js';
+import {
+  DETECTOR_CONFIG,
+  defaultDetectors,
+  hasThirdPartyConsent,
+  runDetector,
+  setThirdPartyConsent,
+} from './js/utils/language-detectors.js';
+import {
+  getBaseLanguage,
+  getTextDirection,
+  isRegionalLocale,
+  lookupLocale,
+  mergeTranslations,
+} from './js/utils/locales.js';
+
+// One lazy, hashed chunk per src/translations/<lang>/<namespace>.json
+// (chunk URLs are content-hashed, so the browser cache reuses them across page navigations)
+const translationLoaders = import.meta.glob('./translations/*/*.json', { import: 'default' });
 
 class I18n {
   constructor() {
     // IMPORTANT: Define supportedLanguages BEFORE calling detectLanguage
-    this.supportedLanguages = ['en', 'es', 'de', 'fr', 'it', 'pt'];
+    // BCP-47 tags; regional variants (translations/xx-YY/) only hold the keys that differ from xx/
+    // es/ is Latin American Spanish and pt/ Brazilian Portuguese
+    this.supportedLanguages = ['en', 'es', 'es-ES', 'de', 'fr', 'it', 'pt', 'pt-PT'];
     this.translations = {};
     this.fallbackLanguage = 'en';
+
+    this.languageNames = {
+      en: 'English',
+      es: 'Español',
+      'es-ES': 'Español (España)',
+      de: 'Deutsch',
+      fr: 'Français',
+      it: 'Italiano',
+      pt: 'Português',
+      'pt-PT': 'Português (Portugal)'
+    };
     
     // Map countries to languages
     this.countryToLanguage = {
       'US': 'en', 'GB': 'en', 'CA': 'en', 'AU': 'en', 'NZ': 'en', 'IE': 'en',
-      'ES': 'es', 'MX': 'es', 'AR': 'es', 'CO': 'es', 'CL': 'es', 'PE': 'es', 'VE': 'es',
+      'ES': 'es-ES', 'MX': 'es', 'AR': 'es', 'CO': 'es', 'CL': 'es', 'PE': 'es', 'VE': 'es',
       'DE': 'de', 'AT': 'de', 'CH': 'de',
       'FR': 'fr', 'BE': 'fr', 'LU': 'fr',
       'IT': 'it',
-      'PT': 'pt', 'BR': 'pt'
+      'PT': 'pt-PT', 'BR': 'pt'
     };
     
     // Will be set after async detection
     this.currentLanguage = null;
     this.detectionComplete = false;
+
+    // Translation namespaces (top-level keys) every page needs; pages add their own with
+    // <html data-i18n-namespaces="banking"> so index.html never downloads the banking strings
+    this.defaultNamespaces = ['meta', 'header', 'footer'];
+    const pageNamespaces = document.documentElement.getAttribute('data-i18n-namespaces') || '';
+    this.namespaces = [
+      ...new Set([...this.defaultNamespaces, ...pageNamespaces.split(/[\s,]+/).filter(Boolean)]),
+    ];
+
+    // Loaded (or loading) namespace bundles keyed by "<lang>/<namespace>"
+    this.namespaceCache = new Map();
+
+    // Ordered detector chain, first supported result wins (see js/utils/language-detectors.js)
+    this.detectors = defaultDetectors();
+
+    // Set by the build (i18n-prerender.js) on <html data-i18n-prerendered="xx">
+    this.prerenderedLanguage = document.documentElement.getAttribute('data-i18n-prerendered');
   }
 
-  // Detect user's country using IP geolocation
-  async detectUserCountry() {
-    try {
-      // Using ipapi.co - free, no API key needed
-      const response = await fetch('https://ipapi.co/json/', {
-        timeout: 3000 // 3 second timeout
-      });
-      
-      if (!response.ok) throw new Error('Geolocation API failed');
-      
-      const data = await response.json();
-      return data.country_code; // Returns 2-letter country code like 'US', 'MX', 'DE'
-    } catch (error) {
-      console.warn('Geolocation detection failed:', error);
-      return null;
+  // Pre-rendered pages already contain their translations, switching means navigating
+  isPrerendered() {
+    return this.isLanguageSupported(this.prerenderedLanguage);
+  }
+
+  // URL of the current page in another language: /banking.html <-> /es/banking.html
+  getLocalizedUrl(language) {
+    const { pathname, search, hash } = window.location;
+    const segments = pathname.split('/');
+    let page = segments.pop();
+
+    // Localized index without a trailing slash (/es)
+    if (page === this.prerenderedLanguage && page !== this.fallbackLanguage) {
+      segments.push(page);
+      page = '';
     }
+
+    // Drop the current language folder, if any
+    if (segments[segments.length - 1] === this.prerenderedLanguage) {
+      segments.pop();
+    }
+    if (language !== this.fallbackLanguage) {
+      segments.push(language);
+    }
+
+    return `${segments.join('/')}/${page}${search}${hash}`;
   }
 
   // Get language from country code
@@ -45,79 +105,188 @@ class I18n {
     return this.countryToLanguage[countryCode] || null;
   }
 
-  // Detect language with priority: saved preference > geolocation > browser > default
-  async detectLanguage() {
-    // Priority 1: Check if user has a saved preference (they've manually selected a language)
-    const savedLanguage = localStorage.getItem('preferredLanguage');
-    if (savedLanguage && this.isLanguageSupported(savedLanguage)) {
-      return savedLanguage;
-    }
+  // Replace the detector chain, call before init() (e.g. to add geoIpDetector())
+  setDetectors(detectors) {
+    this.detectors = detectors;
+  }
 
-    // Priority 2: Check browser language
-    const browserLanguage = navigator.language.split('-')[0];
-    if (this.isLanguageSupported(browserLanguage)) {
-      return browserLanguage;
-    }
+  // Record the visitor's choice about third-party lookups (used by detectors marked thirdParty)
+  setConsent(granted) {
+    setThirdPartyConsent(granted);
+  }
+
+  // Best supported locale for a preference list (e.g. navigator.languages)
+  // pt-PT matches pt-PT, pt-BR and es-419 fall back to pt and es
+  negotiateLanguage(preferences) {
+    return lookupLocale(preferences, this.supportedLanguages);
+  }
 
-    // Priority 3: Use geolocation to detect user's country
-    const countryCode = await this.detectUserCountry();
-    if (countryCode) {
-      const geoLanguage = this.getLanguageFromCountry(countryCode);
-      if (geoLanguage && this.isLanguageSupported(geoLanguage)) {
-        return geoLanguage;
+  // Run the detector chain: URL ?lang= > saved preference > Accept-Language > edge country > default
+  // Detectors that contact a third party are skipped unless consent has been recorded
+  async detectLanguage() {
+    for (const detector of this.detectors) {
+      if (detector.thirdParty && !hasThirdPartyConsent()) continue;
+
+      const language = await runDetector(detector, { i18n: this });
+      if (language && this.isLanguageSupported(language)) {
+        return language;
       }
     }
 
-    // Priority 4: Default to English
-    return 'en';
+    return this.fallbackLanguage;
   }
 
   isLanguageSupported(lang) {
     return this.supportedLanguages.includes(lang);
   }
 
-  // Load translation file for a specific language
-  async loadTranslations(language) {
-    try {
-      // Use dynamic import for Vite to properly handle JSON files
-      const translationModule = await import(`./translations/${language}.json`);
-      const data = translationModule.default;
-      
-      this.translations[language] = data;
-      return data;
-    } catch (error) {
-      console.error(`Error loading translations for ${language}:`, error);
-      console.error(`Make sure ${language}.json exists in src/translations/ directory`);
-      
-      // Load fallback language if primary fails
-      if (language !== this.fallbackLanguage) {
-        return this.loadTranslations(this.fallbackLanguage);
+  // Import one namespace bundle, regional locales merge their overrides onto the base bundle
+  async importNamespace(language, namespace) {
+    const loader = translationLoaders[`./translations/${language}/${namespace}.json`];
+
+    if (isRegionalLocale(language)) {
+      const base = await this.loadNamespace(getBaseLanguage(language), namespace);
+      return loader ? mergeTranslations(base, await loader()) : base;
+    }
+
+    if (!loader) {
+      throw new Error(`Make sure src/translations/${language}/${namespace}.json exists`);
+    }
+    return loader();
+  }
+
+  // Load one namespace bundle, cached so concurrent and repeated requests share one import
+  loadNamespace(language, namespace) {
+    const cacheKey = `${language}/${namespace}`;
+
+    if (!this.namespaceCache.has(cacheKey)) {
+      const request = this.importNamespace(language, namespace).catch((error) => {
+        this.namespaceCache.delete(cacheKey);
+        throw error;
+      });
+      this.namespaceCache.set(cacheKey, request);
+    }
+
+    return this.namespaceCache.get(cacheKey);
+  }
+
+  // Load the page's translation namespaces for a language, in parallel
+  async loadTranslations(language, namespaces = this.namespaces) {
+    const results = await Promise.allSettled(
+      namespaces.map((namespace) => this.loadNamespace(language, namespace))
+    );
+
+    const data = this.translations[language] || {};
+    const failed = [];
+
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        data[namespaces[index]] = result.value;
+      } else {
+        const namespace = namespaces[index];
+        console.error(`Error loading "${namespace}" translations for ${language}:`, result.reason);
+        failed.push(namespace);
       }
-      return {};
+    });
+
+    this.translations[language] = data;
+
+    // Load the fallback language for failed namespaces, t() falls back to it per key
+    if (failed.length > 0 && language !== this.fallbackLanguage) {
+      await this.loadTranslations(this.fallbackLanguage, failed);
+    }
+
+    return data;
+  }
+
+  // Load extra namespaces after init (e.g. a component injected on a page that didn't declare it)
+  async loadNamespaces(namespaces) {
+    const added = namespaces.filter((namespace) => !this.namespaces.includes(namespace));
+    if (added.length === 0) return;
+
+    this.namespaces.push(...added);
+    await this.loadTranslations(this.currentLanguage, added);
+
+    if (!this.isPrerendered()) {
+      this.updatePageTranslations();
     }
   }
 
-  // Get translation for a key
-  t(key, language = this.currentLanguage) {
-    const keys = key.split('.');
+  // Walk a dotted key path in a language's translations (undefined if missing)
+  resolveKey(key, language) {
     let value = this.translations[language];
 
-    for (const k of keys) {
+    for (const k of key.split('.')) {
       if (value && typeof value === 'object') {
         value = value[k];
       } else {
-        // Fallback to English if translation not found
-        if (language !== this.fallbackLanguage) {
-          return this.t(key, this.fallbackLanguage);
-        }
-        console.warn(`Translation not found for key: ${key}`);
-        return key;
+        return undefined;
       }
     }
 
+    return value;
+  }
+
+  // Get translation for a key, formatting ICU placeholders/plurals/selects with params
+  // e.g. t('deeptech.simulation.stateLow', { pressure: 3 })
+  t(key, params, language = this.currentLanguage) {
+    // Backwards compatibility with the old t(key, language) signature
+    if (typeof params === 'string') {
+      language = params;
+      params = undefined;
+    }
+
+    let messageLanguage = language;
+    let value = this.resolveKey(key, language);
+
+    // Fallback to English if translation not found
+    if (value === undefined && language !== this.fallbackLanguage) {
+      messageLanguage = this.fallbackLanguage;
+      value = this.resolveKey(key, this.fallbackLanguage);
+    }
+
+    if (value === undefined) {
+      console.warn(`Translation not found for key: ${key}`);
+      return key;
+    }
+
+    // Plural rules must match the language the message is written in
+    if (params && typeof value === 'string') {
+      return formatMessage(value, params, messageLanguage);
+    }
+
     return value || key;
   }
 
+  // Format a number with Intl for the current language
+  formatNumber(value, options = {}) {
+    return getFormatter(Intl.NumberFormat, this.currentLanguage, options).format(value);
+  }
+
+  // Format a currency amount for the current language
+  formatCurrency(value, currency, options = {}) {
+    return this.formatNumber(value, { ...options, style: 'currency', currency });
+  }
+
+  // Format a date (Date, timestamp or ISO string) for the current language
+  formatDate(value, options = { dateStyle: 'medium' }) {
+    const date = value instanceof Date ? value : new Date(value);
+    return getFormatter(Intl.DateTimeFormat, this.currentLanguage, options).format(date);
+  }
+
+  // Read ICU parameters from an element's data-i18n-args JSON attribute
+  getElementArgs(element) {
+    const args = element.getAttribute('data-i18n-args');
+    if (!args) return undefined;
+
+    try {
+      return JSON.parse(args);
+    } catch (error) {
+      console.warn('Invalid data-i18n-args JSON on element:', element, error);
+      return undefined;
+    }
+  }
+
   // Change language and update the page
   async changeLanguage(language) {
     if (!this.isLanguageSupported(language)) {
@@ -125,14 +294,20 @@ class I18n {
       return;
     }
 
-    this.currentLanguage = language;
     localStorage.setItem('preferredLanguage', language);
 
-    // Load translations if not already loaded
-    if (!this.translations[language]) {
-      await this.loadTranslations(language);
+    if (this.isPrerendered()) {
+      if (language !== this.currentLanguage) {
+        window.location.assign(this.getLocalizedUrl(language));
+      }
+      return;
     }
 
+    this.currentLanguage = language;
+
+    // Load the page's namespaces (already loaded bundles come from the cache)
+    await this.loadTranslations(language);
+
     // Update all elements with data-i18n attribute
     this.updatePageTranslations();
     
@@ -141,16 +316,17 @@ class I18n {
 
     // Dispatch custom event for other components to react
     document.dispatchEvent(new CustomEvent('languageChanged', { 
-      detail: { language } 
+      detail: { language, dir: this.getDirection(language) } 
     }));
   }
 
   // Update all translatable elements on the page
   updatePageTranslations() {
     // Update elements with data-i18n attribute
+    // (data-i18n-args='{"count": 3}' supplies ICU parameters for any data-i18n-* attribute)
     document.querySelectorAll('[data-i18n]').forEach(element => {
       const key = element.getAttribute('data-i18n');
-      const translation = this.t(key);
+      const translation = this.t(key, this.getElementArgs(element));
       
       if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') {
         element.placeholder = translation;
@@ -162,19 +338,19 @@ class I18n {
     // Update elements with data-i18n-html attribute (for HTML content)
     document.querySelectorAll('[data-i18n-html]').forEach(element => {
       const key = element.getAttribute('data-i18n-html');
-      element.innerHTML = this.t(key);
+      element.innerHTML = this.t(key, this.getElementArgs(element));
     });
 
     // Update elements with data-i18n-placeholder attribute
     document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
       const key = element.getAttribute('data-i18n-placeholder');
-      element.placeholder = this.t(key);
+      element.placeholder = this.t(key, this.getElementArgs(element));
     });
 
     // Update elements with data-i18n-title attribute
     document.querySelectorAll('[data-i18n-title]').forEach(element => {
       const key = element.getAttribute('data-i18n-title');
-      element.title = this.t(key);
+      element.title = this.t(key, this.getElementArgs(element));
     });
 
     // Update meta tags
@@ -183,19 +359,10 @@ class I18n {
 
   // Update language selector dropdown to show current language
   updateLanguageSelector() {
-    const languageNames = {
-      en: 'English',
-      es: 'Español',
-      de: 'Deutsch',
-      fr: 'Français',
-      it: 'Italiano',
-      pt: 'Português'
-    };
-
     // Update current language display in the dropdown button
     const currentLangElements = document.querySelectorAll('[data-current-language]');
     currentLangElements.forEach(element => {
-      element.textContent = languageNames[this.currentLanguage] || 'English';
+      element.textContent = this.getLanguageName();
     });
 
     // Update active state in dropdown options
@@ -209,10 +376,20 @@ class I18n {
     });
   }
 
+  // Text direction of a language ('rtl' for Arabic, Hebrew, ...)
+  getDirection(lang = this.currentLanguage) {
+    return getTextDirection(lang || this.fallbackLanguage);
+  }
+
+  isRTL(lang = this.currentLanguage) {
+    return this.getDirection(lang) === 'rtl';
+  }
+
   // Update meta tags for SEO
   updateMetaTags() {
     const lang = this.currentLanguage;
     document.documentElement.lang = lang;
+    document.documentElement.dir = this.getDirection(lang);
     
     // Update meta description if translation exists
     const metaDescription = document.querySelector('meta[name="description"]');
@@ -223,6 +400,16 @@ class I18n {
         metaDescription.content = translation;
       }
     }
+    
+    // Link preview title (og:title, twitter:title)
+    const ogTitleKey = 'meta.ogTitle';
+    const ogTitle = this.t(ogTitleKey);
+    if (ogTitle !== ogTitleKey) {
+      const selector = 'meta[property="og:title"], meta[name="twitter:title"]';
+      document.querySelectorAll(selector).forEach(meta => {
+        meta.content = ogTitle;
+      });
+    }
 
     // Update page title if translation exists
     const titleKey = 'meta.title';
@@ -234,15 +421,34 @@ class I18n {
 
   // Initialize i18n system
   async init() {
-    // Detect language (async - uses geolocation)
-    this.currentLanguage = await this.detectLanguage();
-    this.detectionComplete = true;
-    
-    // Load translations for current language
-    await this.loadTranslations(this.currentLanguage);
-    
-    // Update page with translations
-    this.updatePageTranslations();
+    if (this.isPrerendered()) {
+      // A ?lang= link picks the language: save it as the preference and open that build
+      // Localized URLs opened directly are never redirected (crawlers, shared links, hreflang)
+      const requested = new URLSearchParams(window.location.search).get('lang');
+      const language = requested ? this.negotiateLanguage([requested]) : null;
+      if (language) {
+        localStorage.setItem(DETECTOR_CONFIG.PREFERENCE_STORAGE_KEY, language);
+        if (language !== this.prerenderedLanguage) {
+          window.location.replace(this.getLocalizedUrl(language));
+          return;
+        }
+      }
+
+      // Page text was resolved at build time, translations are only needed by JS components
+      this.currentLanguage = this.prerenderedLanguage;
+      this.detectionComplete = true;
+      await this.loadTranslations(this.currentLanguage);
+    } else {
+      // Detect language (async, see detectLanguage())
+      this.currentLanguage = await this.detectLanguage();
+      this.detectionComplete = true;
+
+      // Load translations for current language
+      await this.loadTranslations(this.currentLanguage);
+
+      // Update page with translations
+      this.updatePageTranslations();
+    }
     
     // CRITICAL: Update language selector on page load to show current language
     this.updateLanguageSelector();
@@ -252,7 +458,7 @@ class I18n {
 
     // Dispatch event so components know translations are ready
     document.dispatchEvent(new CustomEvent('languageChanged', { 
-      detail: { language: this.currentLanguage } 
+      detail: { language: this.currentLanguage, dir: this.getDirection() } 
     }));
   }
 
@@ -274,15 +480,7 @@ class I18n {
 
   // Get language name
   getLanguageName(lang = this.currentLanguage) {
-    const names = {
-      en: 'English',
-      es: 'Español',
-      de: 'Deutsch',
-      fr: 'Français',
-      it: 'Italiano',
-      pt: 'Português'
-    };
-    return names[lang] || 'English';
+    return this.languageNames[lang] || 'English';
   }
 }
 
@@ -1,3 +1,5 @@
+import { onDomReady } from '../utils/dom-ready.js';
+
 const glossaryAnimation = {
   init() {
     const glossaryFiltersButtons = document.querySelectorAll(
@@ -93,6 +95,6 @@ const glossaryAnimation = {
   },
 };
 
-window.addEventListener('DOMContentLoaded', () => {
+onDomReady(() => {
   glossaryAnimation.init();
 });
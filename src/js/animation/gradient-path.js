@@ -2,7 +2,9 @@
 Gradient Path Animation
 =========================== */
 
-document.addEventListener('DOMContentLoaded', function () {
+import { onDomReady } from '../utils/dom-ready.js';
+
+onDomReady(function () {
   // Check if GSAP is available
   if (typeof gsap === 'undefined') {
     console.error('GSAP is not loaded.');
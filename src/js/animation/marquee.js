@@ -1,10 +1,14 @@
 // marquee-init.js
 
-document.addEventListener('DOMContentLoaded', function () {
+import { mirrorDirection } from '../utils/direction.js';
+import { onDomReady } from '../utils/dom-ready.js';
+
+onDomReady(function () {
   if (typeof InfiniteMarquee === 'undefined') {
     return;
   }
 
+  // Horizontal marquees scroll the other way on RTL pages
   const animation = {
     infiniteLeft() {
       if (document.querySelector('.logos-marquee-container')) {
@@ -12,7 +16,7 @@ document.addEventListener('DOMContentLoaded', function () {
           element: '.logos-marquee-container',
           speed: 40000,
           smoothEdges: true,
-          direction: 'left',
+          direction: mirrorDirection('left'),
           gap: '32px',
           duplicateCount: 1,
           mobileSettings: {
@@ -33,11 +37,11 @@ document.addEventListener('DOMContentLoaded', function () {
           element: '.logos-right-marquee-container',
           speed: 40000,
           smoothEdges: true,
-          direction: 'right',
+          direction: mirrorDirection('right'),
           gap: '32px',
           duplicateCount: 1,
           mobileSettings: {
-            direction: 'right',
+            direction: mirrorDirection('right'),
             speed: 50000,
           },
           on: {
@@ -54,11 +58,11 @@ document.addEventListener('DOMContentLoaded', function () {
           element: '.icon-right-marquee-container',
           speed: 2000,
           smoothEdges: true,
-          direction: 'right',
+          direction: mirrorDirection('right'),
           gap: '32px',
           duplicateCount: 1,
           mobileSettings: {
-            direction: 'right',
+            direction: mirrorDirection('right'),
             speed: 50000,
           },
           on: {
@@ -75,7 +79,7 @@ document.addEventListener('DOMContentLoaded', function () {
           element: '.cards-marquee-container',
           speed: 140000,
           smoothEdges: true,
-          direction: 'left',
+          direction: mirrorDirection('left'),
           gap: '32px',
           pauseOnHover: true,
           on: {
@@ -92,7 +96,7 @@ document.addEventListener('DOMContentLoaded', function () {
           element: '.cards-right-marquee-container',
           speed: 140000,
           smoothEdges: true,
-          direction: 'right',
+          direction: mirrorDirection('right'),
           gap: '32px',
           pauseOnHover: true,
           on: {
@@ -153,11 +157,11 @@ document.addEventListener('DOMContentLoaded', function () {
           speed: 70000,
           smoothEdges: true,
           pauseOnHover: true,
-          direction: 'left',
+          direction: mirrorDirection('left'),
           gap: '16px',
           duplicateCount: 2,
           mobileSettings: {
-            direction: 'left',
+            direction: mirrorDirection('left'),
             speed: 50000,
           },
           on: {
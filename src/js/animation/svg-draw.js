@@ -1,3 +1,5 @@
+import { onDomReady } from '../utils/dom-ready.js';
+
 const svgDraw = {
   init() {
     gsap.registerPlugin(ScrollTrigger, DrawSVGPlugin);
@@ -33,6 +35,6 @@ const svgDraw = {
   },
 };
 
-window.addEventListener('DOMContentLoaded', () => {
+onDomReady(() => {
   svgDraw.init();
 });
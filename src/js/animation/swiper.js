@@ -2,6 +2,18 @@
 Swiper sliders js 
 =========================== */
 
+// Swiper reads the direction from <html dir> on init, keep it in sync when the language changes
+function syncSwiperDirection(swipers) {
+  document.addEventListener('languageChanged', (event) => {
+    const dir = event.detail?.dir || 'ltr';
+    Object.values(swipers).forEach((swiper) => {
+      if (swiper?.el && swiper.rtl !== (dir === 'rtl')) {
+        swiper.changeLanguageDirection(dir);
+      }
+    });
+  });
+}
+
 function initReviewsSwiper() {
   const reviewsSwiper = new Swiper('.reviews-swiper', {
     slidesPerView: 1,
@@ -351,4 +363,4 @@ function initReviewsSwiper() {
   };
 }
 
-initReviewsSwiper();
+syncSwiperDirection(initReviewsSwiper());
@@ -1,3 +1,6 @@
+import { mirrorX } from '../utils/direction.js';
+import { onDomReady } from '../utils/dom-ready.js';
+
 const initRevealElements = () => {
   const elements = document.querySelectorAll('[data-ns-animate]');
   const Springer = window.Springer.default;
@@ -66,13 +69,13 @@ const initRevealElements = () => {
       };
     }
 
-    // Set animation direction based on data-direction
+    // Set animation direction based on data-direction (horizontal offsets mirror on RTL pages)
     switch (direction) {
       case 'left':
-        animationProps.x = -offset;
+        animationProps.x = mirrorX(-offset);
         break;
       case 'right':
-        animationProps.x = offset;
+        animationProps.x = mirrorX(offset);
         break;
       case 'down':
         animationProps.y = offset;
@@ -92,6 +95,6 @@ const initRevealElements = () => {
   });
 };
 
-document.addEventListener('DOMContentLoaded', () => {
+onDomReady(() => {
   initRevealElements();
 });
@@ -0,0 +1,160 @@
+/* =========================
+DENDRITE GROWTH MODEL
+Time-stepped lithium dendrite growth through the solid electrolyte, one step per charge cycle
+- Diffusion-limited aggregation on a lattice below the Li/electrolyte interface: Li+ walkers
+  drift from the cathode side towards the anode and deposit where they first touch lithium
+- Walkers touching the flat interface nucleate a dendrite with a probability rising steeply with
+  the local current density (current focusing at asperities), everywhere else they plate evenly
+- Dendrite tips reach further into the field, so they catch most walkers and keep growing
+- Stack pressure suppresses growth through the drive factor computed by DendriteSimulation
+- Every cycle is kept in a history, so earlier cycles can be shown without recomputing
+=========================== */
+
+import { createRandom } from '../utils/random.js';
+
+// Configuration constants
+const GROWTH_CONFIG = {
+  COLS: 120, // Lattice columns across the interface
+  ROWS: 48, // Lattice rows through the electrolyte, a dendrite in the last row shorts the cell
+  REFERENCE_CURRENT_DENSITY: 1, // mA/cm² at which WALKERS_PER_CYCLE walkers are released
+  WALKERS_PER_CYCLE: 16,
+  DRIFT: 0.3, // Field bias of a walker step towards the anode (0 = pure diffusion)
+  MAX_STEPS: 2000, // Walk length after which a walker counts as evenly plated
+  FOCUS_EXPONENT: 8, // Nucleation probability ∝ (local current density)^n
+  FLANK_STICKING: 0.3, // Sticking on a dendrite's side relative to its tip
+  VOID_RATE: 0.02, // Share of the gap to the quasi-static void fraction closed per 1 mA/cm² cycle
+};
+
+/**
+ * DendriteGrowthModel Class
+ * Lattice state at the latest computed cycle plus the history of every cycle before it
+ */
+class DendriteGrowthModel {
+  /**
+   * @param {Object} [options]
+   * @param {number|string} [options.seed] - Seed for reproducible growth
+   */
+  constructor({ seed = null } = {}) {
+    this.seed = seed;
+    this.cols = GROWTH_CONFIG.COLS;
+    this.rows = GROWTH_CONFIG.ROWS;
+    this.reset();
+  }
+
+  /**
+   * Back to a pristine interface at cycle 0
+   */
+  reset() {
+    this.random = createRandom(this.seed);
+    this.grid = new Uint8Array(this.cols * this.rows);
+    this.cells = []; // Deposited cell indices (row * cols + col) in deposition order
+    this.cycleEnd = [0]; // Deposits after each cycle
+    this.voidHistory = [0];
+    this.depthHistory = [0];
+    this.shortCycle = null; // First cycle with a dendrite across the electrolyte
+  }
+
+  /**
+   * Number of computed cycles
+   */
+  get cycles() {
+    return this.cycleEnd.length - 1;
+  }
+
+  /**
+   * Run one charge cycle
+   *
+   * @param {Object} inputs
+   * @param {number[]} inputs.densityMap - Current density along the interface, 0–1
+   * @param {number} inputs.currentDensity - Applied current density (mA/cm²)
+   * @param {number} inputs.drive - Growth drive 0–1 (0 = fully suppressed by stack pressure)
+   * @param {number} inputs.voidTarget - Void fraction the interface tends to at this pressure
+   */
+  step({ densityMap, currentDensity, drive, voidTarget }) {
+    const load = currentDensity / GROWTH_CONFIG.REFERENCE_CURRENT_DENSITY;
+    const previousVoid = this.voidHistory[this.cycles];
+    const voidFraction =
+      previousVoid + (voidTarget - previousVoid) * Math.min(1, GROWTH_CONFIG.VOID_RATE * load);
+
+    // Lost contact pushes the same current through less interface area
+    const focus = 1 / Math.max(0.1, 1 - voidFraction);
+    let depth = this.depthHistory[this.cycles];
+
+    if (this.shortCycle === null && drive > 0) {
+      const walkers = Math.round(GROWTH_CONFIG.WALKERS_PER_CYCLE * load);
+      for (let i = 0; i < walkers; i++) {
+        const cell = this.walk(densityMap, drive, focus);
+        if (cell === -1) continue;
+        this.grid[cell] = 1;
+        this.cells.push(cell);
+        depth = Math.max(depth, Math.floor(cell / this.cols) + 1);
+        if (depth === this.rows) {
+          this.shortCycle = this.cycles + 1;
+          break;
+        }
+      }
+    }
+
+    this.cycleEnd.push(this.cells.length);
+    this.voidHistory.push(voidFraction);
+    this.depthHistory.push(depth);
+  }
+
+  /**
+   * Release one walker from the cathode side
+   *
+   * @returns {number} Cell the walker deposits in, -1 when it plates evenly
+   */
+  walk(densityMap, drive, focus) {
+    const { cols, rows, grid, random } = this;
+    const up = 0.25 + GROWTH_CONFIG.DRIFT / 2;
+    const down = 0.25 - GROWTH_CONFIG.DRIFT / 2;
+    let col = Math.floor(random() * cols);
+    let row = rows - 1;
+
+    for (let steps = 0; steps < GROWTH_CONFIG.MAX_STEPS; steps++) {
+      const cell = row * cols + col;
+      if (grid[cell]) return -1; // Started inside a dendrite
+
+      // Tips (lithium above the walker) catch the field lines, flanks much less so
+      if (row > 0 && grid[cell - cols]) return random() < drive ? cell : -1;
+      const touchesFlank =
+        (row < rows - 1 && grid[cell + cols]) ||
+        (col > 0 && grid[cell - 1]) ||
+        (col < cols - 1 && grid[cell + 1]);
+      if (touchesFlank) return random() < drive * GROWTH_CONFIG.FLANK_STICKING ? cell : -1;
+
+      if (row === 0) {
+        const density = densityMap[Math.round(((col + 0.5) / cols) * (densityMap.length - 1))] || 0;
+        const nucleation = drive * Math.min(1, focus * density ** GROWTH_CONFIG.FOCUS_EXPONENT);
+        return random() < nucleation ? cell : -1;
+      }
+
+      const r = random();
+      if (r < up) row--;
+      else if (r < up + down) row = Math.min(rows - 1, row + 1);
+      else if (r < up + down + 0.25) col = Math.max(0, col - 1);
+      else col = Math.min(cols - 1, col + 1);
+    }
+
+    return -1;
+  }
+
+  /**
+   * State after a computed cycle
+   *
+   * @returns {{ deposits: number, voidFraction: number, penetration: number, shorted: boolean }}
+   *   deposits: how many of this.cells exist at that cycle
+   */
+  stateAt(cycle) {
+    const n = Math.max(0, Math.min(this.cycles, cycle));
+    return {
+      deposits: this.cycleEnd[n],
+      voidFraction: this.voidHistory[n],
+      penetration: this.depthHistory[n] / this.rows,
+      shorted: this.shortCycle !== null && n >= this.shortCycle,
+    };
+  }
+}
+
+export { DendriteGrowthModel, GROWTH_CONFIG };
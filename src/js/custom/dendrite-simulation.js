@@ -4,6 +4,11 @@ Solid-State Battery Digital Twin Visualization
 Canvas 2D implementation with interactive sliders
 =========================== */
 
+import { createRandom, readSeed } from '../utils/random.js';
+import { copyUrl, onUrlStateChange, readUrlState, writeUrlState } from '../utils/url-state.js';
+import { DendriteGrowthModel } from './dendrite-growth.js';
+import { DendriteSweep } from './dendrite-sweep.js';
+
 // Configuration constants
 const DENDRITE_CONFIG = {
   // Canvas dimensions
@@ -18,7 +23,6 @@ const DENDRITE_CONFIG = {
   // Colors - Light theme (COMSOL/Ansys style)
   COLOR_ANODE_TOP: '#E8E8EC',      // Light silver
   COLOR_ANODE_BOTTOM: '#A8A8B0',   // Darker silver/grey
-  COLOR_ELECTROLYTE: '#B8D4E8',    // Light blue ceramic
   COLOR_ELECTROLYTE_PATTERN: 'rgba(255, 255, 255, 0.3)', // Geometric pattern overlay
   COLOR_INTERFACE: '#6B7280',       // Grey interface line
   COLOR_VOID: '#1a1a2e',            // Dark void color
@@ -46,18 +50,83 @@ const DENDRITE_CONFIG = {
   // Animation
   TRANSITION_DURATION: 800,         // ms for smooth transitions
   MOBILE_CYCLE_DURATION: 5000,      // ms per state on mobile
+  MOBILE_LOW_PRESSURE: 3,           // MPa shown in the mobile low-pressure state
+  MOBILE_HIGH_PRESSURE: 18,         // MPa shown in the mobile high-pressure state
+  FIXED_TIMESTEP: 1000 / 60,        // ms per frame on seeded runs (data-seed)
+  CYCLES_PER_SECOND: 50,            // Charge cycles played back per second
+  MAX_FRAME_TIME: 100,              // Max ms played per frame (first frame, background tabs)
+  SHARE_FEEDBACK_DURATION: 2000,    // ms the copy link button shows "Link Copied"
   
   // Physics parameters
   PRESSURE_MIN: 2,
   PRESSURE_MAX: 20,
   PRESSURE_DEFAULT: 10,
+  PRESSURE_STEP: 0.5,
   ROUGHNESS_MIN: 0.1,
   ROUGHNESS_MAX: 5.0,
   ROUGHNESS_DEFAULT: 1.0,
+  ROUGHNESS_STEP: 0.1,
+  CURRENT_DENSITY_MIN: 0.1,         // mA/cm²
+  CURRENT_DENSITY_MAX: 5,
+  CURRENT_DENSITY_DEFAULT: 1,
+  CURRENT_DENSITY_STEP: 0.1,
+  CYCLES_MIN: 100,
+  CYCLES_MAX: 2000,
+  CYCLES_DEFAULT: 500,
+  CYCLES_STEP: 100,
+  TEMPERATURE_MIN: -20,             // °C
+  TEMPERATURE_MAX: 80,
+  TEMPERATURE_DEFAULT: 25,
+  TEMPERATURE_STEP: 5,
+  ELECTROLYTE_DEFAULT: 'llzo',
+  
+  // Shareable scenarios: parameters in the URL hash start with this key (url-state.js)
+  URL_STATE_KEY: 'dendrite',
   
   // Dendrite growth thresholds
-  VOID_THRESHOLD_PRESSURE: 8,       // Below this, voids form
-  DENDRITE_THRESHOLD_PRESSURE: 6,   // Below this, dendrite grows rapidly
+  VOID_THRESHOLD_PRESSURE: 8,       // Below this, voids form (LLZO at the reference temperature)
+  DENDRITE_THRESHOLD_PRESSURE: 6,   // Below this, dendrite grows (at the critical current density,
+                                    // rises with √(j / critical current density))
+  
+  // Material reference values
+  REFERENCE_TEMPERATURE: 25,        // °C the preset values are given at
+  REFERENCE_SHEAR_MODULUS: 60,      // GPa the void threshold is given for (LLZO)
+  LITHIUM_SHEAR_MODULUS: 4.25,      // GPa
+  LITHIUM_CREEP_ENERGY: 0.12,       // eV, effective activation of Li creep closing interface voids
+  BOLTZMANN: 8.617e-5,              // eV/K
+};
+
+// Solid electrolyte presets
+// shearModulus in GPa, criticalCurrentDensity in mA/cm² at the reference temperature,
+// activationEnergy (eV) of the ion transport scaling the critical current density with temperature
+const ELECTROLYTE_PRESETS = {
+  llzo: {
+    name: 'LLZO',
+    i18nKey: 'deeptech.simulation.electrolytes.llzo',
+    label: 'LLZO Ceramic Electrolyte',
+    shearModulus: 60,
+    criticalCurrentDensity: 1,
+    activationEnergy: 0.3,
+    color: '#B8D4E8',               // Light blue ceramic
+  },
+  lpscl: {
+    name: 'LPSCl',
+    i18nKey: 'deeptech.simulation.electrolytes.lpscl',
+    label: 'LPSCl Sulfide Electrolyte',
+    shearModulus: 10,
+    criticalCurrentDensity: 1.3,
+    activationEnergy: 0.35,
+    color: '#E4DCB4',               // Pale yellow sulfide
+  },
+  polymer: {
+    name: 'PEO',
+    i18nKey: 'deeptech.simulation.electrolytes.polymer',
+    label: 'PEO Polymer Electrolyte',
+    shearModulus: 0.001,
+    criticalCurrentDensity: 0.1,
+    activationEnergy: 0.6,
+    color: '#DCD2EA',               // Translucent lilac polymer
+  },
 };
 
 // Utility functions
@@ -70,7 +139,12 @@ const clamp = (val, min, max) => Math.max(min, Math.min(max, val));
  * Main class for the solid-state battery visualization
  */
 class DendriteSimulation {
-  constructor(container) {
+  /**
+   * @param {HTMLElement} container
+   * @param {Object} [options]
+   * @param {number|string} [options.seed] - Seed for the interface geometry and clock (or data-seed)
+   */
+  constructor(container, options = {}) {
     this.container = container;
     this.canvas = null;
     this.ctx = null;
@@ -81,21 +155,47 @@ class DendriteSimulation {
     // Current parameter values
     this.pressure = DENDRITE_CONFIG.PRESSURE_DEFAULT;
     this.roughness = DENDRITE_CONFIG.ROUGHNESS_DEFAULT;
+    this.currentDensity = DENDRITE_CONFIG.CURRENT_DENSITY_DEFAULT;
+    this.temperature = DENDRITE_CONFIG.TEMPERATURE_DEFAULT;
+    this.electrolyte = DENDRITE_CONFIG.ELECTROLYTE_DEFAULT;
+    this.targetCycles = DENDRITE_CONFIG.CYCLES_DEFAULT;
     
     // Animated values (for smooth transitions)
     this.animatedPressure = this.pressure;
     this.animatedRoughness = this.roughness;
     
     // Derived physics values
+    this.material = this.evaluateMaterial(); // Electrolyte properties at the current temperature
+    this.voidTarget = 0;    // Void fraction the interface tends to at the current pressure
+    this.growthDrive = 0;   // Dendrite growth per cycle, 0 (suppressed) to 1
     this.voidFraction = 0;
     this.dendritePenetration = 0;
+    this.isShorted = false;
     this.riskLevel = 0;
     this.currentDensityMap = [];
+    this.growthDensityMap = []; // At the chosen pressure and roughness, see calculatePhysicsState()
     
     // Interface geometry (will be generated based on roughness)
     this.interfacePoints = [];
     this.lithiumBottom = [];
     
+    // Seeded runs use a fixed-step clock so a seed renders the same frames every time
+    this.seed = readSeed(container, options.seed);
+    this.clock = 0;
+    
+    // Charge cycling: the growth model steps once per cycle, the timeline can show earlier ones
+    this.growthModel = new DendriteGrowthModel({ seed: this.seed });
+    this.cycle = 0;
+    this.cycleProgress = 0; // Played fraction of the next cycle
+    this.isPlaying = true;
+    
+    // Operating map over the pressure × roughness grid (desktop only)
+    this.sweep = null;
+    
+    // Shareable scenario in the URL hash
+    this.stopUrlSync = null; // Stops following back / forward
+    this.shareTimer = null;
+
     // Animation state
     this.animationId = null;
     this.lastFrameTime = 0;
@@ -119,6 +219,19 @@ class DendriteSimulation {
     this.roughnessSlider = null;
     this.pressureValue = null;
     this.roughnessValue = null;
+    this.currentDensitySlider = null;
+    this.currentDensityValue = null;
+    this.temperatureSlider = null;
+    this.temperatureValue = null;
+    this.electrolyteSelect = null;
+    this.cyclesSlider = null;
+    this.cyclesValue = null;
+    this.playButton = null;
+    this.shareButton = null;
+    this.timelineSlider = null;
+    this.cycleDisplay = null;
+    this.electrolyteDisplay = null;
+    this.electrolyteDisplayKey = '';
     this.penetrationDisplay = null;
     this.riskGauge = null;
     
@@ -130,9 +243,32 @@ class DendriteSimulation {
    */
   init() {
     this.createUI();
+    if (this.controlPanel) {
+      this.sweep = new DendriteSweep(this, {
+        pressure: {
+          min: DENDRITE_CONFIG.PRESSURE_MIN,
+          max: DENDRITE_CONFIG.PRESSURE_MAX,
+          step: DENDRITE_CONFIG.PRESSURE_STEP
+        },
+        roughness: {
+          min: DENDRITE_CONFIG.ROUGHNESS_MIN,
+          max: DENDRITE_CONFIG.ROUGHNESS_MAX,
+          step: DENDRITE_CONFIG.ROUGHNESS_STEP
+        }
+      });
+    }
+    this.createShareButton();
     this.setupEventListeners();
     this.handleResize();
     this.generateInterfaceGeometry();
+    
+    // Open the scenario of a shared link, back / forward step through the scenarios
+    const urlState = readUrlState(DENDRITE_CONFIG.URL_STATE_KEY);
+    if (urlState) this.applyUrlState(urlState);
+    this.stopUrlSync = onUrlStateChange(DENDRITE_CONFIG.URL_STATE_KEY, (state) => {
+      this.applyUrlState(state);
+    });
+    
     this.startAnimation();
     
     window.addEventListener('resize', () => this.handleResize());
@@ -264,6 +400,9 @@ class DendriteSimulation {
     `;
     panel.appendChild(title);
     
+    // Electrolyte preset
+    panel.appendChild(this.createElectrolyteControl());
+    
     // Pressure slider
     const pressureControl = this.createSliderControl(
       'pressure',
@@ -274,7 +413,7 @@ class DendriteSimulation {
       DENDRITE_CONFIG.PRESSURE_MIN,
       DENDRITE_CONFIG.PRESSURE_MAX,
       DENDRITE_CONFIG.PRESSURE_DEFAULT,
-      0.5
+      DENDRITE_CONFIG.PRESSURE_STEP
     );
     panel.appendChild(pressureControl);
     
@@ -288,17 +427,112 @@ class DendriteSimulation {
       DENDRITE_CONFIG.ROUGHNESS_MIN,
       DENDRITE_CONFIG.ROUGHNESS_MAX,
       DENDRITE_CONFIG.ROUGHNESS_DEFAULT,
-      0.1
+      DENDRITE_CONFIG.ROUGHNESS_STEP
     );
     panel.appendChild(roughnessControl);
     
+    // Temperature slider
+    const temperatureControl = this.createSliderControl(
+      'temperature',
+      'deeptech.simulation.temperature',
+      'Temperature',
+      'T',
+      '°C',
+      DENDRITE_CONFIG.TEMPERATURE_MIN,
+      DENDRITE_CONFIG.TEMPERATURE_MAX,
+      DENDRITE_CONFIG.TEMPERATURE_DEFAULT,
+      DENDRITE_CONFIG.TEMPERATURE_STEP,
+      0
+    );
+    panel.appendChild(temperatureControl);
+    
+    // Current density slider
+    const currentDensityControl = this.createSliderControl(
+      'currentDensity',
+      'deeptech.simulation.currentDensity',
+      'Current Density',
+      'J',
+      'mA/cm²',
+      DENDRITE_CONFIG.CURRENT_DENSITY_MIN,
+      DENDRITE_CONFIG.CURRENT_DENSITY_MAX,
+      DENDRITE_CONFIG.CURRENT_DENSITY_DEFAULT,
+      DENDRITE_CONFIG.CURRENT_DENSITY_STEP
+    );
+    panel.appendChild(currentDensityControl);
+    
+    // Cycle count slider
+    const cyclesControl = this.createSliderControl(
+      'cycles',
+      'deeptech.simulation.cycles',
+      'Charge Cycles',
+      'N',
+      '',
+      DENDRITE_CONFIG.CYCLES_MIN,
+      DENDRITE_CONFIG.CYCLES_MAX,
+      DENDRITE_CONFIG.CYCLES_DEFAULT,
+      DENDRITE_CONFIG.CYCLES_STEP,
+      0
+    );
+    panel.appendChild(cyclesControl);
+    
+    panel.appendChild(this.createTimeline());
+    
     return panel;
   }
   
+  /**
+   * Create the electrolyte preset selector
+   */
+  createElectrolyteControl() {
+    const container = document.createElement('div');
+    container.className = 'select-control select-electrolyte';
+    container.style.cssText = `
+      display: flex;
+      flex-direction: column;
+      gap: 8px;
+      padding-top: 12px;
+    `;
+    
+    const labelEl = document.createElement('label');
+    labelEl.htmlFor = 'dendrite-electrolyte-select';
+    labelEl.className = 'text-sm font-medium text-secondary dark:text-secondary-light';
+    labelEl.setAttribute('data-i18n', 'deeptech.simulation.electrolyte.label');
+    labelEl.textContent = 'Electrolyte';
+    
+    const select = document.createElement('select');
+    select.id = 'dendrite-electrolyte-select';
+    select.style.cssText = `
+      width: 100%;
+      padding: 6px 8px;
+      border: 1px solid ${DENDRITE_CONFIG.COLOR_PANEL_BORDER};
+      border-radius: 6px;
+      background: ${DENDRITE_CONFIG.COLOR_PANEL_BG};
+      color: ${DENDRITE_CONFIG.COLOR_TEXT};
+      font-size: 14px;
+      cursor: pointer;
+    `;
+    Object.entries(ELECTROLYTE_PRESETS).forEach(([id, preset]) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.setAttribute('data-i18n', preset.i18nKey);
+      option.textContent = window.i18n?.t(preset.i18nKey) || preset.label;
+      select.appendChild(option);
+    });
+    select.value = this.electrolyte;
+    
+    container.appendChild(labelEl);
+    container.appendChild(select);
+    this.electrolyteSelect = select;
+    
+    return container;
+  }
+  
   /**
    * Create a slider control with label and value display
    */
-  createSliderControl(id, i18nKey, label, symbol, unit, min, max, defaultVal, step) {
+  createSliderControl(id, i18nKey, label, symbol, unit, min, max, defaultVal, step, decimals = 1) {
+    const format = (value) => `${value.toFixed(decimals)} ${unit}`.trim();
+    
     const container = document.createElement('div');
     container.className = `slider-control slider-${id}`;
     container.style.cssText = `
@@ -338,7 +572,7 @@ class DendriteSimulation {
       font-weight: 600;
       color: #3B82F6;
     `;
-    valueEl.textContent = `${defaultVal.toFixed(1)} ${unit}`;
+    valueEl.textContent = format(defaultVal);
     
     labelRow.appendChild(labelEl);
     labelRow.appendChild(valueEl);
@@ -403,8 +637,8 @@ class DendriteSimulation {
       font-family: "SF Mono", "Fira Code", "Consolas", monospace;
     `;
     rangeLabels.innerHTML = `
-      <span>${min} ${unit}</span>
-      <span>${max} ${unit}</span>
+      <span>${format(min)}</span>
+      <span>${format(max)}</span>
     `;
     container.appendChild(rangeLabels);
     
@@ -412,14 +646,86 @@ class DendriteSimulation {
     if (id === 'pressure') {
       this.pressureSlider = slider;
       this.pressureValue = valueEl;
-    } else {
+    } else if (id === 'roughness') {
       this.roughnessSlider = slider;
       this.roughnessValue = valueEl;
+    } else if (id === 'currentDensity') {
+      this.currentDensitySlider = slider;
+      this.currentDensityValue = valueEl;
+    } else if (id === 'temperature') {
+      this.temperatureSlider = slider;
+      this.temperatureValue = valueEl;
+    } else if (id === 'cycles') {
+      this.cyclesSlider = slider;
+      this.cyclesValue = valueEl;
     }
     
     return container;
   }
   
+  /**
+   * Create the cycle timeline: play / pause and a scrubber over the charge cycles
+   */
+  createTimeline() {
+    const timeline = document.createElement('div');
+    timeline.className = 'dendrite-timeline';
+    timeline.style.cssText = `
+      display: flex;
+      flex-direction: column;
+      gap: 8px;
+      padding-top: 12px;
+    `;
+    
+    const label = document.createElement('span');
+    label.id = 'dendrite-timeline-label';
+    label.className = 'text-sm font-medium text-secondary dark:text-secondary-light';
+    label.setAttribute('data-i18n', 'deeptech.simulation.timeline');
+    label.textContent = 'Cycle Timeline';
+    timeline.appendChild(label);
+    
+    const controls = document.createElement('div');
+    controls.style.cssText = `
+      display: flex;
+      align-items: center;
+      gap: 12px;
+    `;
+    
+    this.playButton = document.createElement('button');
+    this.playButton.type = 'button';
+    this.playButton.style.cssText = `
+      width: 32px;
+      height: 32px;
+      flex-shrink: 0;
+      border: none;
+      border-radius: 50%;
+      background: #3B82F6;
+      color: white;
+      font-size: 12px;
+      cursor: pointer;
+    `;
+    
+    this.timelineSlider = document.createElement('input');
+    this.timelineSlider.type = 'range';
+    this.timelineSlider.min = 0;
+    this.timelineSlider.max = this.targetCycles;
+    this.timelineSlider.step = 1;
+    this.timelineSlider.value = 0;
+    this.timelineSlider.setAttribute('aria-labelledby', label.id);
+    this.timelineSlider.style.cssText = `
+      flex: 1;
+      accent-color: #3B82F6;
+      cursor: pointer;
+    `;
+    
+    controls.appendChild(this.playButton);
+    controls.appendChild(this.timelineSlider);
+    timeline.appendChild(controls);
+    
+    this.updateTimeline();
+    
+    return timeline;
+  }
+  
   /**
    * Create metrics overlay (penetration & risk gauge)
    */
@@ -436,6 +742,48 @@ class DendriteSimulation {
       pointer-events: none;
     `;
     
+    // Electrolyte preset and its properties at the current temperature
+    const electrolyteCard = document.createElement('div');
+    electrolyteCard.className = 'metric-card electrolyte-card';
+    electrolyteCard.style.cssText = `
+      background: rgba(255, 255, 255, 0.95);
+      backdrop-filter: blur(8px);
+      border: 1px solid ${DENDRITE_CONFIG.COLOR_PANEL_BORDER};
+      border-radius: 12px;
+      padding: 12px 16px;
+      min-width: 140px;
+      box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1);
+    `;
+    electrolyteCard.innerHTML = `
+      <div class="text-[10px] font-semibold uppercase tracking-wide text-secondary/60 mb-1" 
+           data-i18n="deeptech.simulation.electrolyte.label">Electrolyte</div>
+      <div class="electrolyte-value text-xs text-secondary" style="font-family: 'SF Mono', monospace; line-height: 1.6;"></div>
+    `;
+    this.electrolyteDisplay = electrolyteCard.querySelector('.electrolyte-value');
+    overlay.appendChild(electrolyteCard);
+    
+    // Charge cycle counter
+    const cycleCard = document.createElement('div');
+    cycleCard.className = 'metric-card cycle-card';
+    cycleCard.style.cssText = `
+      background: rgba(255, 255, 255, 0.95);
+      backdrop-filter: blur(8px);
+      border: 1px solid ${DENDRITE_CONFIG.COLOR_PANEL_BORDER};
+      border-radius: 12px;
+      padding: 12px 16px;
+      min-width: 140px;
+      box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1);
+    `;
+    cycleCard.innerHTML = `
+      <div class="text-[10px] font-semibold uppercase tracking-wide text-secondary/60 mb-1" 
+           data-i18n="deeptech.simulation.cycleCount">Charge Cycle</div>
+      <div class="cycle-value text-2xl font-bold text-secondary" style="font-family: 'SF Mono', monospace;">0 / ${this.targetCycles}</div>
+      <div class="short-circuit text-xs font-semibold mt-1" style="display: none; color: ${DENDRITE_CONFIG.COLOR_RISK_DANGER};"></div>
+    `;
+    this.cycleDisplay = cycleCard.querySelector('.cycle-value');
+    this.shortCircuitLabel = cycleCard.querySelector('.short-circuit');
+    overlay.appendChild(cycleCard);
+    
     // Penetration metric
     const penetrationCard = document.createElement('div');
     penetrationCard.className = 'metric-card penetration-card';
@@ -507,7 +855,7 @@ class DendriteSimulation {
     
     indicator.innerHTML = `
       <div class="state-dot state-low" style="width: 10px; height: 10px; border-radius: 50%; background: ${DENDRITE_CONFIG.COLOR_RISK_DANGER}; opacity: 1; transition: opacity 0.3s;"></div>
-      <span class="state-text text-xs font-medium text-secondary" data-i18n="deeptech.simulation.stateLow">Low Pressure (2 MPa)</span>
+      <span class="state-text text-xs font-medium text-secondary" data-i18n="deeptech.simulation.stateLow" data-i18n-args='{"pressure": ${DENDRITE_CONFIG.MOBILE_LOW_PRESSURE}}'>Low Pressure (${DENDRITE_CONFIG.MOBILE_LOW_PRESSURE} MPa)</span>
       <div class="state-dot state-high" style="width: 10px; height: 10px; border-radius: 50%; background: ${DENDRITE_CONFIG.COLOR_RISK_SAFE}; opacity: 0.3; transition: opacity 0.3s;"></div>
     `;
     
@@ -520,6 +868,148 @@ class DendriteSimulation {
     return indicator;
   }
   
+  /**
+   * Create the copy link button (control panel, or the state indicator on mobile)
+   */
+  createShareButton() {
+    const button = document.createElement('button');
+    button.type = 'button';
+    if (this.isMobile) {
+      button.className = 'text-xs font-medium text-secondary';
+      button.style.cssText = `
+        padding-inline-start: 12px;
+        border-inline-start: 1px solid ${DENDRITE_CONFIG.COLOR_PANEL_BORDER};
+        cursor: pointer;
+      `;
+    } else {
+      button.className =
+        'text-sm font-medium text-secondary dark:text-secondary-light border rounded-lg px-3 py-2';
+      button.style.cssText = `
+        border-color: ${DENDRITE_CONFIG.COLOR_PANEL_BORDER};
+        cursor: pointer;
+      `;
+    }
+    this.shareButton = button;
+    this.setShareText('deeptech.simulation.copyLink', 'Copy Link');
+    button.addEventListener('click', () => this.shareScenario());
+    
+    (this.controlPanel || this.mobileIndicator).appendChild(button);
+  }
+  
+  setShareText(i18nKey, defaultText) {
+    this.shareButton.setAttribute('data-i18n', i18nKey);
+    this.shareButton.textContent = window.i18n?.t(i18nKey) || defaultText;
+  }
+  
+  /**
+   * Put the scenario in the URL and copy the link, the button confirms for a moment
+   */
+  shareScenario() {
+    this.commitUrlState();
+    copyUrl().then((copied) => {
+      if (!copied) return;
+      this.setShareText('deeptech.simulation.linkCopied', 'Link Copied');
+      clearTimeout(this.shareTimer);
+      this.shareTimer = setTimeout(() => {
+        this.setShareText('deeptech.simulation.copyLink', 'Copy Link');
+      }, DENDRITE_CONFIG.SHARE_FEEDBACK_DURATION);
+    });
+  }
+  
+  /**
+   * Scenario for the URL hash: the inputs on desktop, the auto-cycle state on mobile
+   */
+  getUrlState() {
+    if (this.isMobile) return { mobile: this.mobileState };
+    
+    return {
+      electrolyte: this.electrolyte,
+      pressure: this.pressure,
+      roughness: this.roughness,
+      temperature: this.temperature,
+      current: this.currentDensity,
+      cycles: this.targetCycles
+    };
+  }
+  
+  /**
+   * Store the scenario as a history entry (no-op when the URL already holds it)
+   */
+  commitUrlState() {
+    writeUrlState(DENDRITE_CONFIG.URL_STATE_KEY, this.getUrlState());
+  }
+  
+  /**
+   * Apply a scenario from the URL hash, null (history entry without one) restores the defaults
+   * Values outside the sliders are clamped and snapped to their steps
+   */
+  applyUrlState(state) {
+    if (this.isMobile) {
+      if (state?.mobile === 'low' || state?.mobile === 'high') {
+        this.setMobileState(state.mobile);
+        this.lastCycleTime = this.now();
+      }
+      return;
+    }
+    
+    const read = (name, min, max, step, fallback) => {
+      const value = parseFloat(state?.[name]);
+      if (!Number.isFinite(value)) return fallback;
+      return +(min + Math.round((clamp(value, min, max) - min) / step) * step).toFixed(6);
+    };
+    const config = DENDRITE_CONFIG;
+    const electrolyte = Object.keys(ELECTROLYTE_PRESETS).includes(state?.electrolyte)
+      ? state.electrolyte
+      : config.ELECTROLYTE_DEFAULT;
+    const pressure = read('pressure', config.PRESSURE_MIN, config.PRESSURE_MAX,
+      config.PRESSURE_STEP, config.PRESSURE_DEFAULT);
+    const roughness = read('roughness', config.ROUGHNESS_MIN, config.ROUGHNESS_MAX,
+      config.ROUGHNESS_STEP, config.ROUGHNESS_DEFAULT);
+    const temperature = read('temperature', config.TEMPERATURE_MIN, config.TEMPERATURE_MAX,
+      config.TEMPERATURE_STEP, config.TEMPERATURE_DEFAULT);
+    const currentDensity = read('current', config.CURRENT_DENSITY_MIN, config.CURRENT_DENSITY_MAX,
+      config.CURRENT_DENSITY_STEP, config.CURRENT_DENSITY_DEFAULT);
+    const cycles = read('cycles', config.CYCLES_MIN, config.CYCLES_MAX,
+      config.CYCLES_STEP, config.CYCLES_DEFAULT);
+    
+    if (electrolyte !== this.electrolyte) this.setElectrolyte(electrolyte);
+    if (pressure !== this.pressure) this.setTargetPressure(pressure);
+    if (roughness !== this.roughness) this.setTargetRoughness(roughness);
+    if (temperature !== this.temperature) this.setTemperature(temperature);
+    if (currentDensity !== this.currentDensity) this.setCurrentDensity(currentDensity);
+    if (cycles !== this.targetCycles) this.setTargetCycles(cycles);
+    this.syncControls();
+  }
+  
+  /**
+   * Move the controls to the current inputs (after a scenario was applied)
+   */
+  syncControls() {
+    const config = DENDRITE_CONFIG;
+    this.setSliderValue(this.pressureSlider, this.pressureValue, this.pressure,
+      config.PRESSURE_MIN, config.PRESSURE_MAX, `${this.pressure.toFixed(1)} MPa`);
+    this.setSliderValue(this.roughnessSlider, this.roughnessValue, this.roughness,
+      config.ROUGHNESS_MIN, config.ROUGHNESS_MAX, `${this.roughness.toFixed(1)} μm`);
+    this.setSliderValue(this.temperatureSlider, this.temperatureValue, this.temperature,
+      config.TEMPERATURE_MIN, config.TEMPERATURE_MAX, `${this.temperature} °C`);
+    this.setSliderValue(this.currentDensitySlider, this.currentDensityValue, this.currentDensity,
+      config.CURRENT_DENSITY_MIN, config.CURRENT_DENSITY_MAX,
+      `${this.currentDensity.toFixed(1)} mA/cm²`);
+    this.setSliderValue(this.cyclesSlider, this.cyclesValue, this.targetCycles,
+      config.CYCLES_MIN, config.CYCLES_MAX, `${this.targetCycles}`);
+    
+    if (this.electrolyteSelect) {
+      this.electrolyteSelect.value = this.electrolyte;
+    }
+  }
+  
+  setSliderValue(slider, valueEl, value, min, max, text) {
+    if (!slider) return;
+    slider.value = value;
+    this.updateSliderVisual(slider, value, min, max);
+    valueEl.textContent = text;
+  }
+  
   /**
    * Setup event listeners
    */
@@ -543,6 +1033,59 @@ class DendriteSimulation {
           this.roughnessValue.textContent = `${value.toFixed(1)} μm`;
         });
       }
+      
+      if (this.currentDensitySlider) {
+        this.currentDensitySlider.addEventListener('input', (e) => {
+          const value = parseFloat(e.target.value);
+          this.setCurrentDensity(value);
+          this.updateSliderVisual(this.currentDensitySlider, value, DENDRITE_CONFIG.CURRENT_DENSITY_MIN, DENDRITE_CONFIG.CURRENT_DENSITY_MAX);
+          this.currentDensityValue.textContent = `${value.toFixed(1)} mA/cm²`;
+        });
+      }
+      
+      if (this.temperatureSlider) {
+        this.temperatureSlider.addEventListener('input', (e) => {
+          const value = parseInt(e.target.value, 10);
+          this.setTemperature(value);
+          this.updateSliderVisual(this.temperatureSlider, value, DENDRITE_CONFIG.TEMPERATURE_MIN, DENDRITE_CONFIG.TEMPERATURE_MAX);
+          this.temperatureValue.textContent = `${value} °C`;
+        });
+      }
+      
+      if (this.electrolyteSelect) {
+        this.electrolyteSelect.addEventListener('change', (e) => {
+          this.setElectrolyte(e.target.value);
+        });
+      }
+      
+      if (this.cyclesSlider) {
+        this.cyclesSlider.addEventListener('input', (e) => {
+          const value = parseInt(e.target.value, 10);
+          this.setTargetCycles(value);
+          this.updateSliderVisual(this.cyclesSlider, value, DENDRITE_CONFIG.CYCLES_MIN, DENDRITE_CONFIG.CYCLES_MAX);
+          this.cyclesValue.textContent = `${value}`;
+        });
+      }
+      
+      // Settled inputs become history entries (URL hash), not every step of a drag
+      const inputs = [
+        this.electrolyteSelect,
+        this.pressureSlider,
+        this.roughnessSlider,
+        this.temperatureSlider,
+        this.currentDensitySlider,
+        this.cyclesSlider
+      ];
+      inputs.forEach((input) => {
+        input?.addEventListener('change', () => this.commitUrlState());
+      });
+      
+      if (this.playButton) {
+        this.playButton.addEventListener('click', () => this.togglePlayback());
+        this.timelineSlider.addEventListener('input', (e) => {
+          this.seekCycle(parseInt(e.target.value, 10));
+        });
+      }
     }
     
     // Handle resize for mobile detection
@@ -572,9 +1115,10 @@ class DendriteSimulation {
     this.transitionTargetPressure = value;
     this.transitionStartRoughness = this.animatedRoughness;
     this.transitionTargetRoughness = this.roughness;
-    this.transitionStartTime = performance.now();
+    this.transitionStartTime = this.now();
     this.isTransitioning = true;
     this.pressure = value;
+    this.restartCycles();
   }
   
   /**
@@ -585,10 +1129,147 @@ class DendriteSimulation {
     this.transitionTargetPressure = this.pressure;
     this.transitionStartRoughness = this.animatedRoughness;
     this.transitionTargetRoughness = value;
-    this.transitionStartTime = performance.now();
+    this.transitionStartTime = this.now();
     this.isTransitioning = true;
     this.roughness = value;
     this.generateInterfaceGeometry();
+    this.restartCycles();
+  }
+  
+  /**
+   * Set the charging current density (mA/cm²)
+   */
+  setCurrentDensity(value) {
+    this.currentDensity = value;
+    this.restartCycles();
+  }
+  
+  /**
+   * Set the cell temperature (°C)
+   */
+  setTemperature(value) {
+    this.temperature = value;
+    this.restartCycles();
+  }
+  
+  /**
+   * Set the electrolyte preset (key of ELECTROLYTE_PRESETS)
+   */
+  setElectrolyte(value) {
+    if (!Object.keys(ELECTROLYTE_PRESETS).includes(value)) return;
+    this.electrolyte = value;
+    this.restartCycles();
+  }
+  
+  /**
+   * Set the number of charge cycles the timeline runs to
+   */
+  setTargetCycles(value) {
+    this.targetCycles = value;
+    this.cycle = Math.min(this.cycle, value);
+    this.updateTimeline();
+  }
+  
+  /**
+   * New inputs: replay the charge cycles from a pristine interface
+   */
+  restartCycles() {
+    this.growthModel.reset();
+    this.cycle = 0;
+    this.cycleProgress = 0;
+    this.isPlaying = true;
+    this.updateTimeline();
+  }
+  
+  /**
+   * Play / pause the timeline, playing again from cycle 0 once it has ended
+   */
+  togglePlayback() {
+    if (!this.isPlaying && (this.cycle >= this.targetCycles || this.isShorted)) {
+      this.cycle = 0;
+    }
+    this.isPlaying = !this.isPlaying;
+    this.updateTimeline();
+  }
+  
+  /**
+   * Show a cycle (timeline scrubber), computing the cycles up to it if needed
+   */
+  seekCycle(cycle) {
+    this.isPlaying = false;
+    this.cycle = clamp(cycle, 0, this.targetCycles);
+    this.runCycles(this.cycle);
+    this.updateTimeline();
+  }
+  
+  /**
+   * Step the growth model up to a cycle with the current inputs
+   */
+  runCycles(cycle) {
+    while (this.growthModel.cycles < cycle) {
+      this.growthModel.step({
+        densityMap: this.growthDensityMap,
+        currentDensity: this.currentDensity,
+        drive: this.growthDrive,
+        voidTarget: this.voidTarget
+      });
+    }
+  }
+  
+  /**
+   * Advance the playback and take the physics state of the cycle on screen
+   */
+  updateCycles(deltaTime) {
+    if (this.isPlaying) {
+      const elapsed = Math.min(deltaTime, DENDRITE_CONFIG.MAX_FRAME_TIME);
+      this.cycleProgress += (elapsed / 1000) * DENDRITE_CONFIG.CYCLES_PER_SECOND;
+      const steps = Math.floor(this.cycleProgress);
+      this.cycleProgress -= steps;
+      
+      if (steps > 0) {
+        this.cycle = Math.min(this.targetCycles, this.cycle + steps);
+        this.runCycles(this.cycle);
+        
+        // Stop at the last cycle, or when a dendrite has shorted the cell
+        if (this.cycle >= this.targetCycles || this.growthModel.stateAt(this.cycle).shorted) {
+          this.isPlaying = false;
+        }
+        this.updateTimeline();
+      }
+    }
+    
+    const state = this.growthModel.stateAt(this.cycle);
+    this.voidFraction = state.voidFraction;
+    this.dendritePenetration = state.penetration;
+    this.isShorted = state.shorted;
+    
+    // Risk level: combination of void and dendrite factors
+    this.riskLevel = Math.max(this.voidFraction, this.dendritePenetration) * 100;
+  }
+  
+  /**
+   * Sync the play button and scrubber with the playback
+   */
+  updateTimeline() {
+    if (!this.playButton) return;
+    
+    const label = this.isPlaying
+      ? window.i18n?.t('deeptech.simulation.pause') || 'Pause'
+      : window.i18n?.t('deeptech.simulation.play') || 'Play';
+    this.playButton.textContent = this.isPlaying ? '❚❚' : '▶';
+    this.playButton.setAttribute('aria-label', label);
+    this.playButton.title = label;
+    
+    this.timelineSlider.max = this.targetCycles;
+    this.timelineSlider.value = this.cycle;
+    this.updateSliderVisual(this.timelineSlider, this.cycle, 0, this.targetCycles);
+  }
+  
+  /**
+   * Current animation time (ms): the fixed-step clock when seeded, wall time otherwise
+   */
+  now() {
+    return this.seed !== null ? this.clock : performance.now();
   }
   
   /**
@@ -607,6 +1288,7 @@ class DendriteSimulation {
     this.ctx.scale(this.dpr, this.dpr);
     
     this.generateInterfaceGeometry();
+    this.sweep?.redraw();
   }
   
   /**
@@ -624,14 +1306,21 @@ class DendriteSimulation {
                                 (DENDRITE_CONFIG.ROUGHNESS_MAX - DENDRITE_CONFIG.ROUGHNESS_MIN);
     const amplitude = roughnessNormalized * 25; // Max 25px variation
     
+    // Phases of the roughness components, drawn from the seed when there is one
+    // (a fresh generator per call keeps the profile stable while the roughness changes)
+    const random = createRandom(this.seed);
+    const [phase1, phase2, phase3] = this.seed !== null
+      ? [random(), random(), random()].map((r) => r * Math.PI * 2)
+      : [0, 1.5, 3.0];
+    
     // Generate rough interface
     for (let i = 0; i <= numPoints; i++) {
       const x = (i / numPoints) * this.width;
       
       // Multiple frequency components for realistic roughness
-      const noise1 = Math.sin(i * 0.3) * amplitude * 0.5;
-      const noise2 = Math.sin(i * 0.7 + 1.5) * amplitude * 0.3;
-      const noise3 = Math.sin(i * 1.2 + 3.0) * amplitude * 0.2;
+      const noise1 = Math.sin(i * 0.3 + phase1) * amplitude * 0.5;
+      const noise2 = Math.sin(i * 0.7 + phase2) * amplitude * 0.3;
+      const noise3 = Math.sin(i * 1.2 + phase3) * amplitude * 0.2;
       
       const y = interfaceY + noise1 + noise2 + noise3;
       
@@ -643,11 +1332,51 @@ class DendriteSimulation {
   }
   
   /**
-   * Calculate physics state based on current parameters
+   * Electrolyte properties at a temperature
+   *
+   * @returns {Object} { preset, criticalCurrentDensity (mA/cm²), voidThresholdPressure (MPa),
+   *   suppression: mechanical dendrite blocking 0–1 }
    */
-  calculatePhysicsState() {
-    const pressure = this.animatedPressure;
-    const roughness = this.animatedRoughness;
+  evaluateMaterial(electrolyte = this.electrolyte, temperature = this.temperature) {
+    const preset = ELECTROLYTE_PRESETS[electrolyte];
+    const arrhenius = (energy) => Math.exp(
+      (energy / DENDRITE_CONFIG.BOLTZMANN) *
+      (1 / (DENDRITE_CONFIG.REFERENCE_TEMPERATURE + 273.15) - 1 / (temperature + 273.15))
+    );
+    
+    // Faster ion transport when warm lets the interface take more current
+    const criticalCurrentDensity =
+      preset.criticalCurrentDensity * arrhenius(preset.activationEnergy);
+    
+    // Stiff electrolytes need more pressure to keep contact, warm lithium creeps into the gaps
+    const stiffness = preset.shearModulus / DENDRITE_CONFIG.REFERENCE_SHEAR_MODULUS;
+    const voidThresholdPressure =
+      (DENDRITE_CONFIG.VOID_THRESHOLD_PRESSURE * Math.pow(stiffness, 0.25)) /
+      arrhenius(DENDRITE_CONFIG.LITHIUM_CREEP_ENERGY);
+    
+    // Monroe–Newman: only a shear modulus above twice lithium's blocks dendrites mechanically
+    const blockingModulus = 2 * DENDRITE_CONFIG.LITHIUM_SHEAR_MODULUS;
+    const suppression = Math.min(1, preset.shearModulus / blockingModulus);
+    
+    return { preset, criticalCurrentDensity, voidThresholdPressure, suppression };
+  }
+  
+  /**
+   * Quasi-static physics at an operating point, without touching the simulation state
+   * (the parameter sweep evaluates the whole pressure × roughness grid with it)
+   *
+   * @param {number} pressure - MPa
+   * @param {number} roughness - μm
+   * @param {Object} [inputs] - { currentDensity, temperature, electrolyte }, default: current
+   * @returns {Object} { pressureNorm, roughnessNorm, voidTarget, growthDrive, riskLevel (%),
+   *   material: see evaluateMaterial() }
+   */
+  evaluatePhysics(pressure, roughness, {
+    currentDensity = this.currentDensity,
+    temperature = this.temperature,
+    electrolyte = this.electrolyte
+  } = {}) {
+    const material = this.evaluateMaterial(electrolyte, temperature);
     
     // Normalize values
     const pressureNorm = (pressure - DENDRITE_CONFIG.PRESSURE_MIN) / 
@@ -657,34 +1386,55 @@ class DendriteSimulation {
     
     // Void fraction: increases at low pressure, especially with high roughness
     // Based on Persson's Contact Theory
-    const voidThreshold = (DENDRITE_CONFIG.VOID_THRESHOLD_PRESSURE - DENDRITE_CONFIG.PRESSURE_MIN) / 
+    // (the interface approaches it over the charge cycles, see DendriteGrowthModel)
+    const voidThreshold = (material.voidThresholdPressure - DENDRITE_CONFIG.PRESSURE_MIN) / 
                           (DENDRITE_CONFIG.PRESSURE_MAX - DENDRITE_CONFIG.PRESSURE_MIN);
+    let voidTarget = 0;
     if (pressureNorm < voidThreshold) {
       const voidFactor = 1 - (pressureNorm / voidThreshold);
-      this.voidFraction = voidFactor * (0.3 + roughnessNorm * 0.5);
-    } else {
-      this.voidFraction = 0;
+      voidTarget = voidFactor * (0.3 + roughnessNorm * 0.5);
     }
     
-    // Dendrite penetration: grows at low pressure and high roughness
-    const dendriteThreshold = (DENDRITE_CONFIG.DENDRITE_THRESHOLD_PRESSURE - DENDRITE_CONFIG.PRESSURE_MIN) / 
+    // Dendrite growth drive: grows at low pressure and high roughness
+    // The critical pressure rises with the square root of the current density
+    const currentRatio = currentDensity / material.criticalCurrentDensity;
+    const criticalPressure = DENDRITE_CONFIG.DENDRITE_THRESHOLD_PRESSURE * Math.sqrt(currentRatio);
+    const dendriteThreshold = (criticalPressure - DENDRITE_CONFIG.PRESSURE_MIN) / 
                               (DENDRITE_CONFIG.PRESSURE_MAX - DENDRITE_CONFIG.PRESSURE_MIN);
+    let growthDrive = 0;
     if (pressureNorm < dendriteThreshold) {
       const growthFactor = 1 - (pressureNorm / dendriteThreshold);
-      this.dendritePenetration = growthFactor * (0.4 + roughnessNorm * 0.6);
-    } else {
-      this.dendritePenetration = Math.max(0, this.dendritePenetration - 0.02); // Slowly recede
+      const softening = 2 - material.suppression; // Soft electrolytes let tips advance faster
+      growthDrive = clamp(growthFactor * (0.4 + roughnessNorm * 0.6) * softening, 0, 1);
     }
-    this.dendritePenetration = clamp(this.dendritePenetration, 0, 1);
     
-    // Risk level: combination of void and dendrite factors
-    this.riskLevel = Math.max(this.voidFraction, this.dendritePenetration) * 100;
+    // Long-run risk: voids and dendrites once the cycling has settled
+    const riskLevel = Math.max(voidTarget, growthDrive) * 100;
+    
+    return { pressureNorm, roughnessNorm, voidTarget, growthDrive, riskLevel, material };
+  }
+  
+  /**
+   * Calculate physics state based on current parameters
+   */
+  calculatePhysicsState() {
+    const physics = this.evaluatePhysics(this.animatedPressure, this.animatedRoughness);
+    this.material = physics.material;
     
     // Update lithium deformation based on pressure (viscoplastic flow)
-    this.updateLithiumDeformation(pressureNorm);
+    this.updateLithiumDeformation(physics.pressureNorm);
     
     // Update current density map for heatmap
-    this.updateCurrentDensityMap(roughnessNorm, pressureNorm);
+    this.currentDensityMap = this.getCurrentDensityMap(physics.roughnessNorm, physics.pressureNorm);
+    
+    // The growth model takes the chosen inputs, not the slider transition on screen, so the
+    // cycles grown while it plays already belong to the new scenario
+    const target = this.evaluatePhysics(this.pressure, this.roughness);
+    this.voidTarget = target.voidTarget;
+    this.growthDrive = target.growthDrive;
+    this.growthDensityMap = this.getCurrentDensityMap(
+      target.roughnessNorm, target.pressureNorm, 'baseY'
+    );
   }
   
   /**
@@ -714,10 +1464,13 @@ class DendriteSimulation {
   }
   
   /**
-   * Update current density map for heatmap visualization
+   * Current density along the interface, 0–1
+   *
+   * @param {string} [profile] - 'y' for the interface on screen, 'baseY' for the one generated
+   *   at the chosen roughness
    */
-  updateCurrentDensityMap(roughnessNorm, pressureNorm) {
-    this.currentDensityMap = [];
+  getCurrentDensityMap(roughnessNorm, pressureNorm, profile = 'y') {
+    const densityMap = [];
     
     // Current focuses at asperities (peaks) when pressure is low
     // and roughness is high
@@ -728,7 +1481,7 @@ class DendriteSimulation {
       const interfaceY = this.height * DENDRITE_CONFIG.ANODE_HEIGHT_RATIO;
       
       // Points below average interface = peaks = high current density
-      const deviation = interfaceY - point.y;
+      const deviation = interfaceY - point[profile];
       const normalizedDeviation = deviation / 25; // Normalize by max amplitude
       
       // Current density increases at peaks
@@ -737,15 +1490,19 @@ class DendriteSimulation {
         currentDensity += normalizedDeviation * focusingFactor * 0.7;
       }
       
-      this.currentDensityMap.push(clamp(currentDensity, 0, 1));
+      densityMap.push(clamp(currentDensity, 0, 1));
     }
+    
+    return densityMap;
   }
   
   /**
    * Start animation loop
    */
   startAnimation() {
-    const animate = (timestamp) => {
+    const animate = (frameTime) => {
+      this.clock = this.seed !== null ? this.clock + DENDRITE_CONFIG.FIXED_TIMESTEP : frameTime;
+      const timestamp = this.clock;
       const deltaTime = timestamp - this.lastFrameTime;
       this.lastFrameTime = timestamp;
       
@@ -760,12 +1517,18 @@ class DendriteSimulation {
       // Calculate physics state
       this.calculatePhysicsState();
       
+      // Run the charge cycles
+      this.updateCycles(deltaTime);
+      
       // Update annotations
       this.updateAnnotations();
       
       // Update metrics displays
       this.updateMetricsDisplay();
       
+      // Redraw the operating map when its inputs changed
+      this.sweep?.update();
+      
       // Render
       this.render();
       
@@ -783,30 +1546,41 @@ class DendriteSimulation {
       this.lastCycleTime = timestamp;
       
       // Toggle state
-      if (this.mobileState === 'low') {
-        this.mobileState = 'high';
-        this.setTargetPressure(18);
-        this.setTargetRoughness(0.5);
-        
-        // Update indicator
-        if (this.mobileStateDots) {
-          this.mobileStateDots.low.style.opacity = '0.3';
-          this.mobileStateDots.high.style.opacity = '1';
-          this.mobileStateDots.text.setAttribute('data-i18n', 'deeptech.simulation.stateHigh');
-          this.mobileStateDots.text.textContent = window.i18n?.t('deeptech.simulation.stateHigh') || 'High Pressure (18 MPa)';
-        }
-      } else {
-        this.mobileState = 'low';
-        this.setTargetPressure(3);
-        this.setTargetRoughness(4.0);
-        
-        // Update indicator
-        if (this.mobileStateDots) {
-          this.mobileStateDots.low.style.opacity = '1';
-          this.mobileStateDots.high.style.opacity = '0.3';
-          this.mobileStateDots.text.setAttribute('data-i18n', 'deeptech.simulation.stateLow');
-          this.mobileStateDots.text.textContent = window.i18n?.t('deeptech.simulation.stateLow') || 'Low Pressure (3 MPa)';
-        }
+      this.setMobileState(this.mobileState === 'low' ? 'high' : 'low');
+    }
+  }
+  
+  /**
+   * Show a mobile state: 'low' or 'high' pressure
+   */
+  setMobileState(state) {
+    this.mobileState = state;
+    
+    if (state === 'high') {
+      this.setTargetPressure(DENDRITE_CONFIG.MOBILE_HIGH_PRESSURE);
+      this.setTargetRoughness(0.5);
+      
+      // Update indicator
+      if (this.mobileStateDots) {
+        this.mobileStateDots.low.style.opacity = '0.3';
+        this.mobileStateDots.high.style.opacity = '1';
+        const pressureArgs = { pressure: DENDRITE_CONFIG.MOBILE_HIGH_PRESSURE };
+        this.mobileStateDots.text.setAttribute('data-i18n', 'deeptech.simulation.stateHigh');
+        this.mobileStateDots.text.setAttribute('data-i18n-args', JSON.stringify(pressureArgs));
+        this.mobileStateDots.text.textContent = window.i18n?.t('deeptech.simulation.stateHigh', pressureArgs) || `High Pressure (${pressureArgs.pressure} MPa)`;
+      }
+    } else {
+      this.setTargetPressure(DENDRITE_CONFIG.MOBILE_LOW_PRESSURE);
+      this.setTargetRoughness(4.0);
+      
+      // Update indicator
+      if (this.mobileStateDots) {
+        this.mobileStateDots.low.style.opacity = '1';
+        this.mobileStateDots.high.style.opacity = '0.3';
+        const pressureArgs = { pressure: DENDRITE_CONFIG.MOBILE_LOW_PRESSURE };
+        this.mobileStateDots.text.setAttribute('data-i18n', 'deeptech.simulation.stateLow');
+        this.mobileStateDots.text.setAttribute('data-i18n-args', JSON.stringify(pressureArgs));
+        this.mobileStateDots.text.textContent = window.i18n?.t('deeptech.simulation.stateLow', pressureArgs) || `Low Pressure (${pressureArgs.pressure} MPa)`;
       }
     }
   }
@@ -859,7 +1633,7 @@ class DendriteSimulation {
     
     // Determine which annotations should be visible
     const showVoid = this.voidFraction > 0.05;
-    const showDendrite = this.dendritePenetration > 0.1 && pressureNorm < 0.4;
+    const showDendrite = this.dendritePenetration > 0.1;
     const showFlow = pressureNorm > 0.6;
     
     // Create or update void annotation
@@ -894,9 +1668,41 @@ class DendriteSimulation {
       'J2-Viscoplasticity: Li Creep Active',
       'success'
     );
+    
+    // Electrolyte preset: current above its critical current density, too soft to block dendrites
+    const { preset, criticalCurrentDensity, suppression } = this.material;
+    const ccdArgs = {
+      electrolyte: preset.name,
+      ccd: Math.round(criticalCurrentDensity * 100) / 100
+    };
+    this.updateSingleAnnotation(
+      'ccd',
+      this.currentDensity > criticalCurrentDensity,
+      this.width * 0.55,
+      this.height * 0.86,
+      'deeptech.simulation.annotationCCD',
+      `Above ${ccdArgs.electrolyte} Critical Current Density (${ccdArgs.ccd} mA/cm²)`,
+      'danger',
+      ccdArgs
+    );
+    
+    this.updateSingleAnnotation(
+      'modulus',
+      suppression < 1 && this.growthDrive > 0,
+      this.width * 0.3,
+      this.height * 0.62,
+      'deeptech.simulation.annotationModulus',
+      `Monroe–Newman: ${preset.name} Too Soft to Block Dendrites`,
+      'warning',
+      { electrolyte: preset.name }
+    );
   }
 
-  updateSingleAnnotation(id, shouldShow, x, y, i18nKey, defaultText, type) {
+  /**
+   * Show, move or remove an annotation
+   * With args the text is an ICU message, refreshed whenever the args change
+   */
+  updateSingleAnnotation(id, shouldShow, x, y, i18nKey, defaultText, type, args = null) {
     let annotation = this.annotationsContainer.querySelector(`[data-annotation-id="${id}"]`);
     
     if (shouldShow) {
@@ -941,6 +1747,14 @@ class DendriteSimulation {
         annotation.offsetHeight;
       }
       
+      if (args) {
+        const argsJSON = JSON.stringify(args);
+        if (annotation.getAttribute('data-i18n-args') !== argsJSON) {
+          annotation.setAttribute('data-i18n-args', argsJSON);
+          annotation.textContent = window.i18n?.t(i18nKey, args) || defaultText;
+        }
+      }
+      
       // Update position and show
       annotation.style.left = `${x}px`;
       annotation.style.top = `${y}px`;
@@ -956,6 +1770,42 @@ class DendriteSimulation {
    * Update metrics display
    */
   updateMetricsDisplay() {
+    // Update electrolyte properties (only when they change)
+    if (this.electrolyteDisplay) {
+      const { preset, criticalCurrentDensity } = this.material;
+      const modulus = preset.shearModulus >= 1
+        ? `${preset.shearModulus} GPa`
+        : `${Math.round(preset.shearModulus * 1000)} MPa`;
+      const ccd = criticalCurrentDensity.toFixed(criticalCurrentDensity < 1 ? 2 : 1);
+      const overCurrent = this.currentDensity > criticalCurrentDensity;
+      const key = `${preset.name}|${ccd}|${overCurrent}|${this.temperature}`;
+      
+      if (key !== this.electrolyteDisplayKey) {
+        this.electrolyteDisplayKey = key;
+        const ccdColor = overCurrent
+          ? DENDRITE_CONFIG.COLOR_RISK_DANGER
+          : DENDRITE_CONFIG.COLOR_TEXT;
+        this.electrolyteDisplay.innerHTML = `
+          <div class="text-base font-bold">${preset.name} · ${this.temperature} °C</div>
+          <div>G = ${modulus}</div>
+          <div style="color: ${ccdColor};">J<sub>c</sub> = ${ccd} mA/cm²</div>
+        `;
+      }
+    }
+    
+    // Update cycle counter
+    if (this.cycleDisplay) {
+      this.cycleDisplay.textContent = `${this.cycle} / ${this.targetCycles}`;
+      
+      if (this.isShorted) {
+        const shortArgs = { cycle: this.growthModel.shortCycle };
+        this.shortCircuitLabel.setAttribute('data-i18n', 'deeptech.simulation.shortCircuit');
+        this.shortCircuitLabel.setAttribute('data-i18n-args', JSON.stringify(shortArgs));
+        this.shortCircuitLabel.textContent = window.i18n?.t('deeptech.simulation.shortCircuit', shortArgs) || `Short circuit at cycle ${shortArgs.cycle}`;
+      }
+      this.shortCircuitLabel.style.display = this.isShorted ? 'block' : 'none';
+    }
+    
     // Update penetration
     if (this.penetrationDisplay) {
       const penetrationPercent = Math.round(this.dendritePenetration * 100);
@@ -1013,14 +1863,14 @@ class DendriteSimulation {
   }
   
   /**
-   * Draw the ceramic electrolyte layer (LLZO)
+   * Draw the solid electrolyte layer in the color of the chosen preset
    */
   drawElectrolyteLayer(ctx) {
     const interfaceY = this.height * DENDRITE_CONFIG.ANODE_HEIGHT_RATIO;
     const electrolyteHeight = this.height * DENDRITE_CONFIG.ELECTROLYTE_HEIGHT_RATIO;
     
     // Main electrolyte fill
-    ctx.fillStyle = DENDRITE_CONFIG.COLOR_ELECTROLYTE;
+    ctx.fillStyle = this.material.preset.color;
     ctx.fillRect(0, interfaceY, this.width, electrolyteHeight);
     
     // Geometric pattern overlay (crystal structure hint)
@@ -1159,74 +2009,63 @@ class DendriteSimulation {
   }
   
   /**
-   * Draw the dendrite (sharp needle)
+   * Interface point above a growth model column
+   */
+  columnPoint(col) {
+    const fraction = (col + 0.5) / this.growthModel.cols;
+    return this.interfacePoints[Math.round(fraction * (this.interfacePoints.length - 1))];
+  }
+  
+  /**
+   * Draw the dendrite grown by the model up to the cycle on screen
    */
   drawDendrite(ctx) {
-    if (this.dendritePenetration < 0.05) return;
+    const model = this.growthModel;
+    const { deposits } = model.stateAt(this.cycle);
+    if (deposits === 0) return;
     
     const interfaceY = this.height * DENDRITE_CONFIG.ANODE_HEIGHT_RATIO;
-    const electrolyteHeight = this.height * DENDRITE_CONFIG.ELECTROLYTE_HEIGHT_RATIO;
-    const maxPenetration = electrolyteHeight * 0.85;
-    
-    // Find the point with highest current density (where dendrite nucleates)
-    let maxDensityIndex = 0;
-    let maxDensity = 0;
-    for (let i = 0; i < this.currentDensityMap.length; i++) {
-      if (this.currentDensityMap[i] > maxDensity) {
-        maxDensity = this.currentDensityMap[i];
-        maxDensityIndex = i;
-      }
-    }
+    const cellWidth = this.width / model.cols;
     
-    // Fallback to center if no clear hotspot
-    if (maxDensity < 0.4) {
-      maxDensityIndex = Math.floor(this.interfacePoints.length / 2);
-    }
-    
-    const nucleationPoint = this.interfacePoints[maxDensityIndex];
-    const dendriteX = nucleationPoint.x;
-    const dendriteStartY = nucleationPoint.y;
-    const dendriteEndY = dendriteStartY + (maxPenetration * this.dendritePenetration);
-    
-    // Draw sharp needle dendrite
-    const baseWidth = 8 + this.dendritePenetration * 4;
-    
-    // Dendrite body gradient
-    const gradient = ctx.createLinearGradient(dendriteX, dendriteStartY, dendriteX, dendriteEndY);
+    // Dendrite body gradient (brighter towards the cathode)
+    const gradient = ctx.createLinearGradient(0, interfaceY, 0, this.height);
     gradient.addColorStop(0, DENDRITE_CONFIG.COLOR_DENDRITE);
     gradient.addColorStop(0.8, DENDRITE_CONFIG.COLOR_DENDRITE);
     gradient.addColorStop(1, DENDRITE_CONFIG.COLOR_DENDRITE_TIP);
     
+    // Lattice rows run from each column's interface point down to the cathode
+    let tip = null;
     ctx.beginPath();
-    ctx.moveTo(dendriteX - baseWidth / 2, dendriteStartY);
-    ctx.lineTo(dendriteX + baseWidth / 2, dendriteStartY);
-    ctx.lineTo(dendriteX + 1, dendriteEndY); // Sharp tip
-    ctx.lineTo(dendriteX - 1, dendriteEndY);
-    ctx.closePath();
-    
+    for (let i = 0; i < deposits; i++) {
+      const cell = model.cells[i];
+      const row = Math.floor(cell / model.cols);
+      const col = cell % model.cols;
+      const top = this.columnPoint(col).y;
+      const cellHeight = (this.height - top) / model.rows;
+      const x = col * cellWidth;
+      const y = top + row * cellHeight;
+      
+      // Slightly oversized cells so neighbors join into one body
+      ctx.rect(x - 0.5, y - 0.5, cellWidth + 1, cellHeight + 1);
+      if (!tip || row > tip.row) {
+        tip = { row, x: x + cellWidth / 2, y: y + cellHeight };
+      }
+    }
     ctx.fillStyle = gradient;
     ctx.fill();
     
     // Bright tip glow
     const tipGlow = ctx.createRadialGradient(
-      dendriteX, dendriteEndY, 0,
-      dendriteX, dendriteEndY, 10
+      tip.x, tip.y, 0,
+      tip.x, tip.y, 10
     );
     tipGlow.addColorStop(0, 'rgba(255, 255, 255, 0.8)');
     tipGlow.addColorStop(1, 'transparent');
     
     ctx.beginPath();
-    ctx.arc(dendriteX, dendriteEndY, 10, 0, Math.PI * 2);
+    ctx.arc(tip.x, tip.y, 10, 0, Math.PI * 2);
     ctx.fillStyle = tipGlow;
     ctx.fill();
-    
-    // Edge highlight
-    ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
-    ctx.lineWidth = 1;
-    ctx.beginPath();
-    ctx.moveTo(dendriteX - baseWidth / 2 + 1, dendriteStartY);
-    ctx.lineTo(dendriteX, dendriteEndY);
-    ctx.stroke();
   }
   
   /**
@@ -1246,7 +2085,8 @@ class DendriteSimulation {
     
     // Electrolyte label
     ctx.fillStyle = '#0369A1';
-    ctx.fillText(window.i18n?.t('deeptech.simulation.labelElectrolyte') || 'LLZO Ceramic Electrolyte', 16, interfaceY + electrolyteHeight / 2);
+    const { preset } = this.material;
+    ctx.fillText(window.i18n?.t(preset.i18nKey) || preset.label, 16, interfaceY + electrolyteHeight / 2);
     
     // Coordinate system indicator
     ctx.fillStyle = DENDRITE_CONFIG.COLOR_TEXT_SECONDARY;
@@ -1259,12 +2099,15 @@ class DendriteSimulation {
    * Update translations
    */
   updateTranslations() {
+    this.updateTimeline();
+    this.sweep?.updateText();
+    
     // Update all i18n elements
     const elements = this.wrapper.querySelectorAll('[data-i18n]');
     elements.forEach(el => {
       const key = el.getAttribute('data-i18n');
       if (window.i18n && window.i18n.t) {
-        const translation = window.i18n.t(key);
+        const translation = window.i18n.t(key, window.i18n.getElementArgs(el));
         if (translation && translation !== key) {
           el.textContent = translation;
         }
@@ -1279,6 +2122,9 @@ class DendriteSimulation {
     if (this.animationId) {
       cancelAnimationFrame(this.animationId);
     }
+    this.sweep?.destroy();
+    this.stopUrlSync?.();
+    clearTimeout(this.shareTimer);
     if (this.wrapper && this.wrapper.parentNode) {
       this.wrapper.parentNode.removeChild(this.wrapper);
     }
@@ -1326,4 +2172,4 @@ if (document.readyState === 'loading') {
 }
 
 // Export for module usage
-export { DendriteSimulation, initDendriteSimulation };
\ No newline at end of file
+export { DendriteSimulation, ELECTROLYTE_PRESETS, initDendriteSimulation };
\ No newline at end of file
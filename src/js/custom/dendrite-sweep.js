@@ -0,0 +1,507 @@
+/* =========================
+DENDRITE PARAMETER SWEEP
+Operating map for DendriteSimulation: the long-run failure risk over the whole
+pressure × roughness grid at the current density, temperature and electrolyte,
+evaluated with DendriteSimulation.evaluatePhysics() (no rendering)
+- Heatmap with the current operating point and the critical-pressure contour
+- Export of the grid as CSV or JSON and of the chart as PNG
+Labels come from deeptech.simulation.sweep.* translation keys
+=========================== */
+
+import { toCSV } from '../utils/csv.js';
+import { formatMessage } from '../utils/message-format.js';
+
+// Configuration constants
+const SWEEP_CONFIG = {
+  CRITICAL_RISK: 30, // Risk (%) the critical-pressure contour follows (start of "Medium Risk")
+  MARGIN: { top: 40, right: 80, bottom: 48, left: 60 }, // Chart margins (px)
+  PRESSURE_TICK: 2, // MPa between axis ticks
+  ROUGHNESS_TICK: 1, // μm between axis ticks
+
+  // Risk colors (same as the risk gauge)
+  COLOR_SAFE: '#22C55E',
+  COLOR_WARNING: '#F59E0B',
+  COLOR_DANGER: '#EF4444',
+  COLOR_TEXT: '#1F2937',
+  COLOR_TEXT_SECONDARY: '#6B7280',
+  COLOR_BACKGROUND: '#FFFFFF',
+  FONT: '11px "SF Mono", "Fira Code", "Consolas", monospace',
+};
+
+// English fallbacks while translations load (ICU messages, see message-format.js)
+const SWEEP_TEXT = {
+  open: 'Operating Map',
+  title: 'Operating map: {electrolyte} at {current, number} mA/cm², {temperature, number} °C',
+  risk: 'Failure Risk',
+  critical: 'Critical pressure ({risk, number}% risk)',
+  close: 'Close',
+};
+
+const sweepText = (key, params) =>
+  window.i18n?.t(`deeptech.simulation.sweep.${key}`, params) ||
+  formatMessage(SWEEP_TEXT[key], params, 'en');
+
+// Evenly spaced values from min to max (rounded, so they match the slider steps exactly)
+const range = ({ min, max, step }) =>
+  Array.from(
+    { length: Math.round((max - min) / step) + 1 },
+    (_, i) => +(min + i * step).toFixed(6)
+  );
+
+const hexToRgb = (hex) => [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+
+/**
+ * Heatmap color of a risk level (%): safe → warning → danger
+ */
+const riskColor = (risk) => {
+  const t = Math.max(0, Math.min(1, risk / 100));
+  const [from, to, mix] =
+    t < 0.5
+      ? [SWEEP_CONFIG.COLOR_SAFE, SWEEP_CONFIG.COLOR_WARNING, t * 2]
+      : [SWEEP_CONFIG.COLOR_WARNING, SWEEP_CONFIG.COLOR_DANGER, t * 2 - 1];
+  const a = hexToRgb(from);
+  const b = hexToRgb(to);
+  return `rgb(${a.map((value, i) => Math.round(value + (b[i] - value) * mix)).join(', ')})`;
+};
+
+/**
+ * Save a blob as a file
+ */
+const download = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * Evaluate a physics function over the pressure × roughness grid
+ *
+ * @param {(pressure: number, roughness: number) => Object} evaluate - Returns
+ *   { voidTarget, growthDrive, riskLevel }, see DendriteSimulation.evaluatePhysics()
+ * @param {{ min: number, max: number, step: number }} pressureRange - MPa
+ * @param {{ min: number, max: number, step: number }} roughnessRange - μm
+ * @returns {{ pressures: number[], roughnesses: number[], cells: Object[][] }}
+ *   cells[roughness index][pressure index]:
+ *   { pressure, roughness, voidFraction, growthDrive, risk }
+ */
+const sweepParameters = (evaluate, pressureRange, roughnessRange) => {
+  const pressures = range(pressureRange);
+  const roughnesses = range(roughnessRange);
+  const cells = roughnesses.map((roughness) =>
+    pressures.map((pressure) => {
+      const { voidTarget, growthDrive, riskLevel } = evaluate(pressure, roughness);
+      return { pressure, roughness, voidFraction: voidTarget, growthDrive, risk: riskLevel };
+    })
+  );
+  return { pressures, roughnesses, cells };
+};
+
+/**
+ * Lowest pressure keeping the risk at or below a level, per roughness
+ * (risk falls with pressure, so this traces the level's contour through the grid)
+ *
+ * @returns {{ roughness: number, pressure: number|null }[]} null: no grid pressure is safe enough
+ */
+const criticalPressureCurve = ({ pressures, roughnesses, cells }, level) =>
+  roughnesses.map((roughness, j) => {
+    const row = cells[j];
+    const i = row.findIndex((cell) => cell.risk <= level);
+    if (i <= 0) return { roughness, pressure: i === 0 ? pressures[0] : null };
+
+    // Interpolate between the last unsafe and the first safe pressure
+    const below = row[i - 1];
+    const above = row[i];
+    const t = (below.risk - level) / (below.risk - above.risk);
+    return { roughness, pressure: below.pressure + t * (above.pressure - below.pressure) };
+  });
+
+/**
+ * DendriteSweep Class
+ * Operating map panel over the simulation canvas, opened from the control panel
+ */
+class DendriteSweep {
+  /**
+   * @param {DendriteSimulation} simulation
+   * @param {Object} ranges - { pressure, roughness }: { min, max, step } of each slider
+   */
+  constructor(simulation, ranges) {
+    this.simulation = simulation;
+    this.ranges = ranges;
+    this.grid = null;
+    this.curve = null;
+    this.isOpen = false;
+    this.stateKey = null; // Inputs the chart was drawn for
+
+    this.createUI();
+    this.updateText();
+  }
+
+  createUI() {
+    const { simulation } = this;
+
+    this.toggleButton = document.createElement('button');
+    this.toggleButton.type = 'button';
+    this.toggleButton.className =
+      'text-sm font-medium text-secondary dark:text-secondary-light border rounded-lg px-3 py-2';
+    this.toggleButton.style.cssText = 'border-color: #E5E7EB; cursor: pointer;';
+    this.toggleButton.setAttribute('aria-expanded', 'false');
+    this.toggleButton.addEventListener('click', () => (this.isOpen ? this.close() : this.open()));
+    simulation.controlPanel.appendChild(this.toggleButton);
+
+    this.panel = document.createElement('div');
+    this.panel.className = 'dendrite-sweep';
+    this.panel.style.cssText = `
+      position: absolute;
+      inset: 0;
+      display: none;
+      flex-direction: column;
+      background: ${SWEEP_CONFIG.COLOR_BACKGROUND};
+      z-index: 2;
+    `;
+
+    const toolbar = document.createElement('div');
+    toolbar.style.cssText = `
+      display: flex;
+      justify-content: flex-end;
+      gap: 8px;
+      padding: 12px 16px 0;
+    `;
+
+    const createButton = (text, onClick) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'text-xs font-semibold text-secondary border rounded-md px-2 py-1';
+      button.style.cssText = 'border-color: #E5E7EB; cursor: pointer;';
+      button.textContent = text;
+      button.addEventListener('click', onClick);
+      toolbar.appendChild(button);
+      return button;
+    };
+    createButton('CSV', () => this.exportCSV());
+    createButton('JSON', () => this.exportJSON());
+    createButton('PNG', () => this.exportPNG());
+    this.closeButton = createButton('×', () => this.close());
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.setAttribute('role', 'img');
+    this.canvas.style.cssText = 'flex: 1; width: 100%; min-height: 0; display: block;';
+    this.ctx = this.canvas.getContext('2d');
+
+    this.panel.appendChild(toolbar);
+    this.panel.appendChild(this.canvas);
+    simulation.canvasContainer.appendChild(this.panel);
+  }
+
+  /**
+   * Refresh labels (current language)
+   */
+  updateText() {
+    this.toggleButton.textContent = sweepText('open');
+    this.closeButton.setAttribute('aria-label', sweepText('close'));
+    this.closeButton.title = sweepText('close');
+    this.redraw();
+  }
+
+  /**
+   * Draw the chart again (labels or size changed)
+   */
+  redraw() {
+    this.stateKey = null;
+    this.update();
+  }
+
+  open() {
+    this.isOpen = true;
+    this.panel.style.display = 'flex';
+    this.toggleButton.setAttribute('aria-expanded', 'true');
+    this.redraw();
+  }
+
+  close() {
+    this.isOpen = false;
+    this.panel.style.display = 'none';
+    this.toggleButton.setAttribute('aria-expanded', 'false');
+  }
+
+  /**
+   * Evaluate the grid at the current density, temperature and electrolyte
+   */
+  compute() {
+    const { simulation, ranges } = this;
+    const { currentDensity, temperature, electrolyte } = simulation;
+    const inputs = { currentDensity, temperature, electrolyte };
+    this.grid = sweepParameters(
+      (pressure, roughness) => simulation.evaluatePhysics(pressure, roughness, inputs),
+      ranges.pressure,
+      ranges.roughness
+    );
+    this.grid.inputs = inputs;
+    this.grid.electrolyteName = simulation.evaluateMaterial(electrolyte, temperature).preset.name;
+    this.curve = criticalPressureCurve(this.grid, SWEEP_CONFIG.CRITICAL_RISK);
+  }
+
+  /**
+   * Per frame: recompute and redraw when open and the inputs changed
+   */
+  update() {
+    if (!this.isOpen) return;
+
+    const { pressure, roughness, currentDensity, temperature, electrolyte } = this.simulation;
+    const inputs = this.grid?.inputs;
+    const key = `${pressure}|${roughness}|${currentDensity}|${temperature}|${electrolyte}`;
+    if (key === this.stateKey) return;
+
+    if (
+      inputs?.currentDensity !== currentDensity ||
+      inputs.temperature !== temperature ||
+      inputs.electrolyte !== electrolyte
+    ) {
+      this.compute();
+    }
+    this.stateKey = key;
+    this.render();
+  }
+
+  render() {
+    const { canvas, ctx, grid } = this;
+    const rect = canvas.getBoundingClientRect();
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = Math.round(rect.width * dpr);
+    canvas.height = Math.round(rect.height * dpr);
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+
+    const { top, right, bottom, left } = SWEEP_CONFIG.MARGIN;
+    const width = rect.width - left - right;
+    const height = rect.height - top - bottom;
+    if (width <= 0 || height <= 0) return;
+
+    const { pressures, roughnesses, cells } = grid;
+    const cellWidth = width / pressures.length;
+    const cellHeight = height / roughnesses.length;
+    const { pressure: pressureRange, roughness: roughnessRange } = this.ranges;
+
+    // Grid values sit at the cell centers
+    const xOf = (pressure) =>
+      left +
+      cellWidth / 2 +
+      ((pressure - pressureRange.min) / (pressureRange.max - pressureRange.min)) *
+        (width - cellWidth);
+    const yOf = (roughness) =>
+      top +
+      height -
+      cellHeight / 2 -
+      ((roughness - roughnessRange.min) / (roughnessRange.max - roughnessRange.min)) *
+        (height - cellHeight);
+
+    ctx.fillStyle = SWEEP_CONFIG.COLOR_BACKGROUND;
+    ctx.fillRect(0, 0, rect.width, rect.height);
+
+    // Title
+    ctx.fillStyle = SWEEP_CONFIG.COLOR_TEXT;
+    ctx.font = '600 13px system-ui, -apple-system, "Segoe UI", Roboto, sans-serif';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'alphabetic';
+    const title = sweepText('title', {
+      electrolyte: grid.electrolyteName,
+      current: grid.inputs.currentDensity,
+      temperature: grid.inputs.temperature,
+    });
+    ctx.fillText(title, left, top - 16);
+    canvas.setAttribute('aria-label', title);
+
+    // Heatmap (cells overlap by a pixel to avoid seams)
+    cells.forEach((row, j) => {
+      row.forEach((cell, i) => {
+        ctx.fillStyle = riskColor(cell.risk);
+        ctx.fillRect(
+          left + i * cellWidth,
+          top + height - (j + 1) * cellHeight,
+          cellWidth + 1,
+          cellHeight + 1
+        );
+      });
+    });
+
+    // Critical-pressure contour
+    ctx.save();
+    ctx.strokeStyle = SWEEP_CONFIG.COLOR_TEXT;
+    ctx.lineWidth = 2;
+    ctx.setLineDash([6, 4]);
+    ctx.beginPath();
+    let drawing = false;
+    this.curve.forEach(({ roughness, pressure }) => {
+      if (pressure === null) {
+        drawing = false;
+        return;
+      }
+      if (drawing) ctx.lineTo(xOf(pressure), yOf(roughness));
+      else ctx.moveTo(xOf(pressure), yOf(roughness));
+      drawing = true;
+    });
+    ctx.stroke();
+    ctx.restore();
+
+    // Contour label next to its top end
+    const last = [...this.curve].reverse().find((point) => point.pressure !== null);
+    if (last) {
+      ctx.fillStyle = SWEEP_CONFIG.COLOR_TEXT;
+      ctx.font = SWEEP_CONFIG.FONT;
+      ctx.textBaseline = 'top';
+      const label = sweepText('critical', { risk: SWEEP_CONFIG.CRITICAL_RISK });
+      const labelX = Math.min(xOf(last.pressure) + 6, left + width - ctx.measureText(label).width);
+      ctx.fillText(label, labelX, top + 4);
+    }
+
+    // Current operating point
+    const { pressure, roughness } = this.simulation;
+    const pointX = xOf(pressure);
+    const pointY = yOf(roughness);
+    ctx.strokeStyle = 'rgba(31, 41, 55, 0.4)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(pointX, top);
+    ctx.lineTo(pointX, top + height);
+    ctx.moveTo(left, pointY);
+    ctx.lineTo(left + width, pointY);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.arc(pointX, pointY, 6, 0, Math.PI * 2);
+    ctx.fillStyle = SWEEP_CONFIG.COLOR_BACKGROUND;
+    ctx.fill();
+    ctx.strokeStyle = SWEEP_CONFIG.COLOR_TEXT;
+    ctx.lineWidth = 2;
+    ctx.stroke();
+
+    this.renderAxes(ctx, { top, left, width, height, xOf, yOf });
+  }
+
+  /**
+   * Axis ticks and titles, and the risk color bar
+   */
+  renderAxes(ctx, { top, left, width, height, xOf, yOf }) {
+    const { pressure: pressureRange, roughness: roughnessRange } = this.ranges;
+    ctx.fillStyle = SWEEP_CONFIG.COLOR_TEXT_SECONDARY;
+    ctx.font = SWEEP_CONFIG.FONT;
+
+    // Pressure ticks
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    const firstPressure =
+      Math.ceil(pressureRange.min / SWEEP_CONFIG.PRESSURE_TICK) * SWEEP_CONFIG.PRESSURE_TICK;
+    for (let p = firstPressure; p <= pressureRange.max; p += SWEEP_CONFIG.PRESSURE_TICK) {
+      ctx.fillText(String(p), xOf(p), top + height + 6);
+    }
+
+    // Roughness ticks
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    const firstRoughness =
+      Math.ceil(roughnessRange.min / SWEEP_CONFIG.ROUGHNESS_TICK) * SWEEP_CONFIG.ROUGHNESS_TICK;
+    for (let r = firstRoughness; r <= roughnessRange.max; r += SWEEP_CONFIG.ROUGHNESS_TICK) {
+      ctx.fillText(String(r), left - 6, yOf(r));
+    }
+
+    // Axis titles
+    ctx.fillStyle = SWEEP_CONFIG.COLOR_TEXT;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    const pressureLabel = window.i18n?.t('deeptech.simulation.pressure.label') || 'Stack Pressure';
+    const roughnessLabel =
+      window.i18n?.t('deeptech.simulation.roughness.label') || 'Surface Roughness';
+    ctx.fillText(`${pressureLabel} (MPa)`, left + width / 2, top + height + 40);
+    ctx.save();
+    ctx.translate(left - 40, top + height / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.textBaseline = 'middle';
+    ctx.fillText(`${roughnessLabel} (μm)`, 0, 0);
+    ctx.restore();
+
+    // Color bar (0% at the bottom)
+    const barX = left + width + 16;
+    const gradient = ctx.createLinearGradient(0, top + height, 0, top);
+    [0, 0.25, 0.5, 0.75, 1].forEach((t) => gradient.addColorStop(t, riskColor(t * 100)));
+    ctx.fillStyle = gradient;
+    ctx.fillRect(barX, top, 12, height);
+
+    ctx.fillStyle = SWEEP_CONFIG.COLOR_TEXT_SECONDARY;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    [0, 50, 100].forEach((risk) => {
+      ctx.fillText(`${risk}%`, barX + 16, top + height - (risk / 100) * height);
+    });
+    ctx.save();
+    ctx.translate(barX + 54, top + height / 2);
+    ctx.rotate(Math.PI / 2);
+    ctx.textAlign = 'center';
+    ctx.fillStyle = SWEEP_CONFIG.COLOR_TEXT;
+    ctx.fillText(sweepText('risk'), 0, 0);
+    ctx.restore();
+  }
+
+  // Export file name, e.g. dendrite-sweep-llzo-1.5mA-25C.csv
+  fileName(extension) {
+    const { currentDensity, temperature, electrolyte } = this.grid.inputs;
+    return `dendrite-sweep-${electrolyte}-${currentDensity}mA-${temperature}C.${extension}`;
+  }
+
+  exportCSV() {
+    const rows = [
+      [
+        'pressure_mpa',
+        'roughness_um',
+        'current_density_ma_cm2',
+        'temperature_c',
+        'electrolyte',
+        'void_fraction',
+        'growth_drive',
+        'risk_pct',
+      ],
+    ];
+    const { currentDensity, temperature } = this.grid.inputs;
+    this.grid.cells.flat().forEach((cell) => {
+      rows.push([
+        cell.pressure,
+        cell.roughness,
+        currentDensity,
+        temperature,
+        this.grid.electrolyteName,
+        cell.voidFraction.toFixed(4),
+        cell.growthDrive.toFixed(4),
+        cell.risk.toFixed(2),
+      ]);
+    });
+    download(new Blob([toCSV(rows)], { type: 'text/csv' }), this.fileName('csv'));
+  }
+
+  exportJSON() {
+    const { pressures, roughnesses, cells, inputs, electrolyteName } = this.grid;
+    const data = {
+      currentDensity: inputs.currentDensity,
+      temperature: inputs.temperature,
+      electrolyte: electrolyteName,
+      pressures,
+      roughnesses,
+      cells: cells.flat(),
+      criticalRisk: SWEEP_CONFIG.CRITICAL_RISK,
+      criticalPressure: this.curve,
+    };
+    const json = JSON.stringify(data, null, 2);
+    download(new Blob([json], { type: 'application/json' }), this.fileName('json'));
+  }
+
+  exportPNG() {
+    this.canvas.toBlob((blob) => download(blob, this.fileName('png')), 'image/png');
+  }
+
+  destroy() {
+    this.toggleButton.remove();
+    this.panel.remove();
+  }
+}
+
+export { DendriteSweep, SWEEP_CONFIG, criticalPressureCurve, sweepParameters };
@@ -1,9 +1,15 @@
 /* =========================================
    DIGITAL TWIN AUTOMATION LOGIC
-   Handles Desktop (unchanged) + Mobile (step-by-step)
+   Handles Desktop (cycle per asset) + Mobile (step-by-step)
+   Charts and metric values come from sensor traces, see digital-twin-data.js
    ========================================= */
 
-document.addEventListener('DOMContentLoaded', () => {
+import { onDomReady } from '../utils/dom-ready.js';
+import {
+    analyzeMotor, analyzePump, createDataSource, motorEfficiency, MOTOR_SPEC, SyntheticDataSource
+} from './digital-twin-data.js';
+
+onDomReady(() => {
     setTimeout(() => {
         // Check if mobile or desktop
         if (window.innerWidth < 768) {
@@ -27,8 +33,11 @@ document.addEventListener('DOMContentLoaded', () => {
 // Track current asset type
 let currentAssetType = 'pump';
 
+// Sensor traces: generated, or recorded CSVs from data-twin-src (see readTwinData())
+let dataSource = null;
+
 // =========================================
-// DESKTOP SIMULATION (UNCHANGED FROM ORIGINAL)
+// DESKTOP SIMULATION
 // =========================================
 async function startDesktopSimulationLoop() {
     const pumpViewer = document.getElementById('spline-viewer-pump');
@@ -39,7 +48,6 @@ async function startDesktopSimulationLoop() {
     const pumpMetricsContainer = document.getElementById('pump-metrics');
     const motorMetricsContainer = document.getElementById('motor-metrics');
 
-    let isMotor = false;
     currentAssetType = 'pump';
     
     if (assetTitle) {
@@ -60,96 +68,101 @@ async function startDesktopSimulationLoop() {
 
     await wait(1000);
 
-    while (true) {
-        triggerWaveAnimation();
-        await wait(1000);
-        
-        showProcessingIndicator(processingIndicator);
-        await wait(800);
-        
-        triggerDataFlow();
-        await wait(1200);
-        
-        showServerActivity(serverActivity);
-        await wait(600);
+    runDesktopCycle({
+        pumpViewer, motorViewer, assetTitle, processingIndicator, serverActivity,
+        pumpMetricsContainer, motorMetricsContainer
+    });
+}
 
-        showVerticalLine();
-        await wait(800);
+// Metric cards per asset: [show step, ms until the next one], charts plot the cycle's sensor data
+const DESKTOP_METRIC_STEPS = {
+    pump: [
+        [() => showPumpMetric(1), 3500],
+        [(data) => { showPumpMetric(2); drawBEPChart(data); }, 3500],
+        [() => showPumpMetric(3), 3500],
+        [(data) => { showPumpMetric(4); drawImpellerHeatmap(data); }, 3500],
+        [() => showPumpMetric(5), 3500]
+    ],
+    motor: [
+        [() => showMotorMetric(1), 3500],
+        [(data) => { showMotorMetric(2); drawRotorBarChart(data); }, 3500],
+        [(data) => { showMotorMetric(3); drawMotorEfficiencyChart(data); }, 3500],
+        [() => showMotorMetric(4), 3500],
+        [(data) => { showMotorMetric(5); drawTorqueGauge(data); }, 3500]
+    ]
+};
+
+// One pass over the current asset: the next window of sensor data is read while it travels to
+// the server, its metrics are shown, then the next cycle starts with the other asset
+async function runDesktopCycle(elements) {
+    const { pumpViewer, motorViewer, assetTitle, processingIndicator, serverActivity,
+        pumpMetricsContainer, motorMetricsContainer } = elements;
+    const reading = readTwinData(currentAssetType);
+
+    triggerWaveAnimation();
+    await wait(1000);
+    
+    showProcessingIndicator(processingIndicator);
+    await wait(800);
+    
+    triggerDataFlow();
+    await wait(1200);
+    
+    showServerActivity(serverActivity);
+    await wait(600);
 
-        if (currentAssetType === 'pump') {
-            showPumpMetric(1);
-            drawPumpCharts();
-            await wait(3500);
-            showPumpMetric(2);
-            drawBEPChart();
-            await wait(3500);
-            showPumpMetric(3);
-            await wait(3500);
-            showPumpMetric(4);
-            drawImpellerHeatmap();
-            await wait(3500);
-            showPumpMetric(5);
-            await wait(3500);
-        } else {
-            showMotorMetric(1);
-            await wait(3500);
-            showMotorMetric(2);
-            drawRotorBarChart();
-            await wait(3500);
-            showMotorMetric(3);
-            drawMotorEfficiencyChart();
-            await wait(3500);
-            showMotorMetric(4);
-            await wait(3500);
-            showMotorMetric(5);
-            drawTorqueGauge();
-            await wait(3500);
-        }
+    showVerticalLine();
+    await wait(800);
 
-        hideAllMetrics();
-        stopAllAnimations();
-        hideProcessingIndicator(processingIndicator);
-        hideServerActivity(serverActivity);
-        hideVerticalLine();
-        await wait(1000);
+    const data = await reading;
+    for (const [showStep, duration] of DESKTOP_METRIC_STEPS[currentAssetType]) {
+        showStep(data);
+        await wait(duration);
+    }
 
-        isMotor = !isMotor;
-        currentAssetType = isMotor ? 'motor' : 'pump';
+    hideAllMetrics();
+    stopAllAnimations();
+    hideProcessingIndicator(processingIndicator);
+    hideServerActivity(serverActivity);
+    hideVerticalLine();
+    await wait(1000);
 
-        if (assetTitle) {
-            assetTitle.innerText = isMotor 
-                ? getTranslation('about.assetTitle.motor') 
-                : getTranslation('about.assetTitle.pump');
-        }
+    const isMotor = currentAssetType === 'pump';
+    currentAssetType = isMotor ? 'motor' : 'pump';
 
-        if (isMotor) {
-            if (pumpMetricsContainer) pumpMetricsContainer.classList.add('hidden');
-            if (motorMetricsContainer) motorMetricsContainer.classList.remove('hidden');
-        } else {
-            if (motorMetricsContainer) motorMetricsContainer.classList.add('hidden');
-            if (pumpMetricsContainer) pumpMetricsContainer.classList.remove('hidden');
-        }
+    if (assetTitle) {
+        assetTitle.innerText = isMotor 
+            ? getTranslation('about.assetTitle.motor') 
+            : getTranslation('about.assetTitle.pump');
+    }
 
-        if (isMotor) {
-            if (pumpViewer) pumpViewer.style.opacity = "0";
-            await wait(600);
-            if (pumpViewer) pumpViewer.style.visibility = "hidden";
-            if (motorViewer) {
-                motorViewer.style.visibility = "visible";
-                motorViewer.style.opacity = "1";
-            }
-        } else {
-            if (motorViewer) motorViewer.style.opacity = "0";  
-            await wait(600);
-            if (motorViewer) motorViewer.style.visibility = "hidden";
-            if (pumpViewer) {
-                pumpViewer.style.visibility = "visible";
-                pumpViewer.style.opacity = "1";
-            }
-        }
+    if (isMotor) {
+        if (pumpMetricsContainer) pumpMetricsContainer.classList.add('hidden');
+        if (motorMetricsContainer) motorMetricsContainer.classList.remove('hidden');
+    } else {
+        if (motorMetricsContainer) motorMetricsContainer.classList.add('hidden');
+        if (pumpMetricsContainer) pumpMetricsContainer.classList.remove('hidden');
+    }
 
+    if (isMotor) {
+        if (pumpViewer) pumpViewer.style.opacity = "0";
+        await wait(600);
+        if (pumpViewer) pumpViewer.style.visibility = "hidden";
+        if (motorViewer) {
+            motorViewer.style.visibility = "visible";
+            motorViewer.style.opacity = "1";
+        }
+    } else {
+        if (motorViewer) motorViewer.style.opacity = "0";  
         await wait(600);
+        if (motorViewer) motorViewer.style.visibility = "hidden";
+        if (pumpViewer) {
+            pumpViewer.style.visibility = "visible";
+            pumpViewer.style.opacity = "1";
+        }
     }
+
+    setTimeout(() => runDesktopCycle(elements), 600);
 }
 
 // =========================================
@@ -176,6 +189,9 @@ async function startMobileSimulationLoop() {
     await wait(1000);
 
     while (true) {
+        // Sensor data for this asset is read while steps 1 and 2 play
+        const reading = readTwinData(currentAssetType);
+
         // ========== STEP 1: Show 3D Model with Waves ==========
         showMobileStep(1);
         triggerMobileWaveAnimation();
@@ -187,18 +203,19 @@ async function startMobileSimulationLoop() {
         await wait(3500);
 
         // ========== STEP 3: Show Metrics One by One ==========
+        const data = await reading;
         showMobileStep(3);
         
         if (currentAssetType === 'pump') {
             if (mobilePumpMetrics) mobilePumpMetrics.classList.remove('hidden');
             if (mobileMotorMetrics) mobileMotorMetrics.classList.add('hidden');
             
-            await showMobileMetricsSequence('pump');
+            await showMobileMetricsSequence('pump', data);
         } else {
             if (mobileMotorMetrics) mobileMotorMetrics.classList.remove('hidden');
             if (mobilePumpMetrics) mobilePumpMetrics.classList.add('hidden');
             
-            await showMobileMetricsSequence('motor');
+            await showMobileMetricsSequence('motor', data);
         }
 
         // Clean up before switching
@@ -254,7 +271,7 @@ function showMobileStep(stepNumber) {
     }
 }
 
-async function showMobileMetricsSequence(type) {
+async function showMobileMetricsSequence(type, data) {
     const metricCount = 5;
     const container = document.getElementById(`mobile-${type}-metrics`);
     
@@ -297,11 +314,11 @@ async function showMobileMetricsSequence(type) {
             }
             
             // Draw charts if needed
-            if (type === 'pump' && i === 2) drawMobileBEPChart();
-            if (type === 'pump' && i === 4) drawMobileImpellerHeatmap();
-            if (type === 'motor' && i === 2) drawMobileRotorBarChart();
-            if (type === 'motor' && i === 3) drawMobileMotorEfficiencyChart();
-            if (type === 'motor' && i === 5) drawMobileTorqueGauge();
+            if (type === 'pump' && i === 2) drawMobileBEPChart(data);
+            if (type === 'pump' && i === 4) drawMobileImpellerHeatmap(data);
+            if (type === 'motor' && i === 2) drawMobileRotorBarChart(data);
+            if (type === 'motor' && i === 3) drawMobileMotorEfficiencyChart(data);
+            if (type === 'motor' && i === 5) drawMobileTorqueGauge(data);
             
             await wait(3000);
         }
@@ -333,39 +350,111 @@ function stopMobileWaveAnimation() {
 // =========================================
 // MOBILE CHART DRAWING FUNCTIONS
 // =========================================
-function drawMobileBEPChart() {
+function drawMobileBEPChart(data) {
     const canvas = document.getElementById('mobileBepCanvas') || 
                    document.querySelector('#mobile-pump-metric-2 canvas');
     if (!canvas) return;
-    drawBEPChartOnCanvas(canvas);
+    drawBEPChartOnCanvas(canvas, data);
 }
 
-function drawMobileImpellerHeatmap() {
+function drawMobileImpellerHeatmap(data) {
     const canvas = document.getElementById('mobileImpellerCanvas') ||
                    document.querySelector('#mobile-pump-metric-4 canvas');
     if (!canvas) return;
-    drawImpellerHeatmapOnCanvas(canvas);
+    drawImpellerHeatmapOnCanvas(canvas, data);
 }
 
-function drawMobileRotorBarChart() {
+function drawMobileRotorBarChart(data) {
     const canvas = document.getElementById('mobileRotorBarCanvas') ||
                    document.querySelector('#mobile-motor-metric-2 canvas');
     if (!canvas) return;
-    drawRotorBarChartOnCanvas(canvas);
+    drawRotorBarChartOnCanvas(canvas, data);
 }
 
-function drawMobileMotorEfficiencyChart() {
+function drawMobileMotorEfficiencyChart(data) {
     const canvas = document.getElementById('mobileMotorEfficiencyCanvas') ||
                    document.querySelector('#mobile-motor-metric-3 canvas');
     if (!canvas) return;
-    drawMotorEfficiencyChartOnCanvas(canvas);
+    drawMotorEfficiencyChartOnCanvas(canvas, data);
 }
 
-function drawMobileTorqueGauge() {
+function drawMobileTorqueGauge(data) {
     const canvas = document.getElementById('mobileTorqueGaugeCanvas') ||
                    document.querySelector('#mobile-motor-metric-5 canvas');
     if (!canvas) return;
-    drawTorqueGaugeOnCanvas(canvas);
+    drawTorqueGaugeOnCanvas(canvas, data);
+}
+
+// =========================================
+// SENSOR DATA
+// =========================================
+// Read and analyze the next window of traces for an asset, and show its values on the cards
+// A recording that fails to load is reported once and replaced by generated data
+async function readTwinData(asset) {
+    if (!dataSource) {
+        const root = document.querySelector('[data-twin-src]');
+        dataSource = createDataSource(root?.dataset.twinSrc, { seed: root?.dataset.seed ?? null });
+    }
+
+    let data;
+    try {
+        const traces = await dataSource.read(asset);
+        data = asset === 'pump' ? analyzePump(traces) : analyzeMotor(traces);
+    } catch (error) {
+        console.error('Failed to read digital twin sensor data, using generated data:', error);
+        dataSource = new SyntheticDataSource();
+        return readTwinData(asset);
+    }
+
+    updateMetricValues(asset, data);
+    return data;
+}
+
+function formatPercent(value) {
+    return `${Math.round(value * 100)}%`;
+}
+
+// Fill the [data-twin-value] fields of the desktop cards and their mobile copies
+function updateMetricValues(asset, data) {
+    const values = asset === 'pump'
+        ? {
+            bepEfficiency: formatPercent(data.bep.efficiency),
+            operatingEfficiency: formatPercent(data.operating.efficiency)
+        }
+        : {
+            healthyBars: data.bars.filter(bar => bar === 'healthy').length,
+            degradedBars: data.bars.filter(bar => bar === 'degraded').length,
+            brokenBars: data.bars.filter(bar => bar === 'broken').length,
+            rotorHealth: formatPercent(data.healthScore),
+            motorEfficiency: formatPercent(data.efficiency),
+            optimalLoad: data.optimalLoad.map(load => Math.round(load * 100)).join('-') + '%',
+            torque: Math.round(data.torque),
+            ratedTorque: data.ratedTorque,
+            load: formatPercent(data.load)
+        };
+
+    Object.entries(values).forEach(([name, value]) => {
+        document.querySelectorAll(`[data-twin-value="${name}"]`).forEach(el => {
+            el.textContent = value;
+        });
+    });
+
+    if (asset === 'pump') {
+        const gap = Math.round((data.bep.efficiency - data.operating.efficiency) * 100);
+        updateTranslationArgs('about.metrics.pump.bep.description', { gap: Math.max(0, gap) });
+    } else {
+        updateTranslationArgs('about.metrics.motor.rotor.totalBars', { count: data.bars.length });
+    }
+}
+
+// New ICU arguments for a translated text, kept on the element for language changes
+function updateTranslationArgs(key, args) {
+    document.querySelectorAll(`[data-i18n="${key}"]`).forEach(el => {
+        el.setAttribute('data-i18n-args', JSON.stringify(args));
+        if (window.i18n && typeof window.i18n.t === 'function') {
+            el.textContent = window.i18n.t(key, args);
+        }
+    });
 }
 
 // =========================================
@@ -505,13 +594,15 @@ function hideServerActivity(el) {
 // =========================================
 // CHART DRAWING FUNCTIONS (Reusable)
 // =========================================
-function drawBEPChartOnCanvas(canvas) {
+// Efficiency over flow: fitted curve through the measured points, preferred operating region,
+// BEP at its top and the current operating point
+function drawBEPChartOnCanvas(canvas, pump) {
     const ctx = canvas.getContext('2d');
     const width = canvas.width;
     const height = canvas.height;
-    
+
     ctx.clearRect(0, 0, width, height);
-    
+
     ctx.strokeStyle = 'rgba(150, 150, 150, 0.2)';
     ctx.lineWidth = 1;
     for (let i = 0; i <= 4; i++) {
@@ -520,86 +611,106 @@ function drawBEPChartOnCanvas(canvas) {
         ctx.lineTo(width, (height / 4) * i);
         ctx.stroke();
     }
-    
+
+    // Flow axis up to 1.6 × BEP flow, efficiency axis up to the BEP
+    const maxFlow = Math.max(pump.bep.flow * 1.6, ...pump.points.map(p => p.flow));
+    const toX = (flow) => 20 + (flow / maxFlow) * (width - 40);
+    const toY = (efficiency) =>
+        height - 10 - (Math.max(0, efficiency) / pump.bep.efficiency) * (height - 25);
+
     ctx.fillStyle = 'rgba(34, 197, 94, 0.1)';
     ctx.beginPath();
-    ctx.moveTo(width * 0.35, height);
-    ctx.lineTo(width * 0.35, 25);
-    ctx.lineTo(width * 0.55, 25);
-    ctx.lineTo(width * 0.55, height);
+    ctx.moveTo(toX(pump.region[0]), height);
+    ctx.lineTo(toX(pump.region[0]), 25);
+    ctx.lineTo(toX(pump.region[1]), 25);
+    ctx.lineTo(toX(pump.region[1]), height);
     ctx.closePath();
     ctx.fill();
-    
-    ctx.strokeStyle = '#3b82f6';
-    ctx.lineWidth = 2.5;
-    ctx.beginPath();
-    ctx.moveTo(20, height - 10);
-    
-    const peakX = width * 0.45;
-    const peakY = 15;
-    
-    ctx.quadraticCurveTo(peakX * 0.5, height - 20, peakX, peakY);
-    ctx.quadraticCurveTo(peakX * 1.3, height - 30, width - 20, height - 15);
-    ctx.stroke();
-    
+
+    ctx.fillStyle = 'rgba(59, 130, 246, 0.25)';
+    pump.points.forEach(point => {
+        ctx.beginPath();
+        ctx.arc(toX(point.flow), toY(point.efficiency), 1.5, 0, 2 * Math.PI);
+        ctx.fill();
+    });
+
+    if (pump.curve) {
+        const [a, b, c] = pump.curve;
+        ctx.strokeStyle = '#3b82f6';
+        ctx.lineWidth = 2.5;
+        ctx.beginPath();
+        for (let i = 0; i <= 40; i++) {
+            const flow = (maxFlow * i) / 40;
+            const y = toY(a + b * flow + c * flow * flow);
+            if (i === 0) ctx.moveTo(toX(flow), y);
+            else ctx.lineTo(toX(flow), y);
+        }
+        ctx.stroke();
+    }
+
+    const peakX = toX(pump.bep.flow);
+    const peakY = toY(pump.bep.efficiency);
+
     ctx.fillStyle = '#3b82f6';
     ctx.beginPath();
     ctx.arc(peakX, peakY, 6, 0, 2 * Math.PI);
     ctx.fill();
-    
+
     ctx.fillStyle = 'rgba(59, 130, 246, 0.3)';
     ctx.beginPath();
     ctx.arc(peakX, peakY, 10, 0, 2 * Math.PI);
     ctx.fill();
-    
+
     ctx.fillStyle = '#3b82f6';
     ctx.font = 'bold 9px monospace';
-    ctx.fillText('BEP', peakX - 10, peakY - 14);
-    
-    const opX = peakX + 45;
-    const opY = 32;
-    
+    ctx.fillText('BEP', peakX + 12, peakY + 3);
+
+    const opX = toX(pump.operating.flow);
+    const opY = toY(pump.operating.efficiency);
+
     ctx.fillStyle = '#ef4444';
     ctx.beginPath();
     ctx.arc(opX, opY, 5, 0, 2 * Math.PI);
     ctx.fill();
-    
+
     ctx.strokeStyle = '#ef4444';
     ctx.lineWidth = 1.5;
     ctx.setLineDash([3, 3]);
     ctx.beginPath();
-    ctx.moveTo(peakX + 8, peakY + 5);
-    ctx.lineTo(opX - 8, opY - 3);
+    ctx.moveTo(peakX, peakY);
+    ctx.lineTo(opX, opY);
     ctx.stroke();
     ctx.setLineDash([]);
-    
+
     ctx.fillStyle = '#ef4444';
     ctx.font = '9px monospace';
     ctx.fillText('Current', opX - 15, opY + 18);
 }
 
-function drawImpellerHeatmapOnCanvas(canvas) {
+// Blade loading grows from the hub to the tips, the hotter the higher the vibration level
+function drawImpellerHeatmapOnCanvas(canvas, pump) {
     const ctx = canvas.getContext('2d');
     const width = canvas.width;
     const height = canvas.height;
     const centerX = width / 2;
     const centerY = height / 2;
-    
+
     ctx.clearRect(0, 0, width, height);
-    
+
     const numBlades = 6;
     const innerRadius = 12;
     const outerRadius = 40;
-    
+    const heat = Math.min(1, pump.vibrationLevel * 1.7);
+
     for (let i = 0; i < numBlades; i++) {
         const angle = (i / numBlades) * Math.PI * 2 - Math.PI / 2;
         const nextAngle = ((i + 1) / numBlades) * Math.PI * 2 - Math.PI / 2;
-        
+
         const gradient = ctx.createRadialGradient(centerX, centerY, innerRadius, centerX, centerY, outerRadius);
         gradient.addColorStop(0, 'rgba(34, 197, 94, 0.8)');
-        gradient.addColorStop(0.5, 'rgba(234, 179, 8, 0.8)');
-        gradient.addColorStop(1, 'rgba(239, 68, 68, 0.9)');
-        
+        gradient.addColorStop(1 - 0.5 * heat, 'rgba(234, 179, 8, 0.8)');
+        gradient.addColorStop(1, `rgba(239, 68, 68, ${(0.3 + 0.6 * heat).toFixed(2)})`);
+
         ctx.fillStyle = gradient;
         ctx.beginPath();
         ctx.moveTo(centerX + Math.cos(angle) * innerRadius, centerY + Math.sin(angle) * innerRadius);
@@ -609,78 +720,72 @@ function drawImpellerHeatmapOnCanvas(canvas) {
         ctx.arc(centerX, centerY, innerRadius, nextAngle, angle, true);
         ctx.closePath();
         ctx.fill();
-        
+
         ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
         ctx.lineWidth = 1;
         ctx.stroke();
     }
-    
+
     ctx.fillStyle = '#1f2937';
     ctx.beginPath();
     ctx.arc(centerX, centerY, innerRadius - 2, 0, Math.PI * 2);
     ctx.fill();
-    
+
     ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
     ctx.lineWidth = 2;
     ctx.stroke();
-    
+
     ctx.fillStyle = '#6b7280';
     ctx.beginPath();
     ctx.arc(centerX, centerY, 4, 0, Math.PI * 2);
     ctx.fill();
 }
 
-function drawRotorBarChartOnCanvas(canvas) {
+function drawRotorBarChartOnCanvas(canvas, motor) {
     const ctx = canvas.getContext('2d');
     const width = canvas.width;
     const height = canvas.height;
-    
+
     ctx.clearRect(0, 0, width, height);
-    
-    const totalBars = 28;
-    const barWidth = (width - 20) / totalBars;
+
+    const barHealth = motor.bars;
+    const barWidth = (width - 20) / barHealth.length;
     const barHeight = height - 20;
-    
-    const barHealth = [];
-    for (let i = 0; i < totalBars; i++) {
-        if (i === 8 || i === 19) {
-            barHealth.push('degraded');
-        } else {
-            barHealth.push('healthy');
-        }
-    }
-    
+    const barStyles = {
+        healthy: { color: '#22c55e', height: 1 },
+        degraded: { color: '#eab308', height: 0.7 },
+        broken: { color: '#ef4444', height: 0.4 }
+    };
+
     barHealth.forEach((health, i) => {
+        const style = barStyles[health];
         const x = 10 + i * barWidth;
-        const h = health === 'healthy' ? barHeight : barHeight * 0.7;
+        const h = barHeight * style.height;
         const y = (height - h) / 2;
-        
-        if (health === 'healthy') {
-            ctx.fillStyle = '#22c55e';
-        } else {
-            ctx.fillStyle = '#eab308';
-        }
-        
+
+        ctx.fillStyle = style.color;
+
         ctx.beginPath();
         ctx.roundRect(x + 1, y, barWidth - 2, h, [2, 2, 0, 0]);
         ctx.fill();
-        
+
         ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
         ctx.fillRect(x + 2, y, (barWidth - 4) / 2, h);
     });
-    
+
     ctx.strokeStyle = 'rgba(150, 150, 150, 0.3)';
     ctx.lineWidth = 2;
     ctx.strokeRect(8, 5, width - 16, height - 10);
 }
 
-function drawMotorEfficiencyChartOnCanvas(canvas) {
+// Efficiency over load (0–120%) with the optimal load band and the current load
+function drawMotorEfficiencyChartOnCanvas(canvas, motor) {
     const ctx = canvas.getContext('2d');
     const width = canvas.width;
     const height = canvas.height;
-    
+
     ctx.clearRect(0, 0, width, height);
-    
+
     ctx.strokeStyle = 'rgba(150, 150, 150, 0.2)';
     ctx.lineWidth = 1;
     for (let i = 0; i <= 4; i++) {
@@ -689,25 +794,38 @@ function drawMotorEfficiencyChartOnCanvas(canvas) {
         ctx.lineTo(width, (height / 4) * i);
         ctx.stroke();
     }
-    
+
+    const maxLoad = 1.2;
+    const minEfficiency = 0.8;
+    const peakEfficiency = motorEfficiency(MOTOR_SPEC.PEAK_EFFICIENCY_LOAD);
+    const toX = (load) => 20 + (load / maxLoad) * (width - 40);
+    const toY = (efficiency) => {
+        const share = (Math.max(minEfficiency, efficiency) - minEfficiency) /
+            (peakEfficiency - minEfficiency);
+        return height - 15 - share * (height - 33);
+    };
+
+    const [optimalStart, optimalEnd] = motor.optimalLoad;
     ctx.fillStyle = 'rgba(34, 197, 94, 0.15)';
-    ctx.fillRect(width * 0.75, 0, width * 0.25, height);
-    
+    ctx.fillRect(toX(optimalStart), 0, toX(optimalEnd) - toX(optimalStart), height);
+
     ctx.fillStyle = 'rgba(34, 197, 94, 0.6)';
     ctx.font = '8px sans-serif';
-    ctx.fillText('Optimal', width * 0.80, 12);
-    
+    ctx.fillText('Optimal', toX(optimalStart) + 4, 12);
+
     ctx.strokeStyle = '#3b82f6';
     ctx.lineWidth = 2.5;
     ctx.beginPath();
-    ctx.moveTo(20, height - 15);
-    ctx.bezierCurveTo(width * 0.2, height - 20, width * 0.4, 20, width * 0.6, 18);
-    ctx.bezierCurveTo(width * 0.75, 15, width * 0.85, 18, width - 20, 25);
+    for (let i = 0; i <= 40; i++) {
+        const load = (maxLoad * i) / 40;
+        if (i === 0) ctx.moveTo(toX(load), toY(motorEfficiency(load)));
+        else ctx.lineTo(toX(load), toY(motorEfficiency(load)));
+    }
     ctx.stroke();
-    
-    const opX = width * 0.82;
-    const opY = 16;
-    
+
+    const opX = toX(Math.min(maxLoad, motor.load));
+    const opY = toY(motor.efficiency);
+
     ctx.strokeStyle = 'rgba(59, 130, 246, 0.3)';
     ctx.lineWidth = 1;
     ctx.setLineDash([3, 3]);
@@ -716,45 +834,45 @@ function drawMotorEfficiencyChartOnCanvas(canvas) {
     ctx.lineTo(opX, opY + 8);
     ctx.stroke();
     ctx.setLineDash([]);
-    
+
     ctx.fillStyle = '#3b82f6';
     ctx.beginPath();
     ctx.arc(opX, opY, 6, 0, 2 * Math.PI);
     ctx.fill();
-    
+
     ctx.fillStyle = 'rgba(59, 130, 246, 0.3)';
     ctx.beginPath();
     ctx.arc(opX, opY, 10, 0, 2 * Math.PI);
     ctx.fill();
-    
+
     ctx.fillStyle = '#3b82f6';
     ctx.font = 'bold 9px monospace';
-    ctx.fillText('82%', opX - 10, opY - 12);
+    ctx.fillText(`${Math.round(motor.efficiency * 100)}%`, opX - 10, opY + 22);
 }
 
-function drawTorqueGaugeOnCanvas(canvas) {
+function drawTorqueGaugeOnCanvas(canvas, motor) {
     const ctx = canvas.getContext('2d');
     const width = canvas.width;
     const height = canvas.height;
     const centerX = width / 2;
     const centerY = height - 5;
     const radius = 45;
-    
+
     ctx.clearRect(0, 0, width, height);
-    
+
     ctx.strokeStyle = 'rgba(150, 150, 150, 0.2)';
     ctx.lineWidth = 8;
     ctx.beginPath();
     ctx.arc(centerX, centerY, radius, Math.PI, 0);
     ctx.stroke();
-    
+
     const segments = [
         { start: 0, end: 0.5, color: '#22c55e' },
         { start: 0.5, end: 0.75, color: '#eab308' },
         { start: 0.75, end: 0.9, color: '#f97316' },
         { start: 0.9, end: 1, color: '#ef4444' }
     ];
-    
+
     segments.forEach(seg => {
         ctx.strokeStyle = seg.color;
         ctx.lineWidth = 8;
@@ -762,10 +880,10 @@ function drawTorqueGaugeOnCanvas(canvas) {
         ctx.arc(centerX, centerY, radius, Math.PI + (seg.start * Math.PI), Math.PI + (seg.end * Math.PI));
         ctx.stroke();
     });
-    
-    const value = 0.85;
+
+    const value = Math.min(1, motor.torque / motor.ratedTorque);
     const needleAngle = Math.PI + (value * Math.PI);
-    
+
     ctx.strokeStyle = '#8b5cf6';
     ctx.lineWidth = 3;
     ctx.lineCap = 'round';
@@ -773,7 +891,7 @@ function drawTorqueGaugeOnCanvas(canvas) {
     ctx.moveTo(centerX, centerY);
     ctx.lineTo(centerX + Math.cos(needleAngle) * (radius - 10), centerY + Math.sin(needleAngle) * (radius - 10));
     ctx.stroke();
-    
+
     ctx.fillStyle = '#8b5cf6';
     ctx.beginPath();
     ctx.arc(centerX, centerY, 5, 0, Math.PI * 2);
@@ -781,29 +899,27 @@ function drawTorqueGaugeOnCanvas(canvas) {
 }
 
 // Wrapper functions for desktop charts
-function drawPumpCharts() {}
-
-function drawBEPChart() {
+function drawBEPChart(data) {
     const canvas = document.getElementById('bepCanvas');
-    if (canvas) drawBEPChartOnCanvas(canvas);
+    if (canvas) drawBEPChartOnCanvas(canvas, data);
 }
 
-function drawImpellerHeatmap() {
+function drawImpellerHeatmap(data) {
     const canvas = document.getElementById('impellerCanvas');
-    if (canvas) drawImpellerHeatmapOnCanvas(canvas);
+    if (canvas) drawImpellerHeatmapOnCanvas(canvas, data);
 }
 
-function drawRotorBarChart() {
+function drawRotorBarChart(data) {
     const canvas = document.getElementById('rotorBarCanvas');
-    if (canvas) drawRotorBarChartOnCanvas(canvas);
+    if (canvas) drawRotorBarChartOnCanvas(canvas, data);
 }
 
-function drawMotorEfficiencyChart() {
+function drawMotorEfficiencyChart(data) {
     const canvas = document.getElementById('motorEfficiencyCanvas');
-    if (canvas) drawMotorEfficiencyChartOnCanvas(canvas);
+    if (canvas) drawMotorEfficiencyChartOnCanvas(canvas, data);
 }
 
-function drawTorqueGauge() {
+function drawTorqueGauge(data) {
     const canvas = document.getElementById('torqueGaugeCanvas');
-    if (canvas) drawTorqueGaugeOnCanvas(canvas);
+    if (canvas) drawTorqueGaugeOnCanvas(canvas, data);
 }
\ No newline at end of file
@@ -0,0 +1,358 @@
+/* =========================
+FORCE-DIRECTED LAYOUT
+Incremental layout for FraudGraphNetwork (d3-force style simulation)
+- Link springs pull connected accounts together (shorter inside mule clusters)
+- Many-body repulsion approximated with a Barnes–Hut quadtree, O(n log n) per tick
+- Collision keeps node discs from overlapping
+- Weak gravity and the canvas bounds keep the graph in view
+The layout writes node.baseX/baseY, the idle animation keeps floating around them
+=========================== */
+
+// Configuration constants
+const LAYOUT_CONFIG = {
+  // Simulation cooling (alpha 1 -> ALPHA_MIN in ~300 ticks)
+  ALPHA_DECAY: 0.0228,
+  ALPHA_MIN: 0.001,
+  VELOCITY_DECAY: 0.4,
+
+  // Forces (distances are multiples of the ideal spacing sqrt(area / nodes))
+  LINK_DISTANCE: 0.9,
+  CLUSTER_LINK_DISTANCE: 0.45,
+  CHARGE: 0.015, // Repulsion per spacing², so density stays even for any node count
+  THETA: 0.9, // Barnes–Hut accuracy (cell size / distance), lower is more exact
+  GRAVITY: 0.1,
+  COLLIDE_PADDING: 3,
+  COLLIDE_STRENGTH: 0.7,
+
+  // Quadtree depth at which coincident points share a leaf
+  MAX_DEPTH: 32,
+};
+
+const createQuad = (x0, y0, size) => ({
+  x0,
+  y0,
+  size,
+  children: null,
+  points: [],
+  mass: 0,
+  cx: 0,
+  cy: 0,
+});
+
+/**
+ * Barnes–Hut quadtree over the layout positions
+ */
+class QuadTree {
+  constructor(xs, ys, count) {
+    this.xs = xs;
+    this.ys = ys;
+
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    for (let i = 0; i < count; i++) {
+      minX = Math.min(minX, xs[i]);
+      minY = Math.min(minY, ys[i]);
+      maxX = Math.max(maxX, xs[i]);
+      maxY = Math.max(maxY, ys[i]);
+    }
+
+    this.root = createQuad(minX, minY, Math.max(maxX - minX, maxY - minY, 1) + 1);
+    for (let i = 0; i < count; i++) this.insert(this.root, i, 0);
+    this.accumulate(this.root);
+  }
+
+  insert(quad, index, depth) {
+    if (!quad.children) {
+      if (quad.points.length === 0 || depth >= LAYOUT_CONFIG.MAX_DEPTH) {
+        quad.points.push(index);
+        return;
+      }
+
+      // Split the leaf and push its point down
+      const existing = quad.points;
+      quad.points = [];
+      quad.children = [null, null, null, null];
+      existing.forEach((point) => this.insertChild(quad, point, depth));
+    }
+
+    this.insertChild(quad, index, depth);
+  }
+
+  insertChild(quad, index, depth) {
+    const half = quad.size / 2;
+    const right = this.xs[index] >= quad.x0 + half ? 1 : 0;
+    const bottom = this.ys[index] >= quad.y0 + half ? 1 : 0;
+    const slot = bottom * 2 + right;
+
+    quad.children[slot] ||= createQuad(quad.x0 + right * half, quad.y0 + bottom * half, half);
+    this.insert(quad.children[slot], index, depth + 1);
+  }
+
+  // Mass (point count) and center of mass of every cell
+  accumulate(quad) {
+    let mass = 0;
+    let cx = 0;
+    let cy = 0;
+
+    if (quad.children) {
+      for (const child of quad.children) {
+        if (!child) continue;
+        this.accumulate(child);
+        mass += child.mass;
+        cx += child.cx * child.mass;
+        cy += child.cy * child.mass;
+      }
+    } else {
+      for (const point of quad.points) {
+        mass += 1;
+        cx += this.xs[point];
+        cy += this.ys[point];
+      }
+    }
+
+    quad.mass = mass;
+    quad.cx = mass > 0 ? cx / mass : 0;
+    quad.cy = mass > 0 ? cy / mass : 0;
+  }
+}
+
+/**
+ * ForceLayout Class
+ * Positions graph nodes a few ticks per animation frame until the layout cools down
+ */
+class ForceLayout {
+  /**
+   * @param {Object[]} nodes - Graph nodes with x, y, baseX, baseY and radius (updated in place)
+   * @param {Object[]} edges - Edges with source / target node indices and isHighRisk
+   * @param {Object} options - { width, height, padding } of the canvas and an optional random source
+   */
+  constructor(nodes, edges, { random = Math.random, ...bounds }) {
+    this.nodes = nodes;
+    this.edges = edges;
+    this.random = random;
+    this.alpha = 1;
+
+    const count = nodes.length;
+    this.xs = new Float64Array(count);
+    this.ys = new Float64Array(count);
+    this.vxs = new Float64Array(count);
+    this.vys = new Float64Array(count);
+    this.radii = new Float64Array(count);
+
+    nodes.forEach((node, i) => {
+      this.xs[i] = node.baseX;
+      this.ys[i] = node.baseY;
+      this.radii[i] = node.radius * (node.isHub ? 1.3 : 1) + LAYOUT_CONFIG.COLLIDE_PADDING;
+    });
+
+    // Link strength and bias as in d3-force: weaker springs on well-connected nodes
+    const degree = new Uint32Array(count);
+    edges.forEach((edge) => {
+      degree[edge.source]++;
+      degree[edge.target]++;
+    });
+    this.links = edges.map((edge) => ({
+      source: edge.source,
+      target: edge.target,
+      isCluster: edge.isHighRisk,
+      strength: 1 / Math.max(1, Math.min(degree[edge.source], degree[edge.target])),
+      bias: degree[edge.source] / (degree[edge.source] + degree[edge.target]),
+    }));
+
+    this.resize(bounds);
+  }
+
+  /**
+   * Update the canvas bounds (and the ideal spacing derived from them)
+   */
+  resize({ width, height, padding = 0 }) {
+    this.bounds = { width, height, padding };
+    this.spacing = Math.sqrt((width * height) / Math.max(1, this.nodes.length));
+  }
+
+  isRunning() {
+    return this.alpha > LAYOUT_CONFIG.ALPHA_MIN;
+  }
+
+  /**
+   * Reheat the simulation (after new nodes, edges or a resize)
+   */
+  restart(alpha = 1) {
+    this.alpha = alpha;
+  }
+
+  stop() {
+    this.alpha = 0;
+  }
+
+  /**
+   * Run ticks for up to budget ms (at least one), called from the animation loop
+   */
+  run(budget) {
+    const start = performance.now();
+    do {
+      this.tick();
+    } while (this.isRunning() && performance.now() - start < budget);
+  }
+
+  /**
+   * One simulation step
+   */
+  tick() {
+    if (!this.isRunning()) return;
+
+    this.alpha += (0 - this.alpha) * LAYOUT_CONFIG.ALPHA_DECAY;
+
+    this.applyLinks();
+    this.applyCharge();
+    this.applyGravity();
+    this.applyCollision();
+    this.integrate();
+  }
+
+  // Tiny random offset to separate coincident points
+  jiggle() {
+    return (this.random() - 0.5) * 1e-6;
+  }
+
+  applyLinks() {
+    const { xs, ys, vxs, vys } = this;
+
+    for (const link of this.links) {
+      const { source, target } = link;
+      let dx = xs[target] + vxs[target] - xs[source] - vxs[source] || this.jiggle();
+      let dy = ys[target] + vys[target] - ys[source] - vys[source] || this.jiggle();
+      const length = Math.sqrt(dx * dx + dy * dy);
+      const distance =
+        this.spacing *
+        (link.isCluster ? LAYOUT_CONFIG.CLUSTER_LINK_DISTANCE : LAYOUT_CONFIG.LINK_DISTANCE);
+      const force = ((length - distance) / length) * this.alpha * link.strength;
+
+      dx *= force;
+      dy *= force;
+      vxs[target] -= dx * link.bias;
+      vys[target] -= dy * link.bias;
+      vxs[source] += dx * (1 - link.bias);
+      vys[source] += dy * (1 - link.bias);
+    }
+  }
+
+  applyCharge() {
+    const { xs, ys, vxs, vys } = this;
+    const count = this.nodes.length;
+    const tree = new QuadTree(xs, ys, count);
+    const strength = -this.spacing * this.spacing * LAYOUT_CONFIG.CHARGE * this.alpha;
+    const theta2 = LAYOUT_CONFIG.THETA * LAYOUT_CONFIG.THETA;
+    const stack = [];
+
+    for (let i = 0; i < count; i++) {
+      stack.push(tree.root);
+
+      while (stack.length > 0) {
+        const quad = stack.pop();
+        const dx = quad.cx - xs[i];
+        const dy = quad.cy - ys[i];
+        const distance2 = Math.max(dx * dx + dy * dy, 1);
+
+        // Far enough away: treat the whole cell as one body at its center of mass
+        if (quad.children && (quad.size * quad.size) / distance2 < theta2) {
+          const weight = (strength * quad.mass) / distance2;
+          vxs[i] += dx * weight;
+          vys[i] += dy * weight;
+          continue;
+        }
+
+        if (quad.children) {
+          quad.children.forEach((child) => child && stack.push(child));
+          continue;
+        }
+
+        for (const j of quad.points) {
+          if (j === i) continue;
+          const px = xs[j] - xs[i] || this.jiggle();
+          const py = ys[j] - ys[i] || this.jiggle();
+          const weight = strength / Math.max(px * px + py * py, 1);
+          vxs[i] += px * weight;
+          vys[i] += py * weight;
+        }
+      }
+    }
+  }
+
+  applyGravity() {
+    const { xs, ys, vxs, vys } = this;
+    const { width, height } = this.bounds;
+    // Weaker along the long side so the graph fills the canvas shape instead of a circle
+    const shortSide = Math.min(width, height);
+    const strengthX = ((LAYOUT_CONFIG.GRAVITY * shortSide) / Math.max(width, 1)) * this.alpha;
+    const strengthY = ((LAYOUT_CONFIG.GRAVITY * shortSide) / Math.max(height, 1)) * this.alpha;
+
+    for (let i = 0; i < this.nodes.length; i++) {
+      vxs[i] += (width / 2 - xs[i]) * strengthX;
+      vys[i] += (height / 2 - ys[i]) * strengthY;
+    }
+  }
+
+  // Resolve overlapping discs, neighbors found with a uniform grid
+  applyCollision() {
+    const { xs, ys, vxs, vys, radii } = this;
+    const count = this.nodes.length;
+    const cellSize = radii.reduce((max, radius) => Math.max(max, radius), 1) * 2;
+    const grid = new Map();
+
+    for (let i = 0; i < count; i++) {
+      const key = `${Math.floor(xs[i] / cellSize)},${Math.floor(ys[i] / cellSize)}`;
+      if (!grid.has(key)) grid.set(key, []);
+      grid.get(key).push(i);
+    }
+
+    for (let i = 0; i < count; i++) {
+      const column = Math.floor(xs[i] / cellSize);
+      const row = Math.floor(ys[i] / cellSize);
+
+      for (let c = column - 1; c <= column + 1; c++) {
+        for (let r = row - 1; r <= row + 1; r++) {
+          for (const j of grid.get(`${c},${r}`) || []) {
+            if (j <= i) continue;
+
+            const dx = xs[i] + vxs[i] - xs[j] - vxs[j] || this.jiggle();
+            const dy = ys[i] + vys[i] - ys[j] - vys[j] || this.jiggle();
+            const minDistance = radii[i] + radii[j];
+            const distance2 = dx * dx + dy * dy;
+            if (distance2 >= minDistance * minDistance) continue;
+
+            const distance = Math.sqrt(distance2);
+            const push = ((minDistance - distance) / distance) * LAYOUT_CONFIG.COLLIDE_STRENGTH;
+            vxs[i] += dx * push * 0.5;
+            vys[i] += dy * push * 0.5;
+            vxs[j] -= dx * push * 0.5;
+            vys[j] -= dy * push * 0.5;
+          }
+        }
+      }
+    }
+  }
+
+  // Move by the damped velocity, keep inside the canvas and hand positions to the nodes
+  integrate() {
+    const { xs, ys, vxs, vys, radii } = this;
+    const { width, height, padding } = this.bounds;
+
+    this.nodes.forEach((node, i) => {
+      vxs[i] *= 1 - LAYOUT_CONFIG.VELOCITY_DECAY;
+      vys[i] *= 1 - LAYOUT_CONFIG.VELOCITY_DECAY;
+      xs[i] = Math.max(padding + radii[i], Math.min(width - padding - radii[i], xs[i] + vxs[i]));
+      ys[i] = Math.max(padding + radii[i], Math.min(height - padding - radii[i], ys[i] + vys[i]));
+
+      // Shift the rendered position with the layout so the idle float doesn't lag behind
+      node.x += xs[i] - node.baseX;
+      node.y += ys[i] - node.baseY;
+      node.baseX = xs[i];
+      node.baseY = ys[i];
+    });
+  }
+}
+
+export { ForceLayout, QuadTree, LAYOUT_CONFIG };
@@ -1,9 +1,26 @@
 /* =========================
 FRAUD GRAPH NEURAL NETWORK VISUALIZATION
-Vanilla JS + Canvas implementation
+Vanilla JS + Canvas 2D implementation, with an optional WebGL backend (graph-webgl-renderer.js)
 Visualizes fraud detection through graph neural networks
 =========================== */
 
+import { isRTL } from '../utils/direction.js';
+import { createRandom, createSeed, readSeed, shuffle } from '../utils/random.js';
+import { copyUrl, onUrlStateChange, readUrlState, writeUrlState } from '../utils/url-state.js';
+import {
+  betweennessCentrality,
+  buildAdjacency,
+  degreeCentrality,
+} from '../utils/graph-algorithms.js';
+import { ForceLayout } from './force-layout.js';
+import { GraphAccessibility } from './graph-accessibility.js';
+import { GraphAnalytics } from './graph-analytics.js';
+import { GraphStory } from './graph-story.js';
+import { GraphWebGLRenderer } from './graph-webgl-renderer.js';
+import { SpatialIndex } from './spatial-index.js';
+import { fetchGraph, normalizeTransaction, toGraph } from './graph-data.js';
+import { MockTransactionStream, connectTransactionStream } from './graph-stream.js';
+
 // Configuration constants
 const CONFIG = {
   // Node counts
@@ -14,6 +31,7 @@ const CONFIG = {
   NODES_PER_CLUSTER_MAX: 14,
 
   // Visual
+  RENDERER: 'auto', // 'webgl', 'canvas' or 'auto' (WebGL when available), see createRenderer()
   NODE_RADIUS: 3,
   NODE_RADIUS_HUB: 5,
   EDGE_WIDTH: 0.5,
@@ -33,39 +51,142 @@ const CONFIG = {
 
   // Animation
   ZOOM_LEVEL: 2,
+  ZOOM_LEVEL_MAX: 4, // Small clusters zoom further, up to this level
+  ZOOM_FIT: 0.6, // Share of the canvas a focused cluster fills
   ZOOM_DURATION: 800,
   IDLE_SPEED: 0.35,
   PULSE_SPEED: 0.002,
 
-  // Edge flash animation (simulating transactions)
+  // Edge flash animation (simulating transactions until a live stream takes over)
   EDGE_FLASH_PROBABILITY: 0.0001, // Chance per frame for an edge to start flashing
   EDGE_FLASH_DURATION: 400, // Duration of flash in ms
   COLOR_EDGE_FLASH: 'rgba(255, 255, 255, 0.9)',
   COLOR_EDGE_FLASH_HIGH_RISK: 'rgba(255, 120, 140, 0.95)',
 
+  // Live transfers (ingest(), data-stream-src), see graph-stream.js
+  STREAM_FLASH_DURATION: 900, // ms for a transfer to travel from sender to receiver
+  STREAM_TRAIL: 0.25, // Length of the travelling flash, share of the edge
+  STREAM_EDGE_TTL: 60000, // ms without transfers before a streamed edge is removed
+  STREAM_EDGE_FADE: 0.25, // Final share of the TTL over which a streamed edge fades out
+  STREAM_RISK_WEIGHT: 0.2, // How far one transfer moves an account's score (default scoring)
+  STREAM_LAYOUT_ALPHA: 0.15, // Force layout reheat when streamed accounts or edges arrive
+
   // Interaction
   HOVER_RADIUS: 15,
+  ZOOM_MIN: 0.5, // Manual (wheel / pinch) zoom range
+  ZOOM_MAX: 8,
+  WHEEL_ZOOM_SPEED: 0.0015, // Scale factor per wheel delta pixel (exponential)
+  DRAG_THRESHOLD: 4, // px a pointer moves before a tap becomes a pan
+
+  // Minimap inset (bottom right, shown while the view is zoomed or panned)
+  MINIMAP_WIDTH: 160,
+  MINIMAP_WIDTH_MOBILE: 110,
+  MINIMAP_MARGIN: 16,
+  MINIMAP_REFRESH_FRAMES: 30, // Node dots are cached and redrawn this often
+  COLOR_MINIMAP_BG: 'rgba(0, 0, 0, 0.75)',
+  COLOR_MINIMAP_NODE: 'rgba(255, 255, 255, 0.45)',
+  COLOR_MINIMAP_VIEWPORT: 'rgba(255, 255, 255, 0.8)',
+
+  // Seeded runs (data-seed) advance a fixed step per frame so every frame is reproducible
+  FIXED_TIMESTEP: 1000 / 60,
+  LAYOUT_TICKS_PER_FRAME: 3,
+
+  // Shareable view: parameters in the URL hash start with this key (url-state.js)
+  URL_STATE_KEY: 'graph',
+  SHARE_FEEDBACK_DURATION: 2000, // ms the copy link button shows "Link copied"
 
   // ATO Threshold
   ATO_THRESHOLD: 0.12,
+
+  // Imported graphs: accounts outside a mule cluster at or above this score are still high risk
+  HIGH_RISK_THRESHOLD: 0.7,
+
+  // Force-directed layout (imported graphs, or data-layout="force"), see force-layout.js
+  LAYOUT_FRAME_BUDGET: 6, // ms of layout work per animation frame
+  LAYOUT_FOLLOW_SPEED: 0.1, // How fast a focused zoom follows its cluster while the layout moves
 };
 
 // Utility functions
 const lerp = (a, b, t) => a + (b - a) * t;
 const easeInOutCubic = (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2);
 const distance = (x1, y1, x2, y2) => Math.sqrt((x2 - x1) ** 2 + (y2 - y1) ** 2);
-const randomRange = (min, max) => Math.random() * (max - min) + min;
-const generateAccountId = () => `ACC-${Math.random().toString(36).substring(2, 8).toUpperCase()}`;
+// Undirected edge key for duplicate checks
+const edgeKey = (a, b) => (a < b ? `${a}-${b}` : `${b}-${a}`);
+// Id live transfers use for an account (generated accounts without a number use their index)
+const accountKey = (node) => node.externalId ?? node.accountId ?? `NODE-${node.id}`;
+
+/**
+ * Hub of a group of nodes: the member with the highest betweenness centrality on the edges
+ * among them, degree breaks ties (a star's center, a chain's middle)
+ *
+ * @param {Array<number|string>} members - Node ids
+ * @param {{ source, target }[]} edges - Edges by node id (edges leaving the group are ignored)
+ * @returns {number|string} The hub's id
+ */
+const findHub = (members, edges) => {
+  const local = new Map(members.map((id, i) => [id, i]));
+  const adjacency = buildAdjacency(
+    members.length,
+    edges
+      .filter((edge) => local.has(edge.source) && local.has(edge.target))
+      .map((edge) => ({ source: local.get(edge.source), target: local.get(edge.target) }))
+  );
+  const betweenness = betweennessCentrality(adjacency);
+  const degree = degreeCentrality(adjacency);
+
+  let best = 0;
+  for (let i = 1; i < members.length; i++) {
+    const delta = betweenness[i] - betweenness[best] || degree[i] - degree[best];
+    if (delta > 0) best = i;
+  }
+  return members[best];
+};
+
+/**
+ * Default live risk scoring: each transfer moves an account's score towards the transfer's
+ * ATO risk, or towards half its counterparty's score when the feed sends none
+ *
+ * @param {Object} node - Account taking part in the transfer
+ * @param {Object} context - { transaction, counterparty, graph }
+ * @returns {number} New risk score (clamped to [0, 1] by ingest)
+ */
+const scoreNodeRisk = (node, { transaction, counterparty }) => {
+  const exposure = transaction.atoRisk ?? counterparty.riskScore * 0.5;
+  return node.riskScore + (exposure - node.riskScore) * CONFIG.STREAM_RISK_WEIGHT;
+};
 
 /**
  * FraudGraphNetwork Class
  * Main class for the fraud detection visualization
  */
 class FraudGraphNetwork {
-  constructor(container) {
+  /**
+   * @param {HTMLElement} container
+   * @param {Object} [options]
+   * @param {number|string} [options.seed] - Seed for generation and animation (or data-seed)
+   * @param {string} [options.renderer] - 'webgl', 'canvas' or 'auto' (or data-renderer)
+   * @param {boolean|string} [options.story] - Walkthrough controls, 'autoplay' plays on scroll
+   *   (or data-story / data-story="autoplay")
+   * @param {string} [options.stream] - Live transfer feed, SSE / WebSocket URL or 'mock'
+   *   (or data-stream-src)
+   * @param {Function} [options.scoreNode] - Live risk scoring, see scoreNodeRisk()
+   * @param {boolean} [options.analytics] - Analysis side panel (or data-analytics)
+   */
+  constructor(container, options = {}) {
     this.container = container;
     this.canvas = null;
     this.ctx = null;
+    this.rendererMode = options.renderer || container.dataset.renderer || CONFIG.RENDERER;
+    this.webgl = null; // GraphWebGLRenderer drawing edges and nodes, null for Canvas 2D
+    this.storyMode = options.story ?? container.dataset.story ?? false;
+    this.story = null; // GraphStory walkthrough when storyMode is set
+    this.analyticsMode = options.analytics ?? container.dataset.analytics ?? false;
+    this.analytics = null; // GraphAnalytics side panel when analyticsMode is set
+    this.accessibility = null; // GraphAccessibility keyboard navigation and table fallback
+    this.streamSrc = options.stream ?? container.dataset.streamSrc ?? null;
+    this.stream = null; // Open transfer feed ({ close }), see connectStream()
+    this.scoreNode = options.scoreNode || scoreNodeRisk;
+    this.isLive = false; // Set by the first ingested transfer, stops the random edge flashes
     this.width = 0;
     this.height = 0;
     this.dpr = window.devicePixelRatio || 1;
@@ -73,14 +194,31 @@ class FraudGraphNetwork {
     // Network data
     this.nodes = [];
     this.edges = [];
+    this.edgesByKey = new Map(); // Undirected edge key (edgeKey) -> edge
+    this.accountIndex = null; // Account id (accountKey) -> node, built on the first transfer
     this.muleClusters = [];
+    this.graphData = null; // Imported graph (loadGraph), null for the generated demo network
+    this.layout = null; // ForceLayout while the force-directed layout is in use
+    this.spatialIndex = null; // Hover hit-testing grid, built on the first query
+    this.indexedFrame = -1; // Frame (this.time) the index was last synced
+    this.layoutDirty = false; // Streamed accounts or edges arrived, restart the layout
+    this.layoutMode = container.dataset.layout || null; // 'force' | 'static', see useForceLayout()
+
+    // Random source: seeded PRNG for reproducible renders, Math.random otherwise
+    this.seed = readSeed(container, options.seed);
+    // The network always comes from a seed, a random one without this.seed, so a shared link
+    // rebuilds it (the link's seed wins); only this.seed makes the animation reproducible
+    this.networkSeed = readUrlState(CONFIG.URL_STATE_KEY)?.seed || (this.seed ?? createSeed());
+    this.random = createRandom(this.networkSeed);
+    this.stopUrlSync = null; // Stops following back / forward, see applyUrlState()
+    this.shareTimer = null;
 
     // Interaction state
     this.hoveredNode = null;
     this.hoveredEdge = null;
-    this.selectedNode = null; // For mobile tap-to-zoom
+    this.selectedNode = null; // Account picked by a tap or Enter, its tooltip stays while zoomed
 
-    // Transform state (zoom only, no pan)
+    // Transform state (screen = canvas * scale + x / y)
     this.transform = {
       x: 0,
       y: 0,
@@ -91,13 +229,24 @@ class FraudGraphNetwork {
       zoomProgress: 0,
       isZooming: false,
       focusedCluster: null,
+      followCluster: false, // Keep the focused cluster framed while the layout moves it
     };
 
     // Touch state
     this.isMobile = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
 
+    // Pointer state: active pointers (id -> screen position) and the current drag / pinch
+    this.pointers = new Map();
+    this.gesture = null;
+    // The wheel scrolls the page until the canvas is clicked or focused (see handleWheel())
+    this.wheelActive = false;
+
+    // Minimap: cached node dots, redrawn every CONFIG.MINIMAP_REFRESH_FRAMES
+    this.minimapCache = null;
+
     // Animation
     this.time = 0;
+    this.clock = 0; // ms of animation time, ages streamed edges
     this.animationId = null;
     this.lastFrameTime = 0;
 
@@ -109,9 +258,36 @@ class FraudGraphNetwork {
    */
   init() {
     this.createCanvas();
+    if (this.storyMode !== false) {
+      this.story = new GraphStory(this, { autoplay: this.storyMode === 'autoplay' });
+    }
+    if (this.analyticsMode !== false) {
+      this.analytics = new GraphAnalytics(this);
+    }
+    this.accessibility = new GraphAccessibility(this);
     this.setupEventListeners();
     this.handleResize();
-    this.generateNetworkData();
+
+    // Open the view of a shared link once the network exists, back / forward step through views
+    const restoreView = () => {
+      const urlState = readUrlState(CONFIG.URL_STATE_KEY);
+      if (urlState) this.applyUrlState(urlState);
+      this.stopUrlSync = onUrlStateChange(CONFIG.URL_STATE_KEY, (state) => {
+        this.applyUrlState(state);
+      });
+    };
+
+    const graphSrc = this.container.dataset.graphSrc;
+    if (graphSrc) {
+      this.loadGraphFromSource(graphSrc).then(() => {
+        restoreView();
+        this.connectStream();
+      });
+    } else {
+      this.generateNetworkData();
+      restoreView();
+      this.connectStream();
+    }
     this.startAnimation();
 
     // Handle window resize
@@ -138,9 +314,10 @@ class FraudGraphNetwork {
       box-shadow: 0 25px 50px -12px rgba(0, 0, 0, 0.5);
     `;
 
-    // Create canvas
+    // Create canvas (the whole scene with Canvas 2D, only tooltips and minimap over WebGL)
     this.canvas = document.createElement('canvas');
     this.canvas.style.cssText = `
+      position: relative;
       width: 100%;
       height: 100%;
       display: block;
@@ -183,23 +360,100 @@ class FraudGraphNetwork {
       </div>
     `;
 
+    // Create toolbar under the legend (copy link, the analysis toggle joins it)
+    this.toolbar = document.createElement('div');
+    this.toolbar.className = 'fraud-graph-toolbar';
+    this.toolbar.style.cssText = `
+      position: absolute;
+      top: 44px;
+      inset-inline-end: 16px;
+      display: flex;
+      gap: 8px;
+      font-size: 12px;
+      font-family: "SF Mono", "Fira Code", "Consolas", monospace;
+      color: rgba(255, 255, 255, 0.8);
+    `;
+    this.shareButton = document.createElement('button');
+    this.shareButton.type = 'button';
+    this.shareButton.style.cssText = `
+      padding: 4px 10px;
+      border: 1px solid rgba(255, 255, 255, 0.2);
+      border-radius: 6px;
+      background: rgba(0, 0, 0, 0.6);
+      color: inherit;
+      font: inherit;
+      cursor: pointer;
+    `;
+    this.shareButton.addEventListener('click', () => this.shareView());
+    this.toolbar.appendChild(this.shareButton);
+
     // Assemble
+    this.createRenderer();
     this.wrapper.appendChild(this.canvas);
     this.wrapper.appendChild(this.instructions);
     this.wrapper.appendChild(this.legend);
+    this.wrapper.appendChild(this.toolbar);
     this.container.appendChild(this.wrapper);
 
     this.ctx = this.canvas.getContext('2d');
   }
 
   /**
-  * Update legend text with current translation
+  * Update legend and instructions text with current translation
   */
   updateLegendText() {
     const legendSpan = this.legend.querySelector('span');
     if (legendSpan) {
       legendSpan.textContent = window.i18n?.t('banking.graph.legend') || 'High Risk. Tap to explore';
     }
+
+    this.instructions.textContent = this.isMobile
+      ? window.i18n?.t('banking.graph.instructionsTouch') ||
+        'Drag to pan · Pinch to zoom · Tap to focus or reset'
+      : window.i18n?.t('banking.graph.instructionsDesktop') ||
+        'Drag to pan · Ctrl + scroll to zoom · Click to focus or reset';
+    this.shareButton.textContent = window.i18n?.t('banking.graph.copyLink') || 'Copy link';
+
+    this.story?.updateText();
+    this.analytics?.updateText();
+    this.accessibility?.updateText();
+  }
+
+  /**
+   * Set up the WebGL backend unless Canvas 2D was requested or WebGL is unavailable
+   * Its canvas sits under the 2D one, which keeps handling pointer events
+   */
+  createRenderer() {
+    if (this.rendererMode === 'canvas') return;
+
+    this.webgl = GraphWebGLRenderer.create({
+      background: CONFIG.COLOR_BACKGROUND,
+      onContextLost: () => this.useCanvasRenderer(),
+    });
+
+    if (!this.webgl) {
+      if (this.rendererMode === 'webgl') {
+        console.warn('WebGL is unavailable, the fraud graph falls back to Canvas 2D');
+      }
+      return;
+    }
+
+    this.webgl.canvas.style.cssText = `
+      position: absolute;
+      inset: 0;
+      width: 100%;
+      height: 100%;
+      pointer-events: none;
+    `;
+    this.wrapper.appendChild(this.webgl.canvas);
+  }
+
+  /**
+   * Switch to the Canvas 2D path (after the WebGL context was lost)
+   */
+  useCanvasRenderer() {
+    this.webgl?.destroy();
+    this.webgl = null;
   }
 
   /**
@@ -214,14 +468,22 @@ class FraudGraphNetwork {
     this.canvas.width = this.width * this.dpr;
     this.canvas.height = this.height * this.dpr;
     this.ctx.scale(this.dpr, this.dpr);
+    this.webgl?.resize(this.width, this.height, this.dpr);
 
     // Regenerate network if dimensions changed significantly
-    if (this.nodes.length > 0) {
+    if (this.graphData) {
+      this.layoutGraph();
+    } else if (this.nodes.length > 0) {
       this.generateNetworkData();
     }
+    // The mock feed picks from the current accounts
+    if (this.stream instanceof MockTransactionStream) {
+      this.connectStream();
+    }
 
-    // Reset transform to center
+    // Reset transform to center (and redraw the minimap at the new size)
     this.resetTransform();
+    this.minimapCache = null;
   }
 
   /**
@@ -234,14 +496,20 @@ class FraudGraphNetwork {
     this.transform.targetX = 0;
     this.transform.targetY = 0;
     this.transform.targetScale = 1;
+    this.transform.followCluster = false;
   }
 
   /**
    * Generate the network topology
    */
   generateNetworkData() {
+    // Restart the seeded sequence so a resize regenerates the same network
+    this.random = createRandom(this.networkSeed);
     this.nodes = [];
     this.edges = [];
+    this.edgesByKey = new Map();
+    this.accountIndex = null;
+    this.spatialIndex = null;
     this.muleClusters = [];
 
     // Reduce padding on mobile for fuller coverage
@@ -259,7 +527,7 @@ class FraudGraphNetwork {
 
     for (let c = 0; c < CONFIG.MULE_CLUSTERS; c++) {
       const clusterNodeCount = Math.floor(
-        randomRange(CONFIG.NODES_PER_CLUSTER_MIN, CONFIG.NODES_PER_CLUSTER_MAX + 1)
+        this.randomRange(CONFIG.NODES_PER_CLUSTER_MIN, CONFIG.NODES_PER_CLUSTER_MAX + 1)
       );
       const clusterCenter = clusterPositions[c];
       const clusterNodes = [];
@@ -267,24 +535,24 @@ class FraudGraphNetwork {
       // Create all nodes in the cluster with complex web positions
       for (let i = 0; i < clusterNodeCount; i++) {
         // Distribute nodes in a roughly circular pattern with randomness
-        const angle = (i / clusterNodeCount) * Math.PI * 2 + randomRange(-0.5, 0.5);
-        const dist = randomRange(30, 130);
+        const angle = (i / clusterNodeCount) * Math.PI * 2 + this.randomRange(-0.5, 0.5);
+        const dist = this.randomRange(30, 130);
         
         const node = {
           id: this.nodes.length,
-          x: clusterCenter.x + Math.cos(angle) * dist + randomRange(-35, 35),
-          y: clusterCenter.y + Math.sin(angle) * dist + randomRange(-35, 35),
+          x: clusterCenter.x + Math.cos(angle) * dist + this.randomRange(-35, 35),
+          y: clusterCenter.y + Math.sin(angle) * dist + this.randomRange(-35, 35),
           baseX: clusterCenter.x + Math.cos(angle) * dist,
           baseY: clusterCenter.y + Math.sin(angle) * dist,
-          vx: randomRange(-0.2, 0.2),
-          vy: randomRange(-0.2, 0.2),
-          radius: i === 0 ? CONFIG.NODE_RADIUS_HUB : CONFIG.NODE_RADIUS, // First node slightly larger
-          riskScore: randomRange(0.78, 0.99),
-          accountId: generateAccountId(),
+          vx: this.randomRange(-0.2, 0.2),
+          vy: this.randomRange(-0.2, 0.2),
+          radius: CONFIG.NODE_RADIUS, // The hub is enlarged once the cluster is wired
+          riskScore: this.randomRange(0.78, 0.99),
+          accountId: this.generateAccountId(),
           isHighRisk: true,
-          isHub: i === 0,
+          isHub: false,
           clusterId: c,
-          pulseOffset: Math.random() * Math.PI * 2,
+          pulseOffset: this.random() * Math.PI * 2,
         };
         
         // Ensure baseX/baseY are set correctly
@@ -300,27 +568,23 @@ class FraudGraphNetwork {
       for (let i = 0; i < clusterNodes.length; i++) {
         const node = clusterNodes[i];
         // Connect to 2-4 random other nodes in the cluster
-        const connectionCount = Math.floor(randomRange(2, 5));
+        const connectionCount = Math.floor(this.randomRange(2, 5));
         const availableTargets = clusterNodes.filter((n, idx) => idx !== i);
         
         // Shuffle and pick connections
-        const shuffled = availableTargets.sort(() => Math.random() - 0.5);
+        const shuffled = shuffle(availableTargets, this.random);
         const targets = shuffled.slice(0, Math.min(connectionCount, shuffled.length));
         
         for (const target of targets) {
           // Check if edge already exists
-          const edgeExists = this.edges.some(
-            (e) =>
-              (e.source === node.id && e.target === target.id) ||
-              (e.source === target.id && e.target === node.id)
-          );
+          const edgeExists = this.hasEdge(node.id, target.id);
 
           if (!edgeExists) {
-            this.edges.push({
+            this.addEdge({
               source: node.id,
               target: target.id,
               isHighRisk: true,
-              atoRisk: randomRange(0.05, 0.18),
+              atoRisk: this.randomRange(0.05, 0.18),
               clusterId: c,
               flashProgress: 0, // For flash animation
               isFlashing: false,
@@ -332,18 +596,14 @@ class FraudGraphNetwork {
       // Add some cross-connections between nearby nodes for more web complexity
       for (let i = 0; i < clusterNodes.length; i++) {
         for (let j = i + 2; j < clusterNodes.length; j++) {
-          if (Math.random() < 0.8) {
-            const edgeExists = this.edges.some(
-              (e) =>
-                (e.source === clusterNodes[i].id && e.target === clusterNodes[j].id) ||
-                (e.source === clusterNodes[j].id && e.target === clusterNodes[i].id)
-            );
+          if (this.random() < 0.8) {
+            const edgeExists = this.hasEdge(clusterNodes[i].id, clusterNodes[j].id);
             if (!edgeExists) {
-              this.edges.push({
+              this.addEdge({
                 source: clusterNodes[i].id,
                 target: clusterNodes[j].id,
                 isHighRisk: true,
-                atoRisk: randomRange(0.06, 0.16),
+                atoRisk: this.randomRange(0.06, 0.16),
                 clusterId: c,
                 flashProgress: 0,
                 isFlashing: false,
@@ -353,15 +613,20 @@ class FraudGraphNetwork {
         }
       }
 
+      // The most central member (betweenness inside the cluster) becomes the hub
+      const hub = this.nodes[findHub(clusterNodes.map((n) => n.id), this.edges)];
+      hub.isHub = true;
+      hub.radius = CONFIG.NODE_RADIUS_HUB;
+
       // Add innocent nodes within the cluster area (to demonstrate false positive reduction)
       // These are LOW-RISK nodes that happen to be near the mule network
-      const innocentCount = Math.floor(randomRange(3, 6));
+      const innocentCount = Math.floor(this.randomRange(3, 6));
       for (let inn = 0; inn < innocentCount; inn++) {
-        const innocentAngle = Math.random() * Math.PI * 2;
-        const innocentDist = randomRange(40, 120); // Start further out
+        const innocentAngle = this.random() * Math.PI * 2;
+        const innocentDist = this.randomRange(40, 120); // Start further out
         
-        let innX = clusterCenter.x + Math.cos(innocentAngle) * innocentDist + randomRange(-25, 25);
-        let innY = clusterCenter.y + Math.sin(innocentAngle) * innocentDist + randomRange(-25, 25);
+        let innX = clusterCenter.x + Math.cos(innocentAngle) * innocentDist + this.randomRange(-25, 25);
+        let innY = clusterCenter.y + Math.sin(innocentAngle) * innocentDist + this.randomRange(-25, 25);
         
         // Check if too close to any high-risk node (especially hubs)
         const tooCloseToHighRisk = clusterNodes.some(hrNode => {
@@ -380,15 +645,15 @@ class FraudGraphNetwork {
           y: innY,
           baseX: innX,
           baseY: innY,
-          vx: randomRange(-0.15, 0.15),
-          vy: randomRange(-0.15, 0.15),
+          vx: this.randomRange(-0.15, 0.15),
+          vy: this.randomRange(-0.15, 0.15),
           radius: CONFIG.NODE_RADIUS,
-          riskScore: randomRange(0.05, 0.25), // Low risk score
+          riskScore: this.randomRange(0.05, 0.25), // Low risk score
           accountId: null,
           isHighRisk: false, // NOT part of the mule network
           isHub: false,
           clusterId: null, // No cluster - innocent
-          pulseOffset: Math.random() * Math.PI * 2,
+          pulseOffset: this.random() * Math.PI * 2,
           isInnocentNearCluster: true, // Flag for identification
         };
         
@@ -400,10 +665,10 @@ class FraudGraphNetwork {
 
       // Add distant "satellite" nodes - these represent hidden connections
       // that GNNs can detect but traditional systems would miss
-      const satelliteCount = Math.floor(randomRange(2, 4));
+      const satelliteCount = Math.floor(this.randomRange(2, 4));
       for (let s = 0; s < satelliteCount; s++) {
         // Position satellites far from cluster center but within safe bounds
-        const satelliteAngle = Math.random() * Math.PI * 2;
+        const satelliteAngle = this.random() * Math.PI * 2;
         
         // Calculate max safe distance based on cluster position and canvas edges
         const maxDistToLeft = clusterCenter.x - padding - 30;
@@ -422,7 +687,7 @@ class FraudGraphNetwork {
         if (dirY > 0) maxSafeDist = Math.min(maxSafeDist, maxDistToBottom / dirY);
         
         // Ensure minimum distance but cap at safe maximum
-        const satelliteDist = randomRange(80, Math.max(100, Math.min(maxSafeDist, 200)));
+        const satelliteDist = this.randomRange(80, Math.max(100, Math.min(maxSafeDist, 200)));
         
         let satX = clusterCenter.x + dirX * satelliteDist;
         let satY = clusterCenter.y + dirY * satelliteDist;
@@ -437,15 +702,15 @@ class FraudGraphNetwork {
           y: satY,
           baseX: satX,
           baseY: satY,
-          vx: randomRange(-0.15, 0.15),
-          vy: randomRange(-0.15, 0.15),
+          vx: this.randomRange(-0.15, 0.15),
+          vy: this.randomRange(-0.15, 0.15),
           radius: CONFIG.NODE_RADIUS,
-          riskScore: randomRange(0.72, 0.94),
-          accountId: generateAccountId(),
+          riskScore: this.randomRange(0.72, 0.94),
+          accountId: this.generateAccountId(),
           isHighRisk: true,
           isHub: false,
           clusterId: c,
-          pulseOffset: Math.random() * Math.PI * 2,
+          pulseOffset: this.random() * Math.PI * 2,
           isSatellite: true, // Flag for distant node
         };
         
@@ -453,16 +718,16 @@ class FraudGraphNetwork {
         clusterNodes.push(satelliteNode);
         
         // Connect satellite to 1-3 nodes in the main cluster
-        const connectionsToMain = Math.floor(randomRange(1, 4));
+        const connectionsToMain = Math.floor(this.randomRange(1, 4));
         const mainClusterNodes = clusterNodes.filter(n => !n.isSatellite);
-        const shuffledMain = mainClusterNodes.sort(() => Math.random() - 0.5);
+        const shuffledMain = shuffle(mainClusterNodes, this.random);
         
         for (let m = 0; m < Math.min(connectionsToMain, shuffledMain.length); m++) {
-          this.edges.push({
+          this.addEdge({
             source: satelliteNode.id,
             target: shuffledMain[m].id,
             isHighRisk: true,
-            atoRisk: randomRange(0.04, 0.14),
+            atoRisk: this.randomRange(0.04, 0.14),
             clusterId: c,
             flashProgress: 0,
             isFlashing: false,
@@ -491,8 +756,8 @@ class FraudGraphNetwork {
       const baseY = padding + topOffset + row * cellHeight + cellHeight / 2;
 
       // Add jitter to avoid grid look
-      const jitterX = randomRange(-cellWidth * 0.4, cellWidth * 0.4);
-      const jitterY = randomRange(-cellHeight * 0.4, cellHeight * 0.4);
+      const jitterX = this.randomRange(-cellWidth * 0.4, cellWidth * 0.4);
+      const jitterY = this.randomRange(-cellHeight * 0.4, cellHeight * 0.4);
 
       const nodeX = baseX + jitterX;
       const nodeY = baseY + jitterY;
@@ -514,15 +779,15 @@ class FraudGraphNetwork {
         y: nodeY,
         baseX: nodeX,
         baseY: nodeY,
-        vx: randomRange(-0.15, 0.15),
-        vy: randomRange(-0.15, 0.15),
+        vx: this.randomRange(-0.15, 0.15),
+        vy: this.randomRange(-0.15, 0.15),
         radius: CONFIG.NODE_RADIUS,
-        riskScore: randomRange(0.02, 0.35),
+        riskScore: this.randomRange(0.02, 0.35),
         accountId: null,
         isHighRisk: false,
         isHub: false,
         clusterId: null,
-        pulseOffset: Math.random() * Math.PI * 2,
+        pulseOffset: this.random() * Math.PI * 2,
       };
       this.nodes.push(lowRiskNode);
       createdLowRisk++;
@@ -533,7 +798,7 @@ class FraudGraphNetwork {
     for (let i = 0; i < lowRiskNodes.length; i++) {
       const node = lowRiskNodes[i];
       // More connections per node for denser network
-      const connectionCount = Math.floor(randomRange(2, 6));
+      const connectionCount = Math.floor(this.randomRange(2, 6));
 
       const nearbyNodes = lowRiskNodes.filter(
         (n) => n.id !== node.id && distance(node.x, node.y, n.x, n.y) < 120
@@ -547,14 +812,10 @@ class FraudGraphNetwork {
       const targets = nearbyNodes.slice(0, connectionCount);
 
       for (const target of targets) {
-        const edgeExists = this.edges.some(
-          (e) =>
-            (e.source === node.id && e.target === target.id) ||
-            (e.source === target.id && e.target === node.id)
-        );
+        const edgeExists = this.hasEdge(node.id, target.id);
 
         if (!edgeExists) {
-          this.edges.push({
+          this.addEdge({
             source: node.id,
             target: target.id,
             isHighRisk: false,
@@ -569,18 +830,14 @@ class FraudGraphNetwork {
 
     // Add some random long-range connections for small-world effect
     for (let i = 0; i < lowRiskNodes.length * 0.12; i++) {
-      const nodeA = lowRiskNodes[Math.floor(Math.random() * lowRiskNodes.length)];
-      const nodeB = lowRiskNodes[Math.floor(Math.random() * lowRiskNodes.length)];
+      const nodeA = lowRiskNodes[Math.floor(this.random() * lowRiskNodes.length)];
+      const nodeB = lowRiskNodes[Math.floor(this.random() * lowRiskNodes.length)];
       
       if (nodeA && nodeB && nodeA.id !== nodeB.id) {
-        const edgeExists = this.edges.some(
-          (e) =>
-            (e.source === nodeA.id && e.target === nodeB.id) ||
-            (e.source === nodeB.id && e.target === nodeA.id)
-        );
+        const edgeExists = this.hasEdge(nodeA.id, nodeB.id);
 
         if (!edgeExists) {
-          this.edges.push({
+          this.addEdge({
             source: nodeA.id,
             target: nodeB.id,
             isHighRisk: false,
@@ -596,11 +853,11 @@ class FraudGraphNetwork {
     // Add some connections between low-risk and high-risk nodes (false connections)
     const highRiskNodes = this.nodes.filter((n) => n.isHighRisk);
     for (let i = 0; i < 25; i++) {
-      const lowRisk = lowRiskNodes[Math.floor(Math.random() * lowRiskNodes.length)];
-      const highRisk = highRiskNodes[Math.floor(Math.random() * highRiskNodes.length)];
+      const lowRisk = lowRiskNodes[Math.floor(this.random() * lowRiskNodes.length)];
+      const highRisk = highRiskNodes[Math.floor(this.random() * highRiskNodes.length)];
 
       if (lowRisk && highRisk && distance(lowRisk.x, lowRisk.y, highRisk.x, highRisk.y) < 150) {
-        this.edges.push({
+        this.addEdge({
           source: lowRisk.id,
           target: highRisk.id,
           isHighRisk: false,
@@ -635,18 +892,14 @@ class FraudGraphNetwork {
         
         // Ensure these distant nodes are connected (if not already)
         if (nodeA && nodeB) {
-          const edgeExists = this.edges.some(
-            (e) =>
-              (e.source === nodeA.id && e.target === nodeB.id) ||
-              (e.source === nodeB.id && e.target === nodeA.id)
-          );
+          const edgeExists = this.hasEdge(nodeA.id, nodeB.id);
           
           if (!edgeExists) {
-            this.edges.push({
+            this.addEdge({
               source: nodeA.id,
               target: nodeB.id,
               isHighRisk: true,
-              atoRisk: randomRange(0.03, 0.11), // Lower probability - hard to detect
+              atoRisk: this.randomRange(0.03, 0.11), // Lower probability - hard to detect
               clusterId: nodeA.clusterId,
               flashProgress: 0,
               isFlashing: false,
@@ -655,22 +908,425 @@ class FraudGraphNetwork {
         }
       }
     }
+
+    this.startLayout();
+    if (!this.nodes.includes(this.selectedNode)) this.selectedNode = null;
+    this.story?.reset();
+    this.analytics?.reset();
+    this.accessibility?.reset();
   }
 
   /**
-   * Setup event listeners
+   * Replace the generated network with an imported transaction graph
+   *
+   * @param {Object} data - { nodes, edges } (see graph-data.js) or { accounts, transfers } CSV text
+   * @returns {FraudGraphNetwork} this
    */
-  setupEventListeners() {
-    if (this.isMobile) {
-      // Mobile: tap to zoom, tap elsewhere to reset
-      this.canvas.addEventListener('touchstart', (e) => this.handleTouchStart(e), { passive: false });
-      this.canvas.addEventListener('touchend', (e) => this.handleTouchEnd(e), { passive: false });
+  loadGraph(data) {
+    this.graphData = toGraph(data);
+    this.hoveredNode = null;
+    this.hoveredEdge = null;
+    this.zoomOut();
+    this.layoutGraph();
+    return this;
+  }
+
+  /**
+   * Load the graph referenced by data-graph-src, falling back to the generated network
+   */
+  async loadGraphFromSource(src) {
+    try {
+      this.loadGraph(await fetchGraph(src));
+    } catch (error) {
+      console.error(`Failed to load fraud graph from "${src}":`, error);
+      this.generateNetworkData();
+    }
+  }
+
+  /**
+   * Build positioned nodes and edges from the imported graph
+   * Mule clusters are laid out around the canvas like the generated ones,
+   * unclustered accounts fill a jittered grid around them
+   */
+  layoutGraph() {
+    const { nodes, edges } = this.graphData;
+    this.random = createRandom(this.networkSeed);
+    this.nodes = [];
+    this.edges = [];
+    this.edgesByKey = new Map();
+    this.accountIndex = null;
+    this.spatialIndex = null;
+    this.muleClusters = [];
+
+    const padding = this.isMobile ? 20 : 40;
+    const topOffset = this.isMobile ? 40 : 0;
+
+    // Cluster labels in order of first appearance -> numeric cluster ids
+    const clusterLabels = [...new Set(nodes.map((n) => n.cluster).filter((c) => c !== null))];
+    const clusterIds = new Map(clusterLabels.map((label, i) => [label, i]));
+    const clusterSizes = clusterLabels.map(
+      (label) => nodes.filter((n) => n.cluster === label).length
+    );
+
+    // Cluster centers on an ellipse (the three demo positions when there are at most three)
+    const presetPositions = [
+      { x: this.width * 0.2, y: this.height * 0.35 + topOffset / 2 },
+      { x: this.width * 0.8, y: this.height * 0.35 + topOffset / 2 },
+      { x: this.width * 0.35, y: this.height * 0.7 + topOffset / 2 },
+    ];
+    const clusterCenters = clusterLabels.map((label, c) => {
+      if (clusterLabels.length <= presetPositions.length) return presetPositions[c];
+      const angle = (c / clusterLabels.length) * Math.PI * 2;
+      return {
+        x: this.width / 2 + Math.cos(angle) * this.width * 0.32,
+        y: this.height / 2 + topOffset / 2 + Math.sin(angle) * this.height * 0.3,
+      };
+    });
+    const clusterRadii = clusterSizes.map((size) => Math.min(130, 30 + Math.sqrt(size) * 18));
+
+    // Cluster hubs: flagged in the data, otherwise the most central member
+    const hubs = new Set(nodes.filter((n) => n.isHub).map((n) => n.id));
+    for (const label of clusterLabels) {
+      const members = nodes.filter((n) => n.cluster === label);
+      if (members.some((n) => hubs.has(n.id))) continue;
+      hubs.add(findHub(members.map((n) => n.id), edges));
+    }
+
+    // Free grid cells for unclustered accounts (outside the cluster areas)
+    const unclustered = nodes.filter((n) => n.cluster === null);
+    const effectiveWidth = this.width - padding * 2;
+    const effectiveHeight = this.height - padding * 2 - topOffset;
+    let cells = [];
+    for (let factor = 1.3; cells.length < unclustered.length && factor < 20; factor *= 1.5) {
+      const cellCount = Math.max(1, Math.ceil(unclustered.length * factor));
+      const gridCols = Math.ceil(Math.sqrt(cellCount * (effectiveWidth / effectiveHeight)));
+      const gridRows = Math.ceil(cellCount / gridCols);
+      const cellWidth = effectiveWidth / gridCols;
+      const cellHeight = effectiveHeight / gridRows;
+
+      cells = [];
+      for (let i = 0; i < gridCols * gridRows; i++) {
+        const x = padding + (i % gridCols) * cellWidth + cellWidth / 2;
+        const y = padding + topOffset + Math.floor(i / gridCols) * cellHeight + cellHeight / 2;
+        const insideCluster = clusterCenters.some(
+          (center, c) => distance(x, y, center.x, center.y) < clusterRadii[c] * 0.6
+        );
+        if (!insideCluster) {
+          cells.push({ x, y, jitterX: cellWidth * 0.4, jitterY: cellHeight * 0.4 });
+        }
+      }
+    }
+    shuffle(cells, this.random);
+
+    const clusterCounters = clusterLabels.map(() => 0);
+    const indexById = new Map();
+    let cellIndex = 0;
+
+    for (const data of nodes) {
+      const clusterId = data.cluster === null ? null : clusterIds.get(data.cluster);
+      let x;
+      let y;
+
+      if (clusterId !== null) {
+        // Distribute cluster members in a roughly circular pattern, hubs near the center
+        const center = clusterCenters[clusterId];
+        const i = clusterCounters[clusterId]++;
+        const angle = (i / clusterSizes[clusterId]) * Math.PI * 2 + this.randomRange(-0.5, 0.5);
+        const dist = hubs.has(data.id)
+          ? this.randomRange(0, 15)
+          : this.randomRange(25, clusterRadii[clusterId]);
+        x = center.x + Math.cos(angle) * dist;
+        y = center.y + Math.sin(angle) * dist;
+      } else {
+        const cell = cells[cellIndex++ % Math.max(1, cells.length)] || {
+          x: this.width / 2,
+          y: this.height / 2,
+          jitterX: effectiveWidth / 2,
+          jitterY: effectiveHeight / 2,
+        };
+        x = cell.x + this.randomRange(-cell.jitterX, cell.jitterX);
+        y = cell.y + this.randomRange(-cell.jitterY, cell.jitterY);
+      }
+
+      const isHub = clusterId !== null && hubs.has(data.id);
+      const node = {
+        id: this.nodes.length,
+        x,
+        y,
+        baseX: x,
+        baseY: y,
+        vx: this.randomRange(-0.15, 0.15),
+        vy: this.randomRange(-0.15, 0.15),
+        radius: isHub ? CONFIG.NODE_RADIUS_HUB : CONFIG.NODE_RADIUS,
+        riskScore: data.riskScore,
+        accountId: data.accountId,
+        isHighRisk: clusterId !== null || data.riskScore >= CONFIG.HIGH_RISK_THRESHOLD,
+        isHub,
+        clusterId,
+        pulseOffset: this.random() * Math.PI * 2,
+        externalId: data.id,
+      };
+
+      indexById.set(data.id, node.id);
+      this.nodes.push(node);
+      if (clusterId !== null) {
+        (this.muleClusters[clusterId] ||= []).push(node);
+      }
+    }
+
+    for (const edge of edges) {
+      const source = this.nodes[indexById.get(edge.source)];
+      const target = this.nodes[indexById.get(edge.target)];
+      const sameCluster = source.clusterId !== null && source.clusterId === target.clusterId;
+      // Transfers in both directions (or repeated) draw as one edge
+      if (this.hasEdge(source.id, target.id)) continue;
+
+      this.addEdge({
+        source: source.id,
+        target: target.id,
+        isHighRisk: sameCluster,
+        atoRisk: edge.atoRisk,
+        clusterId: sameCluster ? source.clusterId : null,
+        flashProgress: 0,
+        isFlashing: false,
+      });
+    }
+
+    this.startLayout();
+    if (!this.nodes.includes(this.selectedNode)) this.selectedNode = null;
+    this.story?.reset();
+    this.analytics?.reset();
+    this.accessibility?.reset();
+  }
+
+  hasEdge(a, b) {
+    return this.edgesByKey.has(edgeKey(a, b));
+  }
+
+  getEdge(a, b) {
+    return this.edgesByKey.get(edgeKey(a, b)) ?? null;
+  }
+
+  addEdge(edge) {
+    this.edgesByKey.set(edgeKey(edge.source, edge.target), edge);
+    this.edges.push(edge);
+  }
+
+  /**
+   * Feed transfers into ingest() from an SSE or WebSocket URL, or from the mock generator
+   *
+   * @param {string} [src] - URL or 'mock', defaults to data-stream-src
+   * @returns {{ close: () => void }|null} The open feed (also this.stream)
+   */
+  connectStream(src = this.streamSrc) {
+    this.stream?.close();
+    this.stream = null;
+    if (!src) return null;
+
+    const ingest = (transaction) => this.ingest(transaction);
+    if (src === 'mock') {
+      this.stream = new MockTransactionStream({
+        accounts: this.nodes.map(accountKey),
+        muleAccounts: (this.muleClusters[0] || []).map(accountKey),
+        seed: this.seed,
+      }).subscribe(ingest);
     } else {
-      // Desktop: hover to zoom
-      this.canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
-      this.canvas.addEventListener('mouseleave', () => this.handleMouseLeave());
-      this.canvas.addEventListener('click', (e) => this.handleClick(e));
+      this.stream = connectTransactionStream(src, ingest);
     }
+    return this.stream;
+  }
+
+  /**
+   * Node of an account id, null when the account hasn't been seen
+   */
+  findAccount(id) {
+    if (!this.accountIndex) {
+      this.accountIndex = new Map(this.nodes.map((node) => [accountKey(node), node]));
+    }
+    return this.accountIndex.get(id) ?? null;
+  }
+
+  /**
+   * Add an account first seen in a transfer, next to its counterparty when that one is known
+   */
+  addAccount(id, counterparty) {
+    const padding = this.isMobile ? 20 : 40;
+    const spread = 40;
+    const x = counterparty
+      ? counterparty.baseX + this.randomRange(-spread, spread)
+      : this.randomRange(padding, this.width - padding);
+    const y = counterparty
+      ? counterparty.baseY + this.randomRange(-spread, spread)
+      : this.randomRange(padding, this.height - padding);
+
+    const node = {
+      id: this.nodes.length,
+      x,
+      y,
+      baseX: x,
+      baseY: y,
+      vx: this.randomRange(-0.15, 0.15),
+      vy: this.randomRange(-0.15, 0.15),
+      radius: CONFIG.NODE_RADIUS,
+      riskScore: 0,
+      accountId: id,
+      isHighRisk: false,
+      isHub: false,
+      clusterId: null,
+      pulseOffset: this.random() * Math.PI * 2,
+      externalId: id,
+    };
+
+    this.nodes.push(node);
+    this.findAccount(id);
+    this.accountIndex.set(id, node);
+    this.layoutDirty = true;
+    return node;
+  }
+
+  /**
+   * Apply one live transfer: add its accounts and edge if they are new, flash the edge
+   * from sender to receiver and rescore both accounts with this.scoreNode
+   *
+   * @param {Object} transaction - { source, target, amount, timestamp, atoRisk }, see graph-data.js
+   * @returns {Object|null} The edge carrying the transfer, null when the transfer was invalid
+   */
+  ingest(transaction) {
+    let transfer;
+    try {
+      transfer = normalizeTransaction(transaction);
+    } catch (error) {
+      console.warn('Ignored transfer:', error.message);
+      return null;
+    }
+
+    this.isLive = true;
+    const source =
+      this.findAccount(transfer.source) ??
+      this.addAccount(transfer.source, this.findAccount(transfer.target));
+    const target = this.findAccount(transfer.target) ?? this.addAccount(transfer.target, source);
+
+    let edge = this.getEdge(source.id, target.id);
+    if (!edge) {
+      const sameCluster = source.clusterId !== null && source.clusterId === target.clusterId;
+      edge = {
+        source: source.id,
+        target: target.id,
+        isHighRisk: sameCluster,
+        atoRisk: null,
+        clusterId: sameCluster ? source.clusterId : null,
+        flashProgress: 0,
+        isFlashing: false,
+        isLive: true, // Created by the stream, removed after CONFIG.STREAM_EDGE_TTL
+      };
+      this.addEdge(edge);
+      this.layoutDirty = true;
+    }
+
+    edge.lastSeen = this.clock;
+    edge.transfers = (edge.transfers || 0) + 1;
+    edge.amount = (edge.amount || 0) + (transfer.amount ?? 0);
+    if (transfer.atoRisk !== null) edge.atoRisk = transfer.atoRisk;
+
+    // Travel from the sender, whichever way round the edge was first drawn
+    edge.isFlashing = true;
+    edge.flashProgress = 0;
+    edge.flashDuration = CONFIG.STREAM_FLASH_DURATION;
+    edge.flashFrom = source.id;
+
+    this.rescore(source, target, transfer);
+    this.rescore(target, source, transfer);
+    this.analytics?.invalidate();
+    return edge;
+  }
+
+  rescore(node, counterparty, transaction) {
+    const score = this.scoreNode(node, { transaction, counterparty, graph: this });
+    node.riskScore = Math.max(0, Math.min(1, Number(score) || 0));
+    node.isHighRisk = node.clusterId !== null || node.riskScore >= CONFIG.HIGH_RISK_THRESHOLD;
+  }
+
+  /**
+   * Remove streamed edges that carried no transfer for CONFIG.STREAM_EDGE_TTL
+   */
+  ageEdges() {
+    const isExpired = (edge) => edge.isLive && this.clock - edge.lastSeen > CONFIG.STREAM_EDGE_TTL;
+    if (!this.edges.some(isExpired)) return;
+
+    this.edges = this.edges.filter((edge) => !isExpired(edge));
+    this.edgesByKey = new Map(this.edges.map((edge) => [edgeKey(edge.source, edge.target), edge]));
+    if (this.hoveredEdge && isExpired(this.hoveredEdge)) this.hoveredEdge = null;
+    this.spatialIndex = null;
+    this.layoutDirty = true;
+    this.analytics?.invalidate();
+  }
+
+  /**
+   * Imported graphs use the force-directed layout, the generated demo keeps its hand-placed one
+   * (data-layout="force" or "static" on the container overrides either)
+   */
+  useForceLayout() {
+    return (this.layoutMode ?? (this.graphData ? 'force' : 'static')) === 'force';
+  }
+
+  /**
+   * (Re)start the force-directed layout from the current node positions
+   */
+  startLayout() {
+    this.layout = this.useForceLayout()
+      ? new ForceLayout(this.nodes, this.edges, {
+          width: this.width,
+          height: this.height,
+          padding: this.isMobile ? 20 : 40,
+          random: this.random,
+        })
+      : null;
+  }
+
+  /**
+   * Random float in [min, max) from the network's random source
+   */
+  randomRange(min, max) {
+    return this.random() * (max - min) + min;
+  }
+
+  generateAccountId() {
+    return `ACC-${this.random().toString(36).substring(2, 8).toUpperCase()}`;
+  }
+
+  /**
+   * Setup event listeners
+   * Pointer events cover mouse, pen and touch: drag to pan, pinch or wheel to zoom,
+   * tap / click to focus a cluster or reset the view
+   */
+  setupEventListeners() {
+    this.canvas.addEventListener('pointerdown', (e) => {
+      this.wheelActive = true;
+      this.handlePointerDown(e);
+    });
+    this.canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+    this.canvas.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+    this.canvas.addEventListener('pointercancel', (e) => this.handlePointerUp(e, true));
+    this.canvas.addEventListener('pointerleave', (e) => {
+      if (e.pointerType !== 'mouse') return;
+      this.wheelActive = false;
+      this.handleMouseLeave();
+    });
+    this.canvas.addEventListener('focus', () => {
+      this.wheelActive = true;
+    });
+    this.canvas.addEventListener('blur', () => {
+      this.wheelActive = false;
+    });
+    this.canvas.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+  }
+
+  /**
+   * Pointer position relative to the canvas
+   */
+  getPointerPosition(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
   }
 
   /**
@@ -690,15 +1346,8 @@ class FraudGraphNetwork {
     const canvasPos = this.screenToCanvas(x, y);
     const hoverRadius = CONFIG.HOVER_RADIUS / this.transform.scale;
 
-    // Check nodes in reverse order (top nodes first)
-    for (let i = this.nodes.length - 1; i >= 0; i--) {
-      const node = this.nodes[i];
-      const dist = distance(canvasPos.x, canvasPos.y, node.x, node.y);
-      if (dist < hoverRadius) {
-        return node;
-      }
-    }
-    return null;
+    // Topmost node wins, as nodes are drawn in order
+    return this.getSpatialIndex().findNode(canvasPos.x, canvasPos.y, hoverRadius);
   }
 
   /**
@@ -710,40 +1359,26 @@ class FraudGraphNetwork {
     const canvasPos = this.screenToCanvas(x, y);
     const threshold = 8 / this.transform.scale;
 
-    for (const edge of this.edges) {
-      const sourceNode = this.nodes[edge.source];
-      const targetNode = this.nodes[edge.target];
-
-      // Point to line distance calculation
-      const A = canvasPos.x - sourceNode.x;
-      const B = canvasPos.y - sourceNode.y;
-      const C = targetNode.x - sourceNode.x;
-      const D = targetNode.y - sourceNode.y;
-
-      const dot = A * C + B * D;
-      const lenSq = C * C + D * D;
-      let param = -1;
-
-      if (lenSq !== 0) param = dot / lenSq;
-
-      let xx, yy;
-      if (param < 0) {
-        xx = sourceNode.x;
-        yy = sourceNode.y;
-      } else if (param > 1) {
-        xx = targetNode.x;
-        yy = targetNode.y;
-      } else {
-        xx = sourceNode.x + param * C;
-        yy = sourceNode.y + param * D;
-      }
+    // Only edges with an ATO risk have a tooltip
+    return this.getSpatialIndex().findEdge(
+      canvasPos.x,
+      canvasPos.y,
+      threshold,
+      (edge) => edge.atoRisk !== null
+    );
+  }
 
-      const dist = distance(canvasPos.x, canvasPos.y, xx, yy);
-      if (dist < threshold && edge.atoRisk !== null) {
-        return edge;
-      }
+  /**
+   * Spatial index over the current node positions, synced at most once per frame
+   */
+  getSpatialIndex() {
+    if (!this.spatialIndex) {
+      this.spatialIndex = new SpatialIndex(this.nodes, this.edges);
+    } else if (this.indexedFrame !== this.time) {
+      this.spatialIndex.update();
     }
-    return null;
+    this.indexedFrame = this.time;
+    return this.spatialIndex;
   }
 
   /**
@@ -755,7 +1390,7 @@ class FraudGraphNetwork {
 
     // Find the closest high-risk node (which determines the cluster)
     for (const node of this.nodes) {
-      if (node.isHighRisk) {
+      if (node.isHighRisk && node.clusterId !== null) {
         const dist = distance(x, y, node.x, node.y);
         if (dist < closestDist) {
           closestDist = dist;
@@ -774,22 +1409,35 @@ class FraudGraphNetwork {
     this.transform.isZooming = true;
     this.transform.zoomProgress = 0;
     this.transform.focusedCluster = node.clusterId;
-    this.transform.targetScale = CONFIG.ZOOM_LEVEL;
-    
+    this.transform.followCluster = true;
+    this.updateClusterTarget(node.clusterId);
+  }
+
+  /**
+   * Point the zoom target at a cluster's current position and extent
+   */
+  updateClusterTarget(clusterId) {
     // Calculate cluster center (centroid of all nodes in the cluster)
-    const clusterNodes = this.nodes.filter(n => n.clusterId === node.clusterId);
-    let centerX = node.x;
-    let centerY = node.y;
-    
-    if (clusterNodes.length > 0) {
-      const sumX = clusterNodes.reduce((sum, n) => sum + n.x, 0);
-      const sumY = clusterNodes.reduce((sum, n) => sum + n.y, 0);
-      centerX = sumX / clusterNodes.length;
-      centerY = sumY / clusterNodes.length;
-    }
-    
-    this.transform.targetX = this.width / 2 - centerX * CONFIG.ZOOM_LEVEL;
-    this.transform.targetY = this.height / 2 - centerY * CONFIG.ZOOM_LEVEL;
+    const clusterNodes = this.nodes.filter((n) => n.clusterId === clusterId);
+    if (clusterNodes.length === 0) return;
+
+    const centerX = clusterNodes.reduce((sum, n) => sum + n.baseX, 0) / clusterNodes.length;
+    const centerY = clusterNodes.reduce((sum, n) => sum + n.baseY, 0) / clusterNodes.length;
+
+    // Fit the cluster's bounding box, never below the default zoom so tooltips stay visible
+    const xs = clusterNodes.map((n) => n.baseX);
+    const ys = clusterNodes.map((n) => n.baseY);
+    const spanX = Math.max(...xs) - Math.min(...xs);
+    const spanY = Math.max(...ys) - Math.min(...ys);
+    const fitScale = Math.min(
+      (this.width * CONFIG.ZOOM_FIT) / Math.max(spanX, 1),
+      (this.height * CONFIG.ZOOM_FIT) / Math.max(spanY, 1)
+    );
+    const scale = Math.max(CONFIG.ZOOM_LEVEL, Math.min(CONFIG.ZOOM_LEVEL_MAX, fitScale));
+
+    this.transform.targetScale = scale;
+    this.transform.targetX = this.width / 2 - centerX * scale;
+    this.transform.targetY = this.height / 2 - centerY * scale;
   }
 
   /**
@@ -799,6 +1447,7 @@ class FraudGraphNetwork {
     this.transform.isZooming = true;
     this.transform.zoomProgress = 0;
     this.transform.focusedCluster = null;
+    this.transform.followCluster = false;
     this.transform.targetScale = 1;
     this.transform.targetX = 0;
     this.transform.targetY = 0;
@@ -806,24 +1455,72 @@ class FraudGraphNetwork {
   }
 
   /**
-   * Mouse move handler (desktop)
+   * Whether the view differs from the full (reset) view
    */
-  handleMouseMove(e) {
-    const rect = this.canvas.getBoundingClientRect();
-    const x = e.clientX - rect.left;
-    const y = e.clientY - rect.top;
+  isViewTransformed() {
+    const { x, y, scale } = this.transform;
+    return Math.abs(scale - 1) > 0.01 || Math.abs(x) > 1 || Math.abs(y) > 1;
+  }
 
-    const node = this.findNodeAtPosition(x, y);
-    const edge = node ? null : this.findEdgeAtPosition(x, y);
+  /**
+   * Manual pan / zoom takes over from any zoom animation or cluster following
+   */
+  takeManualControl() {
+    this.transform.isZooming = false;
+    this.transform.followCluster = false;
+  }
 
+  /**
+   * Pan the view by a screen-space offset
+   */
+  panBy(dx, dy) {
+    this.takeManualControl();
+    this.transform.x += dx;
+    this.transform.y += dy;
+    this.transform.targetX = this.transform.x;
+    this.transform.targetY = this.transform.y;
+  }
+
+  /**
+   * Zoom by a factor keeping the canvas point under (x, y) fixed on screen
+   */
+  zoomAt(x, y, factor) {
+    this.takeManualControl();
+    const { scale } = this.transform;
+    const newScale = Math.max(CONFIG.ZOOM_MIN, Math.min(CONFIG.ZOOM_MAX, scale * factor));
+    const ratio = newScale / scale;
+
+    this.transform.x = x - (x - this.transform.x) * ratio;
+    this.transform.y = y - (y - this.transform.y) * ratio;
+    this.transform.scale = newScale;
+    this.transform.targetX = this.transform.x;
+    this.transform.targetY = this.transform.y;
+    this.transform.targetScale = newScale;
+  }
+
+  /**
+   * Center the view on a canvas point, keeping the current zoom
+   */
+  centerOn(canvasX, canvasY) {
+    this.panBy(
+      this.width / 2 - (canvasX * this.transform.scale + this.transform.x),
+      this.height / 2 - (canvasY * this.transform.scale + this.transform.y)
+    );
+  }
+
+  /**
+   * Hover handler (mouse without a pressed button)
+   */
+  handleHover(x, y) {
+    const node = this.findNodeAtPosition(x, y);
     this.hoveredNode = node;
-    this.hoveredEdge = edge;
+    this.hoveredEdge = this.findEdgeAtPosition(x, y);
 
     // Update cursor style
     if (node && node.isHighRisk) {
       this.canvas.style.cursor = 'pointer';
     } else {
-      this.canvas.style.cursor = 'default';
+      this.canvas.style.cursor = this.isViewTransformed() ? 'grab' : 'default';
     }
   }
 
@@ -837,67 +1534,127 @@ class FraudGraphNetwork {
   }
 
   /**
-  }* Click handler (desktop) - click to zoom in/out
-  */
-  handleClick(e) {
-    const rect = this.canvas.getBoundingClientRect();
-    const x = e.clientX - rect.left;
-    const y = e.clientY - rect.top;
+   * Pointer down: start a tap, a drag (pan), a pinch or a minimap drag
+   */
+  handlePointerDown(e) {
+    const { x, y } = this.getPointerPosition(e);
+    this.story?.interrupt();
+    this.canvas.setPointerCapture?.(e.pointerId);
+    this.pointers.set(e.pointerId, { x, y });
+
+    if (this.pointers.size === 1) {
+      const onMinimap = this.isViewTransformed() && this.isInMinimap(x, y);
+      this.gesture = { startX: x, startY: y, moved: onMinimap, minimap: onMinimap };
+      if (onMinimap) this.centerOnMinimapPoint(x, y);
+    } else if (this.pointers.size === 2) {
+      const [a, b] = [...this.pointers.values()];
+      this.gesture = {
+        moved: true,
+        pinchDistance: distance(a.x, a.y, b.x, b.y),
+        midX: (a.x + b.x) / 2,
+        midY: (a.y + b.y) / 2,
+      };
+    }
+  }
 
-    // If already zoomed in, any click zooms out
-    if (this.transform.focusedCluster !== null) {
-      this.zoomOut();
+  /**
+   * Pointer move: hover, pan, pinch-zoom or minimap drag
+   */
+  handlePointerMove(e) {
+    const { x, y } = this.getPointerPosition(e);
+    const previous = this.pointers.get(e.pointerId);
+
+    if (!previous) {
+      if (e.pointerType === 'mouse') this.handleHover(x, y);
+      return;
+    }
+
+    this.pointers.set(e.pointerId, { x, y });
+    const gesture = this.gesture;
+    if (!gesture) return;
+
+    if (gesture.minimap) {
+      this.centerOnMinimapPoint(x, y);
+      return;
+    }
+
+    if (this.pointers.size >= 2 && gesture.pinchDistance) {
+      // Pinch: zoom around the midpoint of the two fingers and pan with it
+      const [a, b] = [...this.pointers.values()];
+      const pinchDistance = distance(a.x, a.y, b.x, b.y);
+      const midX = (a.x + b.x) / 2;
+      const midY = (a.y + b.y) / 2;
+
+      this.zoomAt(midX, midY, pinchDistance / Math.max(gesture.pinchDistance, 1));
+      this.panBy(midX - gesture.midX, midY - gesture.midY);
+      Object.assign(gesture, { pinchDistance, midX, midY });
+      return;
+    }
+
+    if (!gesture.moved && distance(x, y, gesture.startX, gesture.startY) > CONFIG.DRAG_THRESHOLD) {
+      gesture.moved = true;
       this.hoveredNode = null;
       this.hoveredEdge = null;
+      this.canvas.style.cursor = 'grabbing';
+    }
+    if (gesture.moved) {
+      this.panBy(x - previous.x, y - previous.y);
+    }
+  }
+
+  /**
+   * Pointer up: a pointer that didn't move is a tap / click
+   */
+  handlePointerUp(e, cancelled = false) {
+    const { x, y } = this.getPointerPosition(e);
+    this.pointers.delete(e.pointerId);
+
+    if (this.pointers.size > 0) {
+      // Pinch ended with one finger still down: continue as a pan from where it is
+      if (this.gesture) this.gesture.pinchDistance = null;
       return;
     }
 
-    // Not zoomed: find and zoom to closest mule network
-    const canvasPos = this.screenToCanvas(x, y);
-    const closestCluster = this.findClosestCluster(canvasPos.x, canvasPos.y);
-    
-    if (closestCluster) {
-      this.zoomToCluster(closestCluster);
+    const gesture = this.gesture;
+    this.gesture = null;
+    this.canvas.style.cursor = this.isViewTransformed() ? 'grab' : 'default';
+
+    if (gesture && !gesture.moved && !cancelled) {
+      this.handleTap(x, y, e.pointerType);
     }
   }
 
   /**
-   * Touch start handler (mobile)
+   * Tap / click: reset a focused or manually moved view, otherwise zoom to the closest cluster
    */
-    handleTouchStart(e) {
-    e.preventDefault();
-
-    if (e.touches.length === 1) {
-      const touch = e.touches[0];
-      const rect = this.canvas.getBoundingClientRect();
-      const x = touch.clientX - rect.left;
-      const y = touch.clientY - rect.top;
-
-      // If already zoomed in, any tap zooms out
-      if (this.transform.focusedCluster !== null) {
-        this.zoomOut();
-        this.hoveredNode = null;
-        this.hoveredEdge = null;
-        return;
-      }
+  handleTap(x, y, pointerType) {
+    // Picking the accounts of an analytics path takes over taps
+    if (this.analytics?.pathMode) {
+      const node = this.findNodeAtPosition(x, y);
+      if (node) this.analytics.pickPathNode(node);
+      return;
+    }
 
+    if (this.transform.focusedCluster !== null || this.isViewTransformed()) {
+      this.zoomOut();
+      this.hoveredNode = null;
+      this.hoveredEdge = null;
+    } else {
       // Not zoomed: find and zoom to closest mule network
       const canvasPos = this.screenToCanvas(x, y);
       const closestCluster = this.findClosestCluster(canvasPos.x, canvasPos.y);
-      
+
       if (closestCluster) {
+        // The tapped account when it's part of the network, else the one that picked it
+        const node = this.findNodeAtPosition(x, y);
         this.zoomToCluster(closestCluster);
+        this.selectedNode = node?.clusterId === closestCluster.clusterId ? node : closestCluster;
       }
     }
-  }
+    this.commitUrlState();
 
-  /**
-   * Touch end handler (mobile)
-   */
-  handleTouchEnd(e) {
-    // Keep the hovered state if we're zoomed in
-    if (this.transform.focusedCluster === null) {
-      // Clear hover after a delay if not zoomed
+    // Touch has no hover: clear anything left over after a moment
+    if (pointerType !== 'mouse' && this.transform.focusedCluster === null) {
       setTimeout(() => {
         if (this.transform.focusedCluster === null) {
           this.hoveredNode = null;
@@ -906,6 +1663,87 @@ class FraudGraphNetwork {
     }
   }
 
+  /**
+   * View for the URL hash: network seed, focused mule network and selected account
+   */
+  getUrlState() {
+    return {
+      seed: this.networkSeed,
+      cluster: this.transform.focusedCluster,
+      node: this.selectedNode ? accountKey(this.selectedNode) : null,
+    };
+  }
+
+  /**
+   * Store the view as a history entry (no-op when the URL already holds it)
+   */
+  commitUrlState() {
+    writeUrlState(CONFIG.URL_STATE_KEY, this.getUrlState());
+  }
+
+  /**
+   * Show a view from the URL hash, null (history entry without one) zooms out
+   * Unknown clusters or accounts (e.g. not streamed in yet) are ignored
+   */
+  applyUrlState(state) {
+    // Another network: rebuild it from the link's seed
+    if (state?.seed && state.seed !== this.networkSeed) {
+      this.networkSeed = state.seed;
+      this.zoomOut();
+      if (this.graphData) {
+        this.layoutGraph();
+      } else {
+        this.generateNetworkData();
+      }
+      if (this.stream instanceof MockTransactionStream) {
+        this.connectStream();
+      }
+    }
+
+    const node = state?.node ? this.nodes.find((n) => accountKey(n) === state.node) : null;
+    const clusterId = node?.clusterId ?? state?.cluster;
+    const member = this.nodes.find(
+      (n) => n.clusterId !== null && String(n.clusterId) === String(clusterId)
+    );
+
+    if (member) {
+      // A shared view stays put instead of the walkthrough taking over
+      this.story?.hold();
+      if (this.transform.focusedCluster !== member.clusterId) this.zoomToCluster(member);
+      this.selectedNode = node?.clusterId === member.clusterId ? node : null;
+    } else if (this.transform.focusedCluster !== null || this.isViewTransformed()) {
+      this.zoomOut();
+    }
+  }
+
+  /**
+   * Put the current view in the URL and copy the link, the button confirms for a moment
+   */
+  shareView() {
+    this.commitUrlState();
+    copyUrl().then((copied) => {
+      if (!copied) return;
+      this.shareButton.textContent = window.i18n?.t('banking.graph.linkCopied') || 'Link copied';
+      clearTimeout(this.shareTimer);
+      this.shareTimer = setTimeout(() => this.updateLegendText(), CONFIG.SHARE_FEEDBACK_DURATION);
+    });
+  }
+
+  /**
+   * Wheel: zoom around the cursor
+   * Only with ctrl / cmd held, on a clicked or focused canvas or an already zoomed view,
+   * otherwise the page scrolls past the graph
+   */
+  handleWheel(e) {
+    if (!e.ctrlKey && !e.metaKey && !this.wheelActive && !this.isViewTransformed()) return;
+
+    e.preventDefault();
+    const { x, y } = this.getPointerPosition(e);
+    // Line / page deltas (Firefox) are roughly 16px / one screen per unit
+    const unit = e.deltaMode === 1 ? 16 : e.deltaMode === 2 ? this.height : 1;
+    this.zoomAt(x, y, Math.exp(-e.deltaY * unit * CONFIG.WHEEL_ZOOM_SPEED));
+  }
+
   /**
    * Start the animation loop
    */
@@ -919,7 +1757,7 @@ class FraudGraphNetwork {
    */
   animate() {
     const currentTime = performance.now();
-    const deltaTime = currentTime - this.lastFrameTime;
+    const deltaTime = this.seed !== null ? CONFIG.FIXED_TIMESTEP : currentTime - this.lastFrameTime;
     this.lastFrameTime = currentTime;
 
     this.update(deltaTime);
@@ -933,6 +1771,9 @@ class FraudGraphNetwork {
    */
   update(deltaTime) {
     this.time += 1;
+    this.clock += deltaTime;
+    this.story?.update(deltaTime);
+    this.analytics?.update(deltaTime);
 
     // Update zoom animation
     if (this.transform.isZooming) {
@@ -948,6 +1789,33 @@ class FraudGraphNetwork {
       this.transform.y = lerp(this.transform.y, this.transform.targetY, t);
     }
 
+    // Lay out streamed accounts and edges (the layout only knows the nodes it was built with)
+    if (this.layoutDirty) {
+      this.layoutDirty = false;
+      if (this.useForceLayout()) {
+        this.startLayout();
+        this.layout.restart(CONFIG.STREAM_LAYOUT_ALPHA);
+      }
+    }
+
+    // Advance the force-directed layout, a focused zoom follows its cluster as it moves
+    if (this.layout?.isRunning()) {
+      if (this.seed !== null) {
+        for (let i = 0; i < CONFIG.LAYOUT_TICKS_PER_FRAME; i++) this.layout.tick();
+      } else {
+        this.layout.run(CONFIG.LAYOUT_FRAME_BUDGET);
+      }
+      if (this.transform.followCluster) {
+        this.updateClusterTarget(this.transform.focusedCluster);
+      }
+    }
+    if (this.transform.followCluster && !this.transform.isZooming) {
+      const t = CONFIG.LAYOUT_FOLLOW_SPEED;
+      this.transform.scale = lerp(this.transform.scale, this.transform.targetScale, t);
+      this.transform.x = lerp(this.transform.x, this.transform.targetX, t);
+      this.transform.y = lerp(this.transform.y, this.transform.targetY, t);
+    }
+
     // Update node positions (idle animation)
     for (const node of this.nodes) {
       // Gentle floating
@@ -961,8 +1829,8 @@ class FraudGraphNetwork {
       node.vy += dy * 0.008;
 
       // Add some random movement
-      node.vx += (Math.random() - 0.5) * 0.05;
-      node.vy += (Math.random() - 0.5) * 0.05;
+      node.vx += (this.random() - 0.5) * 0.05;
+      node.vy += (this.random() - 0.5) * 0.05;
 
       // Damping
       node.vx *= 0.98;
@@ -984,26 +1852,33 @@ class FraudGraphNetwork {
       
       // Update ongoing flashes
       if (edge.isFlashing) {
-        edge.flashProgress += deltaTime / CONFIG.EDGE_FLASH_DURATION;
+        edge.flashProgress += deltaTime / (edge.flashDuration || CONFIG.EDGE_FLASH_DURATION);
         if (edge.flashProgress >= 1) {
           edge.flashProgress = 0;
           edge.isFlashing = false;
         }
       }
       
-      // Randomly trigger new flashes
-      if (!edge.isFlashing && Math.random() < CONFIG.EDGE_FLASH_PROBABILITY) {
+      // Randomly trigger new flashes (until transfers arrive)
+      if (!this.isLive && !edge.isFlashing && this.random() < CONFIG.EDGE_FLASH_PROBABILITY) {
         edge.isFlashing = true;
         edge.flashProgress = 0;
       }
     }
+
+    if (this.isLive) {
+      this.ageEdges();
+    }
   }
 
   /**
    * Get node opacity based on focus state
    */
   getNodeOpacity(node) {
+    const highlight = this.analytics?.highlight;
+    if (highlight) return highlight.nodes.has(node) ? 1 : 0.08;
     if (this.transform.focusedCluster === null) return 1;
+    if (this.story?.isHighlighted(node)) return 1;
     if (node.clusterId === this.transform.focusedCluster) return 1;
     return 0.08;
   }
@@ -1012,9 +1887,101 @@ class FraudGraphNetwork {
    * Get edge opacity based on focus state
    */
   getEdgeOpacity(edge) {
-    if (this.transform.focusedCluster === null) return 1;
-    if (edge.clusterId === this.transform.focusedCluster) return 1;
-    return 0.03;
+    const fade = edge.isLive ? this.getLiveEdgeFade(edge) : 1;
+    const highlight = this.analytics?.highlight;
+    if (highlight) return (highlight.edges.has(edge) ? 1 : 0.03) * fade;
+    if (this.transform.focusedCluster === null) return fade;
+    if (edge.clusterId === this.transform.focusedCluster) return fade;
+    return 0.03 * fade;
+  }
+
+  /**
+   * Streamed edges fade out over the end of their lifetime
+   */
+  getLiveEdgeFade(edge) {
+    const remaining = 1 - (this.clock - edge.lastSeen) / CONFIG.STREAM_EDGE_TTL;
+    return Math.max(0, Math.min(1, remaining / CONFIG.STREAM_EDGE_FADE));
+  }
+
+  /**
+   * Edge stroke for the current frame, shared by the Canvas 2D and WebGL renderers
+   *
+   * @param {Object} edge
+   * @param {Object} [style] - Object to fill in (reused across edges to avoid allocations)
+   * @returns {{ color, width, glowColor, glowBlur, alpha }} glowBlur is a Canvas shadowBlur
+   */
+  getEdgeStyle(edge, style = {}) {
+    const opacity = this.getEdgeOpacity(edge);
+
+    // Calculate flash intensity (peaks in middle of animation) - reduced by half
+    let flashIntensity = 0;
+    if (edge.isFlashing) {
+      // Sine curve for smooth flash: 0 -> 1 -> 0, then halved
+      flashIntensity = Math.sin(edge.flashProgress * Math.PI) * 0.5;
+    }
+
+    const isZoomedOnThisCluster = this.transform.focusedCluster === edge.clusterId;
+
+    if (flashIntensity > 0) {
+      // Flashing state
+      if (edge.isHighRisk) {
+        // High-risk edge flashes red
+        style.color = CONFIG.COLOR_EDGE_FLASH_HIGH_RISK;
+        style.width = CONFIG.EDGE_WIDTH + flashIntensity * 0.75;
+        style.glowColor = CONFIG.COLOR_NODE_HIGH_RISK_GLOW;
+        style.glowBlur = isZoomedOnThisCluster ? (2 + flashIntensity * 3) : (flashIntensity * 4);
+        style.alpha = isZoomedOnThisCluster ? opacity * 0.6 : opacity * 0.5;
+      } else {
+        // Normal edge flashes white
+        style.color = CONFIG.COLOR_EDGE_FLASH;
+        style.width = CONFIG.EDGE_WIDTH + flashIntensity * 0.6;
+        style.glowColor = 'rgba(255, 255, 255, 0.3)';
+        style.glowBlur = flashIntensity * 4;
+        style.alpha = opacity * (0.5 + flashIntensity * 0.25);
+      }
+    } else {
+      // Not flashing - all edges look the same (white/normal)
+      style.color = CONFIG.COLOR_EDGE_NORMAL;
+      style.width = CONFIG.EDGE_WIDTH;
+      style.glowColor = null;
+      style.glowBlur = 0;
+      style.alpha = opacity * 0.5; // 20% brighter (was 0.4)
+    }
+
+    return style;
+  }
+
+  /**
+   * Node fill for the current frame, shared by the Canvas 2D and WebGL renderers
+   *
+   * @param {Object} node
+   * @param {Object} [style] - Object to fill in (reused across nodes to avoid allocations)
+   * @returns {{ color, radius, glowColor, glowBlur, alpha }} glowBlur is a Canvas shadowBlur
+   */
+  getNodeStyle(node, style = {}) {
+    const opacity = this.getNodeOpacity(node);
+    const pulse = Math.sin(this.time * CONFIG.PULSE_SPEED + node.pulseOffset) * 0.3 + 0.7;
+
+    style.radius = node.radius * (node.isHub ? 1.3 : 1);
+
+    if (
+      node.isHighRisk &&
+      (this.transform.focusedCluster === node.clusterId || this.transform.focusedCluster === null)
+    ) {
+      // High-risk node with glow
+      const glowIntensity = this.transform.focusedCluster === node.clusterId ? 1 : 0.5;
+      style.color = CONFIG.COLOR_NODE_HIGH_RISK;
+      style.glowColor = CONFIG.COLOR_NODE_HIGH_RISK_GLOW;
+      style.glowBlur = 12 * pulse * glowIntensity;
+      style.alpha = opacity;
+    } else {
+      style.color = CONFIG.COLOR_NODE_LOW_RISK;
+      style.glowColor = null;
+      style.glowBlur = 0;
+      style.alpha = opacity * pulse;
+    }
+
+    return style;
   }
 
   /**
@@ -1023,73 +1990,64 @@ class FraudGraphNetwork {
   render() {
     const ctx = this.ctx;
 
-    // Clear canvas
-    ctx.fillStyle = CONFIG.COLOR_BACKGROUND;
-    ctx.fillRect(0, 0, this.width, this.height);
+    if (this.webgl) {
+      // WebGL draws edges and nodes underneath, this canvas only holds the overlays
+      ctx.clearRect(0, 0, this.width, this.height);
+      this.webgl.render(this);
+    } else {
+      // Clear canvas
+      ctx.fillStyle = CONFIG.COLOR_BACKGROUND;
+      ctx.fillRect(0, 0, this.width, this.height);
 
-    // Apply transform
-    ctx.save();
-    ctx.translate(this.transform.x, this.transform.y);
-    ctx.scale(this.transform.scale, this.transform.scale);
+      // Apply transform
+      ctx.save();
+      ctx.translate(this.transform.x, this.transform.y);
+      ctx.scale(this.transform.scale, this.transform.scale);
 
-    // Draw edges
-    this.renderEdges(ctx);
+      // Draw edges
+      this.renderEdges(ctx);
 
-    // Draw nodes
-    this.renderNodes(ctx);
+      // Draw nodes
+      this.renderNodes(ctx);
 
-    ctx.restore();
+      ctx.restore();
+    }
 
-    // Draw metadata tooltips (in screen space)
+    // Draw streamed transfers, walkthrough highlights and metadata tooltips (in screen space)
+    if (this.isLive) {
+      this.renderTransfers(ctx);
+    }
+    this.analytics?.render(ctx);
+    this.story?.render(ctx);
+    this.accessibility?.render(ctx);
     this.renderMetadata(ctx);
+
+    // Draw the minimap while zoomed or panned
+    if (this.isViewTransformed()) {
+      this.renderMinimap(ctx);
+    }
   }
 
   /**
    * Render all edges
    */
   renderEdges(ctx) {
+    const style = {};
+
     for (const edge of this.edges) {
       const sourceNode = this.nodes[edge.source];
       const targetNode = this.nodes[edge.target];
-      const opacity = this.getEdgeOpacity(edge);
+      this.getEdgeStyle(edge, style);
 
       ctx.beginPath();
       ctx.moveTo(sourceNode.x, sourceNode.y);
       ctx.lineTo(targetNode.x, targetNode.y);
 
-      // Calculate flash intensity (peaks in middle of animation) - reduced by half
-      let flashIntensity = 0;
-      if (edge.isFlashing) {
-        // Sine curve for smooth flash: 0 -> 1 -> 0, then halved
-        flashIntensity = Math.sin(edge.flashProgress * Math.PI) * 0.5;
-      }
-
-      const isZoomedOnThisCluster = this.transform.focusedCluster === edge.clusterId;
-
-      if (flashIntensity > 0) {
-        // Flashing state
-        if (edge.isHighRisk) {
-          // High-risk edge flashes red
-          ctx.strokeStyle = CONFIG.COLOR_EDGE_FLASH_HIGH_RISK;
-          ctx.lineWidth = CONFIG.EDGE_WIDTH + flashIntensity * 0.75;
-          ctx.shadowColor = CONFIG.COLOR_NODE_HIGH_RISK_GLOW;
-          ctx.shadowBlur = isZoomedOnThisCluster ? (2 + flashIntensity * 3) : (flashIntensity * 4);
-          ctx.globalAlpha = isZoomedOnThisCluster ? opacity * 0.6 : opacity * 0.5;
-        } else {
-          // Normal edge flashes white
-          ctx.strokeStyle = CONFIG.COLOR_EDGE_FLASH;
-          ctx.lineWidth = CONFIG.EDGE_WIDTH + flashIntensity * 0.6;
-          ctx.shadowColor = 'rgba(255, 255, 255, 0.3)';
-          ctx.shadowBlur = flashIntensity * 4;
-          ctx.globalAlpha = opacity * (0.5 + flashIntensity * 0.25);
-        }
-      } else {
-        // Not flashing - all edges look the same (white/normal)
-        ctx.strokeStyle = CONFIG.COLOR_EDGE_NORMAL;
-        ctx.lineWidth = CONFIG.EDGE_WIDTH;
-        ctx.shadowBlur = 0;
-        ctx.globalAlpha = opacity * 0.5; // 20% brighter (was 0.4)
-      }
+      ctx.strokeStyle = style.color;
+      ctx.lineWidth = style.width;
+      if (style.glowBlur > 0) ctx.shadowColor = style.glowColor;
+      ctx.shadowBlur = style.glowBlur;
+      ctx.globalAlpha = style.alpha;
 
       ctx.stroke();
       ctx.shadowBlur = 0;
@@ -1101,28 +2059,18 @@ class FraudGraphNetwork {
    * Render all nodes
    */
   renderNodes(ctx) {
+    const style = {};
+
     for (const node of this.nodes) {
-      const opacity = this.getNodeOpacity(node);
-      const pulse = Math.sin(this.time * CONFIG.PULSE_SPEED + node.pulseOffset) * 0.3 + 0.7;
+      this.getNodeStyle(node, style);
 
       ctx.beginPath();
-      ctx.arc(node.x, node.y, node.radius * (node.isHub ? 1.3 : 1), 0, Math.PI * 2);
-
-      if (
-        node.isHighRisk &&
-        (this.transform.focusedCluster === node.clusterId || this.transform.focusedCluster === null)
-      ) {
-        // High-risk node with glow
-        const glowIntensity = this.transform.focusedCluster === node.clusterId ? 1 : 0.5;
-        ctx.fillStyle = CONFIG.COLOR_NODE_HIGH_RISK;
-        ctx.shadowColor = CONFIG.COLOR_NODE_HIGH_RISK_GLOW;
-        ctx.shadowBlur = 12 * pulse * glowIntensity;
-        ctx.globalAlpha = opacity;
-      } else {
-        ctx.fillStyle = CONFIG.COLOR_NODE_LOW_RISK;
-        ctx.shadowBlur = 0;
-        ctx.globalAlpha = opacity * pulse;
-      }
+      ctx.arc(node.x, node.y, style.radius, 0, Math.PI * 2);
+
+      ctx.fillStyle = style.color;
+      if (style.glowBlur > 0) ctx.shadowColor = style.glowColor;
+      ctx.shadowBlur = style.glowBlur;
+      ctx.globalAlpha = style.alpha;
 
       ctx.fill();
       ctx.shadowBlur = 0;
@@ -1130,17 +2078,60 @@ class FraudGraphNetwork {
     }
   }
 
+  /**
+   * Render streamed transfers as flashes travelling from sender to receiver
+   * Drawn in screen space over either renderer
+   */
+  renderTransfers(ctx) {
+    const { x: offsetX, y: offsetY, scale } = this.transform;
+
+    for (const edge of this.edges) {
+      if (!edge.isFlashing || edge.flashFrom === undefined) continue;
+
+      const from = this.nodes[edge.flashFrom];
+      const to = this.nodes[edge.flashFrom === edge.source ? edge.target : edge.source];
+      const head = easeInOutCubic(edge.flashProgress);
+      const tail = Math.max(0, head - CONFIG.STREAM_TRAIL);
+      const headX = lerp(from.x, to.x, head) * scale + offsetX;
+      const headY = lerp(from.y, to.y, head) * scale + offsetY;
+      const tailX = lerp(from.x, to.x, tail) * scale + offsetX;
+      const tailY = lerp(from.y, to.y, tail) * scale + offsetY;
+      const isRisky = edge.isHighRisk || edge.atoRisk >= CONFIG.ATO_THRESHOLD;
+      const color = isRisky ? CONFIG.COLOR_EDGE_FLASH_HIGH_RISK : CONFIG.COLOR_EDGE_FLASH;
+
+      const gradient = ctx.createLinearGradient(tailX, tailY, headX, headY);
+      gradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
+      gradient.addColorStop(1, color);
+
+      ctx.globalAlpha = this.getEdgeOpacity(edge);
+      ctx.strokeStyle = gradient;
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      ctx.moveTo(tailX, tailY);
+      ctx.lineTo(headX, headY);
+      ctx.stroke();
+
+      ctx.fillStyle = color;
+      ctx.beginPath();
+      ctx.arc(headX, headY, 2, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    ctx.globalAlpha = 1;
+  }
+
   /**
    * Render metadata tooltips
    */
   renderMetadata(ctx) {
-    if (this.hoveredNode && this.transform.scale > 1.5) {
-      const screenX = this.hoveredNode.x * this.transform.scale + this.transform.x;
-      const screenY = this.hoveredNode.y * this.transform.scale + this.transform.y;
-      this.renderNodeMetadata(ctx, this.hoveredNode, screenX, screenY);
+    const node = this.hoveredNode ?? this.selectedNode;
+    if (node && this.transform.scale > 1.5) {
+      const screenX = node.x * this.transform.scale + this.transform.x;
+      const screenY = node.y * this.transform.scale + this.transform.y;
+      this.renderNodeMetadata(ctx, node, screenX, screenY);
     }
 
-    if (this.hoveredEdge && this.transform.scale > 1.5) {
+    if (this.hoveredEdge && this.hoveredEdge.atoRisk !== null && this.transform.scale > 1.5) {
       const sourceNode = this.nodes[this.hoveredEdge.source];
       const targetNode = this.nodes[this.hoveredEdge.target];
       const midX = ((sourceNode.x + targetNode.x) / 2) * this.transform.scale + this.transform.x;
@@ -1149,6 +2140,25 @@ class FraudGraphNetwork {
     }
   }
 
+  /**
+   * Node tooltip lines, shared with the screen reader announcements
+   */
+  getNodeMetadataLines(node) {
+    const riskLabel = window.i18n?.t('banking.graph.riskScore') || 'Risk Score';
+    const accountLabel = window.i18n?.t('banking.graph.account') || 'Account';
+    return node.isHighRisk
+      ? [`${riskLabel}: ${node.riskScore.toFixed(2)}`, `${accountLabel}: ${node.accountId}`]
+      : [`${riskLabel}: ${node.riskScore.toFixed(2)}`];
+  }
+
+  /**
+   * Edge tooltip text, the link probability against the ATO threshold
+   */
+  getEdgeMetadataText(edge) {
+    const comparison = edge.atoRisk >= CONFIG.ATO_THRESHOLD ? '≥' : '<';
+    return `P(Link(u,v)) = ${edge.atoRisk.toFixed(2)} ${comparison} ${CONFIG.ATO_THRESHOLD}`;
+  }
+
   /**
    * Render node metadata tooltip
    */
@@ -1158,21 +2168,19 @@ class FraudGraphNetwork {
 
     ctx.font = '13px "SF Mono", "Fira Code", "Consolas", monospace';
 
-    const riskLabel = window.i18n?.t('banking.graph.riskScore') || 'Risk Score';
-    const accountLabel = window.i18n?.t('banking.graph.account') || 'Account';
-    const lines = node.isHighRisk
-      ? [`${riskLabel}: ${node.riskScore.toFixed(2)}`, `${accountLabel}: ${node.accountId}`]
-      : [`${riskLabel}: ${node.riskScore.toFixed(2)}`];
+    const lines = this.getNodeMetadataLines(node);
 
     const maxWidth = Math.max(...lines.map((l) => ctx.measureText(l).width)) + padding * 2 + 10;
     const height = lines.length * lineHeight + padding * 2;
 
-    // Position tooltip
-    let tooltipX = x + 20;
+    // Position tooltip (after the node in reading order: right in LTR, left in RTL)
+    const rtl = isRTL();
+    let tooltipX = rtl ? x - maxWidth - 20 : x + 20;
     let tooltipY = y - height / 2;
 
     // Keep within bounds
-    if (tooltipX + maxWidth > this.width) tooltipX = x - maxWidth - 20;
+    if (rtl && tooltipX < 0) tooltipX = x + 20;
+    if (!rtl && tooltipX + maxWidth > this.width) tooltipX = x - maxWidth - 20;
     if (tooltipY < 10) tooltipY = 10;
     if (tooltipY + height > this.height - 10) tooltipY = this.height - height - 10;
 
@@ -1187,8 +2195,12 @@ class FraudGraphNetwork {
     ctx.lineWidth = 1;
     ctx.stroke();
 
-    // Draw text
+    // Draw text (label then value, starting from the right edge in RTL)
+    ctx.save();
     ctx.textBaseline = 'middle';
+    ctx.direction = rtl ? 'rtl' : 'ltr';
+    ctx.textAlign = rtl ? 'right' : 'left';
+    const textX = rtl ? tooltipX + maxWidth - padding : tooltipX + padding;
 
     lines.forEach((line, i) => {
       const parts = line.split(': ');
@@ -1198,7 +2210,7 @@ class FraudGraphNetwork {
       ctx.fillStyle = CONFIG.COLOR_METADATA_LABEL;
       ctx.fillText(
         parts[0] + ': ',
-        tooltipX + padding,
+        textX,
         tooltipY + padding + lineHeight * i + lineHeight / 2
       );
 
@@ -1206,10 +2218,11 @@ class FraudGraphNetwork {
       ctx.fillStyle = node.isHighRisk && i === 0 ? CONFIG.COLOR_NODE_HIGH_RISK : CONFIG.COLOR_METADATA_TEXT;
       ctx.fillText(
         parts[1],
-        tooltipX + padding + labelWidth,
+        rtl ? textX - labelWidth : textX + labelWidth,
         tooltipY + padding + lineHeight * i + lineHeight / 2
       );
     });
+    ctx.restore();
   }
 
   /**
@@ -1217,7 +2230,7 @@ class FraudGraphNetwork {
    */
   renderEdgeMetadata(ctx, edge, x, y) {
     const padding = 12;
-    const text = `P(Link(u,v)) = ${edge.atoRisk.toFixed(2)} < ${CONFIG.ATO_THRESHOLD}`;
+    const text = this.getEdgeMetadataText(edge);
     const isAboveThreshold = edge.atoRisk >= CONFIG.ATO_THRESHOLD;
 
     ctx.font = '12px "SF Mono", "Fira Code", "Consolas", monospace';
@@ -1249,6 +2262,87 @@ class FraudGraphNetwork {
     ctx.textAlign = 'left';
   }
 
+  /**
+   * Minimap inset position and size (screen space), same aspect ratio as the canvas
+   */
+  getMinimapRect() {
+    const width = this.isMobile ? CONFIG.MINIMAP_WIDTH_MOBILE : CONFIG.MINIMAP_WIDTH;
+    const height = (width * this.height) / Math.max(this.width, 1);
+    return {
+      x: this.width - width - CONFIG.MINIMAP_MARGIN,
+      y: this.height - height - CONFIG.MINIMAP_MARGIN,
+      width,
+      height,
+    };
+  }
+
+  isInMinimap(x, y) {
+    const rect = this.getMinimapRect();
+    return x >= rect.x && x <= rect.x + rect.width && y >= rect.y && y <= rect.y + rect.height;
+  }
+
+  /**
+   * Center the view on the canvas point under a minimap position
+   */
+  centerOnMinimapPoint(x, y) {
+    const rect = this.getMinimapRect();
+    const ratio = this.width / rect.width;
+    this.centerOn((x - rect.x) * ratio, (y - rect.y) * ratio);
+  }
+
+  /**
+   * Render the minimap: every node as a dot and the visible area as a rectangle
+   */
+  renderMinimap(ctx) {
+    const rect = this.getMinimapRect();
+    const ratio = rect.width / this.width;
+
+    // Node dots change slowly, redraw them into a cached canvas every few frames
+    if (!this.minimapCache || this.time % CONFIG.MINIMAP_REFRESH_FRAMES === 0) {
+      this.minimapCache ||= document.createElement('canvas');
+      const cache = this.minimapCache;
+      cache.width = Math.ceil(rect.width * this.dpr);
+      cache.height = Math.ceil(rect.height * this.dpr);
+
+      const cacheCtx = cache.getContext('2d');
+      cacheCtx.scale(this.dpr * ratio, this.dpr * ratio);
+      for (const node of this.nodes) {
+        const size = (node.isHighRisk ? 3 : 2) / ratio;
+        cacheCtx.fillStyle = node.isHighRisk
+          ? CONFIG.COLOR_NODE_HIGH_RISK
+          : CONFIG.COLOR_MINIMAP_NODE;
+        cacheCtx.fillRect(node.x - size / 2, node.y - size / 2, size, size);
+      }
+    }
+
+    ctx.save();
+
+    // Background
+    ctx.fillStyle = CONFIG.COLOR_MINIMAP_BG;
+    ctx.beginPath();
+    this.roundRect(ctx, rect.x, rect.y, rect.width, rect.height, 6);
+    ctx.fill();
+    ctx.strokeStyle = CONFIG.COLOR_METADATA_BORDER;
+    ctx.lineWidth = 1;
+    ctx.stroke();
+    ctx.clip();
+
+    ctx.drawImage(this.minimapCache, rect.x, rect.y, rect.width, rect.height);
+
+    // Visible area
+    const topLeft = this.screenToCanvas(0, 0);
+    const bottomRight = this.screenToCanvas(this.width, this.height);
+    ctx.strokeStyle = CONFIG.COLOR_MINIMAP_VIEWPORT;
+    ctx.strokeRect(
+      rect.x + topLeft.x * ratio,
+      rect.y + topLeft.y * ratio,
+      (bottomRight.x - topLeft.x) * ratio,
+      (bottomRight.y - topLeft.y) * ratio
+    );
+
+    ctx.restore();
+  }
+
   /**
    * Draw rounded rectangle (polyfill for older browsers)
    */
@@ -1277,6 +2371,13 @@ class FraudGraphNetwork {
     if (this.animationId) {
       cancelAnimationFrame(this.animationId);
     }
+    this.webgl?.destroy();
+    this.story?.destroy();
+    this.analytics?.destroy();
+    this.accessibility?.destroy();
+    this.stream?.close();
+    this.stopUrlSync?.();
+    clearTimeout(this.shareTimer);
     if (this.wrapper && this.wrapper.parentNode) {
       this.wrapper.parentNode.removeChild(this.wrapper);
     }
@@ -0,0 +1,425 @@
+/* =========================
+FRAUD GRAPH ACCESSIBILITY
+Keyboard navigation, screen reader announcements and a table fallback for FraudGraphNetwork
+- The canvas is focusable: arrow keys move to the connected account in that direction,
+  Page Up / Page Down step through the mule networks, Enter zooms into the focused account's
+  network (zoomToCluster) and Escape zooms out (zoomOut)
+- A visually hidden live region announces the tooltip data (node and edge metadata)
+- A collapsible table below the graph lists the accounts and the high-risk accounts' links
+Labels come from banking.graph.a11y.* translation keys
+=========================== */
+
+import { formatMessage } from '../utils/message-format.js';
+
+// Configuration constants
+const A11Y_CONFIG = {
+  MIN_DIRECTION: 0.3, // Cosine between arrow key and neighbor direction to count as "that way"
+  ANNOUNCE_DELAY: 50, // ms between clearing and filling the live region (repeats are re-read)
+  COLOR_FOCUS: '#ffffff',
+};
+
+// English fallbacks while translations load (ICU messages, see message-format.js)
+const A11Y_TEXT = {
+  label: 'Fraud network graph',
+  instructions:
+    'Arrow keys move to a connected account. Page Up and Page Down move between mule networks. ' +
+    'Enter zooms into the focused network, Escape zooms out.',
+  network: 'Mule network {index} of {count}, {size, plural, one {# account} other {# accounts}}',
+  connections: '{count, plural, =0 {no connections} one {# connection} other {# connections}}',
+  notInNetwork: 'This account is not part of a mule network',
+  noNeighbor: 'No connected account in that direction',
+  zoomedOut: 'Showing the whole network',
+  table: 'Show graph data as a table',
+  accounts: 'Accounts by risk score',
+  links: 'Links of high-risk accounts',
+  account: 'Account',
+  risk: 'Risk score',
+  cluster: 'Mule network',
+  degree: 'Connections',
+  source: 'From',
+  target: 'To',
+};
+
+const a11yText = (key, params) =>
+  window.i18n?.t(`banking.graph.a11y.${key}`, params) ||
+  formatMessage(A11Y_TEXT[key], params, 'en');
+
+const accountName = (node) => node.externalId ?? node.accountId ?? `#${node.id}`;
+
+let instanceCount = 0;
+
+/**
+ * GraphAccessibility Class
+ * Keyboard focus, live announcements and the table fallback
+ */
+class GraphAccessibility {
+  /**
+   * @param {FraudGraphNetwork} graph
+   */
+  constructor(graph) {
+    this.graph = graph;
+    this.id = `fraud-graph-a11y-${++instanceCount}`;
+    this.focusedNode = null;
+    this.showFocus = false; // Focus ring only for keyboard focus, not after a click
+    this.announceTimer = null;
+
+    this.createElements();
+    this.setupEventListeners();
+  }
+
+  /**
+   * Canvas semantics, hidden instructions and live region, and the table fallback
+   */
+  createElements() {
+    const { canvas, wrapper, container } = this.graph;
+
+    this.instructions = document.createElement('p');
+    this.instructions.id = `${this.id}-instructions`;
+    this.instructions.className = 'sr-only';
+
+    this.liveRegion = document.createElement('div');
+    this.liveRegion.className = 'sr-only';
+    this.liveRegion.setAttribute('aria-live', 'polite');
+    this.liveRegion.setAttribute('aria-atomic', 'true');
+
+    canvas.tabIndex = 0;
+    canvas.setAttribute('role', 'application');
+    canvas.setAttribute('aria-describedby', this.instructions.id);
+    wrapper.append(this.instructions, this.liveRegion);
+
+    // Filled when opened (500 rows aren't worth building for every visitor)
+    this.details = document.createElement('details');
+    this.details.className =
+      'fraud-graph-table mt-4 text-secondary/70 dark:text-secondary-light/70';
+    this.summary = document.createElement('summary');
+    this.summary.className = 'cursor-pointer';
+    this.tables = document.createElement('div');
+    this.tables.className = 'mt-4 max-h-[400px] overflow-auto';
+    this.details.append(this.summary, this.tables);
+    this.details.addEventListener('toggle', () => this.renderTable());
+    container.appendChild(this.details);
+
+    this.updateText();
+  }
+
+  setupEventListeners() {
+    const { canvas } = this.graph;
+    canvas.addEventListener('keydown', (e) => this.handleKeyDown(e));
+    canvas.addEventListener('focus', () => this.handleFocus());
+    canvas.addEventListener('blur', () => {
+      this.showFocus = false;
+    });
+  }
+
+  /**
+   * Refresh labels (current language), and the table when it is open
+   */
+  updateText() {
+    this.graph.canvas.setAttribute('aria-label', a11yText('label'));
+    this.instructions.textContent = a11yText('instructions');
+    this.summary.textContent = a11yText('table');
+    this.renderTable();
+  }
+
+  /**
+   * The graph was regenerated or changed: drop the focus and rebuild an open table
+   */
+  reset() {
+    if (this.focusedNode && !this.graph.nodes.includes(this.focusedNode)) this.focusedNode = null;
+    this.renderTable();
+  }
+
+  handleFocus() {
+    // Keyboard focus (Tab) shows the ring and starts on the first mule network
+    let focusVisible = true;
+    try {
+      focusVisible = this.graph.canvas.matches(':focus-visible');
+    } catch {
+      // :focus-visible unsupported, treat every focus as keyboard focus
+    }
+    if (!focusVisible) return;
+
+    this.showFocus = true;
+    if (this.focusedNode) this.announceNode(this.focusedNode);
+    else this.stepNetwork(1);
+  }
+
+  handleKeyDown(e) {
+    const { graph } = this;
+    const directions = {
+      ArrowRight: [1, 0],
+      ArrowLeft: [-1, 0],
+      ArrowDown: [0, 1],
+      ArrowUp: [0, -1],
+    };
+
+    if (directions[e.key]) {
+      this.moveFocus(...directions[e.key]);
+    } else if (e.key === 'PageDown' || e.key === 'PageUp') {
+      this.stepNetwork(e.key === 'PageDown' ? 1 : -1);
+    } else if (e.key === 'Enter' || e.key === ' ') {
+      this.activate();
+    } else if (e.key === 'Escape') {
+      graph.zoomOut();
+      graph.commitUrlState();
+      this.announce(a11yText('zoomedOut'));
+    } else {
+      return;
+    }
+
+    e.preventDefault();
+    this.showFocus = true;
+    graph.story?.interrupt();
+  }
+
+  /**
+   * Enter: pick the account for an analytics path, otherwise zoom into its mule network
+   */
+  activate() {
+    const { graph, focusedNode: node } = this;
+    if (!node) {
+      this.stepNetwork(1);
+      return;
+    }
+
+    if (graph.analytics?.pathMode) {
+      graph.analytics.pickPathNode(node);
+      this.announce(graph.analytics.pathMessage.textContent);
+    } else if (node.clusterId !== null) {
+      graph.zoomToCluster(node);
+      graph.selectedNode = node;
+      graph.commitUrlState();
+      this.announce(this.describeNetwork(node.clusterId));
+    } else {
+      this.announce(a11yText('notInNetwork'));
+    }
+  }
+
+  /**
+   * Move to the connected account best matching an arrow direction
+   */
+  moveFocus(dx, dy) {
+    const { graph } = this;
+    const node = this.focusedNode;
+    if (!node) {
+      this.stepNetwork(1);
+      return;
+    }
+
+    let best = null;
+    let bestScore = A11Y_CONFIG.MIN_DIRECTION;
+    for (const edge of graph.edges) {
+      if (edge.source !== node.id && edge.target !== node.id) continue;
+      const neighbor = graph.nodes[edge.source === node.id ? edge.target : edge.source];
+      const length = Math.hypot(neighbor.x - node.x, neighbor.y - node.y) || 1;
+      const score = ((neighbor.x - node.x) * dx + (neighbor.y - node.y) * dy) / length;
+      if (score > bestScore) {
+        best = { neighbor, edge };
+        bestScore = score;
+      }
+    }
+
+    if (!best) {
+      this.announce(a11yText('noNeighbor'));
+      return;
+    }
+    this.focusNode(best.neighbor, best.edge);
+  }
+
+  /**
+   * Focus the hub of the next / previous mule network
+   */
+  stepNetwork(step) {
+    const networks = this.graph.muleClusters.filter((cluster) => cluster?.length > 0);
+    if (networks.length === 0) {
+      if (this.graph.nodes.length > 0) this.focusNode(this.graph.nodes[0]);
+      return;
+    }
+
+    const current = networks.findIndex((cluster) => cluster.includes(this.focusedNode));
+    const index =
+      current === -1
+        ? step > 0
+          ? 0
+          : networks.length - 1
+        : (current + step + networks.length) % networks.length;
+    const cluster = networks[index];
+    const node = cluster.find((n) => n.isHub) || cluster[0];
+
+    this.focusedNode = node;
+    this.graph.hoveredNode = node;
+    this.keepInView(node);
+    this.announce(`${this.describeNetwork(node.clusterId)}. ${this.describeNode(node).join('. ')}`);
+  }
+
+  focusNode(node, edge = null) {
+    this.focusedNode = node;
+    this.graph.hoveredNode = node;
+    this.keepInView(node);
+    this.announceNode(node, edge);
+  }
+
+  // Pan a zoomed view when the focused account is outside it
+  keepInView(node) {
+    const { graph } = this;
+    const { x, y, scale } = graph.transform;
+    const screenX = node.x * scale + x;
+    const screenY = node.y * scale + y;
+    const outside = screenX < 0 || screenY < 0 || screenX > graph.width || screenY > graph.height;
+    if (outside && graph.isViewTransformed()) graph.centerOn(node.x, node.y);
+  }
+
+  /**
+   * Tooltip lines of a node (renderNodeMetadata) and its number of connections
+   */
+  describeNode(node) {
+    const count = this.graph.edges.filter(
+      (edge) => edge.source === node.id || edge.target === node.id
+    ).length;
+    return [...this.graph.getNodeMetadataLines(node), a11yText('connections', { count })];
+  }
+
+  describeNetwork(clusterId) {
+    const networks = this.graph.muleClusters.filter((cluster) => cluster?.length > 0);
+    const index = networks.findIndex((cluster) => cluster[0].clusterId === clusterId);
+    return a11yText('network', {
+      index: index + 1,
+      count: networks.length,
+      size: networks[index]?.length ?? 0,
+    });
+  }
+
+  announceNode(node, edge = null) {
+    const parts = this.describeNode(node);
+    // The link followed to get here (renderEdgeMetadata)
+    if (edge && edge.atoRisk !== null) parts.unshift(this.graph.getEdgeMetadataText(edge));
+    this.announce(parts.join('. '));
+  }
+
+  /**
+   * Update the live region, cleared first so a repeated message is read again
+   */
+  announce(text) {
+    clearTimeout(this.announceTimer);
+    this.liveRegion.textContent = '';
+    this.announceTimer = setTimeout(() => {
+      this.liveRegion.textContent = text;
+    }, A11Y_CONFIG.ANNOUNCE_DELAY);
+  }
+
+  /**
+   * Accounts and high-risk links as tables (only while the details element is open)
+   */
+  renderTable() {
+    if (!this.details.open) {
+      this.tables.replaceChildren();
+      return;
+    }
+
+    const { nodes, edges } = this.graph;
+    const degree = new Uint32Array(nodes.length);
+    edges.forEach((edge) => {
+      degree[edge.source]++;
+      degree[edge.target]++;
+    });
+    const network = (node) => (node.clusterId === null ? '—' : String(node.clusterId + 1));
+
+    const accounts = [...nodes]
+      .sort((a, b) => b.riskScore - a.riskScore)
+      .map((node) => [
+        accountName(node),
+        node.riskScore.toFixed(2),
+        network(node),
+        String(degree[node.id]),
+      ]);
+
+    const links = edges
+      .filter((edge) => nodes[edge.source].isHighRisk || nodes[edge.target].isHighRisk)
+      .map((edge) => [
+        accountName(nodes[edge.source]),
+        accountName(nodes[edge.target]),
+        edge.atoRisk === null ? '—' : edge.atoRisk.toFixed(2),
+      ]);
+
+    this.tables.replaceChildren(
+      this.createTable(
+        a11yText('accounts'),
+        [a11yText('account'), a11yText('risk'), a11yText('cluster'), a11yText('degree')],
+        accounts
+      ),
+      this.createTable(
+        a11yText('links'),
+        [a11yText('source'), a11yText('target'), 'P(Link(u,v))'],
+        links
+      )
+    );
+  }
+
+  createTable(caption, headers, rows) {
+    const table = document.createElement('table');
+    table.className = 'w-full mb-6 text-sm text-start';
+
+    const captionElement = document.createElement('caption');
+    captionElement.className = 'text-start font-medium mb-2';
+    captionElement.textContent = caption;
+
+    const headRow = document.createElement('tr');
+    headers.forEach((header) => {
+      const cell = document.createElement('th');
+      cell.scope = 'col';
+      cell.className = 'text-start pe-4 py-1';
+      cell.textContent = header;
+      headRow.appendChild(cell);
+    });
+    const head = document.createElement('thead');
+    head.appendChild(headRow);
+
+    const body = document.createElement('tbody');
+    rows.forEach((values) => {
+      const row = document.createElement('tr');
+      values.forEach((value) => {
+        const cell = document.createElement('td');
+        cell.className = 'pe-4 py-1';
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      body.appendChild(row);
+    });
+
+    table.append(captionElement, head, body);
+    return table;
+  }
+
+  /**
+   * Focus ring around the keyboard-focused account, drawn in screen space
+   */
+  render(ctx) {
+    const node = this.focusedNode;
+    if (!this.showFocus || !node) return;
+
+    const { transform } = this.graph;
+    const radius = node.radius * (node.isHub ? 1.3 : 1) * transform.scale + 7;
+
+    ctx.save();
+    ctx.strokeStyle = A11Y_CONFIG.COLOR_FOCUS;
+    ctx.lineWidth = 2;
+    ctx.setLineDash([4, 3]);
+    ctx.beginPath();
+    ctx.arc(
+      node.x * transform.scale + transform.x,
+      node.y * transform.scale + transform.y,
+      radius,
+      0,
+      Math.PI * 2
+    );
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  destroy() {
+    clearTimeout(this.announceTimer);
+    this.details.remove();
+  }
+}
+
+export { GraphAccessibility, A11Y_CONFIG };
@@ -0,0 +1,500 @@
+/* =========================
+FRAUD GRAPH ANALYTICS
+Structure computed from a FraudGraphNetwork's nodes and edges (data-analytics on the container)
+- Connected components and Louvain communities, with their mean risk
+- Hubs ranked by betweenness centrality (degree breaks ties)
+- Shortest path between two accounts picked on the graph
+Results are listed in a side panel, clicking one highlights its subgraph
+Labels come from banking.graph.analytics.* translation keys
+=========================== */
+
+import { createRandom } from '../utils/random.js';
+import { formatMessage } from '../utils/message-format.js';
+import {
+  betweennessCentrality,
+  buildAdjacency,
+  connectedComponents,
+  degreeCentrality,
+  detectCommunities,
+  shortestPath,
+} from '../utils/graph-algorithms.js';
+
+// Configuration constants
+const ANALYTICS_CONFIG = {
+  MAX_RESULTS: 6, // Entries listed per section
+  BETWEENNESS_SAMPLES: 250, // Start nodes for betweenness, larger graphs are sampled
+  REFRESH_INTERVAL: 2000, // ms between recomputations while the graph changes (live stream)
+  MAX_OVERLAY: 60, // Larger highlights only dim the rest of the graph, without rings
+  COLOR_HIGHLIGHT: '#4da3ff',
+};
+
+// English fallbacks while translations load (ICU messages, see message-format.js)
+const ANALYTICS_TEXT = {
+  toggle: 'Analyze',
+  title: 'Graph analysis',
+  close: 'Close analysis',
+  summary:
+    '{components, plural, one {# component} other {# components}} · ' +
+    '{communities, plural, one {# community} other {# communities}} · ' +
+    'modularity {modularity, number}',
+  communities: 'Communities',
+  community:
+    'Community {index} · {size, plural, one {# account} other {# accounts}} · ' +
+    'risk {risk, number}',
+  components: 'Connected components',
+  component: 'Component {index} · {size, plural, one {# account} other {# accounts}}',
+  hubs: 'Hubs by betweenness',
+  hub: '{account} · {betweenness, number} · {degree, plural, one {# link} other {# links}}',
+  path: 'Shortest path',
+  tracePath: 'Trace path',
+  pickStart: 'Click the first account',
+  pickEnd: 'Click the second account',
+  pathFound: '{hops, plural, one {# hop} other {# hops}} between the accounts',
+  noPath: 'These accounts are not connected',
+  clear: 'Clear highlight',
+};
+
+const analyticsText = (key, params) =>
+  window.i18n?.t(`banking.graph.analytics.${key}`, params) ||
+  formatMessage(ANALYTICS_TEXT[key], params, 'en');
+
+const round = (value) => Math.round(value * 1000) / 1000;
+// Highlight id of a group by its members, so it survives the list reordering between refreshes
+const groupId = (kind, members) => `${kind}-${[...members].sort((a, b) => a - b).join(',')}`;
+
+/**
+ * GraphAnalytics Class
+ * Analysis results, side panel and the highlighted subgraph
+ */
+class GraphAnalytics {
+  /**
+   * @param {FraudGraphNetwork} graph
+   */
+  constructor(graph) {
+    this.graph = graph;
+    this.results = null; // { adjacency, components, communities, hubs, modularity }
+    this.stale = true; // The graph changed since the last analysis
+    this.sinceRefresh = Infinity; // ms since the last analysis
+    this.isOpen = false;
+    this.highlight = null; // { id, nodes: Set, edges: Set }, the rest of the graph is dimmed
+    this.pathMode = false; // Taps on the graph pick the path's accounts
+    this.pathEnds = [];
+    this.pathStatus = null; // analyticsText key and params of the path section's message
+
+    this.createPanel();
+  }
+
+  /**
+   * Toggle button in the graph's toolbar, side panel inside the graph wrapper
+   */
+  createPanel() {
+    const buttonStyle = `
+      padding: 4px 10px;
+      border: 1px solid rgba(255, 255, 255, 0.2);
+      border-radius: 6px;
+      background: rgba(0, 0, 0, 0.6);
+      color: inherit;
+      font: inherit;
+      cursor: pointer;
+    `;
+    this.itemStyle = `
+      ${buttonStyle}
+      width: 100%;
+      text-align: start;
+      border-color: transparent;
+      background: transparent;
+    `;
+    const fontStyle = `
+      font-size: 12px;
+      font-family: "SF Mono", "Fira Code", "Consolas", monospace;
+      color: rgba(255, 255, 255, 0.8);
+    `;
+
+    this.toggleButton = document.createElement('button');
+    this.toggleButton.type = 'button';
+    this.toggleButton.setAttribute('aria-expanded', 'false');
+    this.toggleButton.style.cssText = buttonStyle;
+    this.toggleButton.addEventListener('click', () => this.toggle());
+
+    this.panel = document.createElement('div');
+    this.panel.className = 'fraud-graph-analytics';
+    this.panel.hidden = true;
+    this.panel.style.cssText = `
+      ${fontStyle}
+      position: absolute;
+      top: 76px;
+      inset-inline-end: 16px;
+      width: min(300px, calc(100% - 32px));
+      max-height: calc(100% - 92px);
+      overflow-y: auto;
+      padding: 12px;
+      border: 1px solid rgba(255, 255, 255, 0.1);
+      border-radius: 8px;
+      background: rgba(0, 0, 0, 0.8);
+      user-select: none;
+    `;
+
+    const header = document.createElement('div');
+    header.style.cssText = 'display: flex; align-items: center; justify-content: space-between;';
+    this.title = document.createElement('h3');
+    this.title.style.cssText = 'margin: 0; font: inherit; color: #ffffff;';
+    this.closeButton = document.createElement('button');
+    this.closeButton.type = 'button';
+    this.closeButton.textContent = '✕';
+    this.closeButton.style.cssText = `${buttonStyle} border-color: transparent;`;
+    this.closeButton.addEventListener('click', () => this.toggle(false));
+    header.append(this.title, this.closeButton);
+
+    this.summary = document.createElement('p');
+    this.summary.style.cssText = 'margin: 8px 0; color: rgba(255, 255, 255, 0.5);';
+
+    // Result lists, filled by renderResults()
+    this.sections = {};
+    const lists = ['communities', 'components', 'hubs'].map((key) => {
+      const section = this.createSection(key);
+      section.list = document.createElement('ul');
+      section.list.style.cssText = 'margin: 0; padding: 0; list-style: none;';
+      section.element.appendChild(section.list);
+      return section.element;
+    });
+
+    const pathSection = this.createSection('path');
+    this.pathButton = document.createElement('button');
+    this.pathButton.type = 'button';
+    this.pathButton.style.cssText = buttonStyle;
+    this.pathButton.addEventListener('click', () => this.startPath());
+    this.pathMessage = document.createElement('p');
+    this.pathMessage.setAttribute('aria-live', 'polite');
+    this.pathMessage.style.cssText = 'margin: 6px 0 0; color: rgba(255, 255, 255, 0.5);';
+    pathSection.element.append(this.pathButton, this.pathMessage);
+
+    this.clearButton = document.createElement('button');
+    this.clearButton.type = 'button';
+    this.clearButton.style.cssText = `${buttonStyle} margin-top: 12px;`;
+    this.clearButton.addEventListener('click', () => this.clearHighlight());
+
+    this.panel.append(header, this.summary, ...lists, pathSection.element, this.clearButton);
+    this.graph.toolbar.appendChild(this.toggleButton);
+    this.graph.wrapper.appendChild(this.panel);
+    this.updateText();
+  }
+
+  createSection(key) {
+    const element = document.createElement('section');
+    element.style.cssText = 'margin-top: 12px;';
+    const heading = document.createElement('h4');
+    heading.style.cssText = 'margin: 0 0 4px; font: inherit; color: rgba(255, 255, 255, 0.5);';
+    element.appendChild(heading);
+
+    this.sections[key] = { element, heading };
+    return this.sections[key];
+  }
+
+  /**
+   * Refresh labels and result lists (current language and results)
+   */
+  updateText() {
+    this.toggleButton.textContent = analyticsText('toggle');
+    this.title.textContent = analyticsText('title');
+    this.closeButton.setAttribute('aria-label', analyticsText('close'));
+    this.closeButton.title = analyticsText('close');
+    Object.entries(this.sections).forEach(([key, { heading }]) => {
+      heading.textContent = analyticsText(key);
+    });
+    this.pathButton.textContent = analyticsText('tracePath');
+    this.pathButton.setAttribute('aria-pressed', String(this.pathMode));
+    this.pathMessage.textContent = this.pathStatus
+      ? analyticsText(this.pathStatus.key, this.pathStatus.params)
+      : '';
+    this.clearButton.textContent = analyticsText('clear');
+    this.clearButton.hidden = !this.highlight;
+    this.renderResults();
+  }
+
+  toggle(open = !this.isOpen) {
+    this.isOpen = open;
+    this.panel.hidden = !open;
+    this.toggleButton.setAttribute('aria-expanded', String(open));
+    if (open && this.stale) this.refresh();
+    if (!open) this.pathMode = false;
+  }
+
+  /**
+   * Mark the results outdated (the graph changed), recomputed while the panel is open
+   */
+  invalidate() {
+    this.stale = true;
+  }
+
+  /**
+   * Drop results and highlight (the graph was regenerated)
+   */
+  reset() {
+    this.results = null;
+    this.stale = true;
+    this.sinceRefresh = Infinity;
+    this.highlight = null;
+    this.pathMode = false;
+    this.pathEnds = [];
+    this.pathStatus = null;
+    if (this.isOpen) this.refresh();
+    else this.updateText();
+  }
+
+  /**
+   * Recompute outdated results, at most every REFRESH_INTERVAL, from FraudGraphNetwork.update()
+   */
+  update(deltaTime) {
+    this.sinceRefresh += deltaTime;
+    if (this.isOpen && this.stale && this.sinceRefresh >= ANALYTICS_CONFIG.REFRESH_INTERVAL) {
+      this.refresh();
+    }
+  }
+
+  refresh() {
+    this.results = this.analyze();
+    this.stale = false;
+    this.sinceRefresh = 0;
+
+    // Edges removed since the highlight was made (aged out of a live stream) are dropped
+    if (this.highlight) {
+      const { graph } = this;
+      this.highlight.edges = new Set(
+        [...this.highlight.edges].filter((edge) => graph.getEdge(edge.source, edge.target) === edge)
+      );
+    }
+    this.updateText();
+  }
+
+  /**
+   * Components, communities and hubs of the current graph
+   */
+  analyze() {
+    // The network's seed, not a fresh one per refresh, so a streaming graph keeps its communities
+    const { nodes, edges, networkSeed } = this.graph;
+    const random = createRandom(networkSeed);
+    const adjacency = buildAdjacency(nodes.length, edges);
+    const meanRisk = (members) =>
+      members.reduce((sum, i) => sum + nodes[i].riskScore, 0) / members.length;
+
+    const components = connectedComponents(adjacency).filter((members) => members.length > 1);
+    const { communities, modularity } = detectCommunities(adjacency, { random });
+    const degree = degreeCentrality(adjacency);
+    const betweenness = betweennessCentrality(adjacency, {
+      sources: ANALYTICS_CONFIG.BETWEENNESS_SAMPLES,
+      random,
+    });
+
+    const hubs = nodes
+      .map((_, i) => i)
+      .sort((a, b) => betweenness[b] - betweenness[a] || degree[b] - degree[a])
+      .slice(0, ANALYTICS_CONFIG.MAX_RESULTS);
+
+    return {
+      adjacency,
+      components,
+      // Riskiest first, mule networks lead the list
+      communities: communities
+        .filter((members) => members.length > 1)
+        .map((members) => ({ members, risk: meanRisk(members) }))
+        .sort((a, b) => b.risk - a.risk || b.members.length - a.members.length),
+      hubs: hubs.map((i) => ({ node: nodes[i], betweenness: betweenness[i] })),
+      modularity,
+    };
+  }
+
+  // Result lists of the panel
+  renderResults() {
+    const { results } = this;
+    if (!results) {
+      this.summary.textContent = '';
+      ['communities', 'components', 'hubs'].forEach((key) =>
+        this.sections[key].list.replaceChildren()
+      );
+      return;
+    }
+
+    this.summary.textContent = analyticsText('summary', {
+      components: results.components.length,
+      communities: results.communities.length,
+      modularity: round(results.modularity),
+    });
+
+    const { MAX_RESULTS } = ANALYTICS_CONFIG;
+    this.fillList(
+      'communities',
+      results.communities.slice(0, MAX_RESULTS).map(({ members, risk }, i) => ({
+        id: groupId('community', members),
+        label: analyticsText('community', {
+          index: i + 1,
+          size: members.length,
+          risk: round(risk),
+        }),
+        select: () => this.highlightGroup(groupId('community', members), members),
+      }))
+    );
+    this.fillList(
+      'components',
+      results.components.slice(0, MAX_RESULTS).map((members, i) => ({
+        id: groupId('component', members),
+        label: analyticsText('component', { index: i + 1, size: members.length }),
+        select: () => this.highlightGroup(groupId('component', members), members),
+      }))
+    );
+    this.fillList(
+      'hubs',
+      results.hubs.map(({ node, betweenness }) => ({
+        id: `hub-${node.id}`,
+        label: analyticsText('hub', {
+          account: node.accountId ?? `#${node.id}`,
+          betweenness: round(betweenness),
+          degree: results.adjacency[node.id].length,
+        }),
+        select: () => this.highlightHub(node),
+      }))
+    );
+  }
+
+  fillList(key, items) {
+    const entries = items.map(({ id, label, select }) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = label;
+      button.style.cssText = this.itemStyle;
+      button.setAttribute('aria-pressed', String(this.highlight?.id === id));
+      button.addEventListener('click', () => {
+        if (this.highlight?.id === id) this.clearHighlight();
+        else select();
+      });
+
+      const entry = document.createElement('li');
+      entry.appendChild(button);
+      return entry;
+    });
+    this.sections[key].list.replaceChildren(...entries);
+  }
+
+  /**
+   * Highlight a set of nodes and the edges between them
+   */
+  highlightGroup(id, members) {
+    const { nodes, edges } = this.graph;
+    const inGroup = new Set(members);
+    this.setHighlight(
+      id,
+      members.map((i) => nodes[i]),
+      edges.filter((edge) => inGroup.has(edge.source) && inGroup.has(edge.target))
+    );
+  }
+
+  /**
+   * Highlight a hub with its neighbors and the edges to them
+   */
+  highlightHub(node) {
+    const { nodes, edges } = this.graph;
+    const incident = edges.filter((edge) => edge.source === node.id || edge.target === node.id);
+    const neighbors = incident.map(
+      (edge) => nodes[edge.source === node.id ? edge.target : edge.source]
+    );
+    this.setHighlight(`hub-${node.id}`, [node, ...neighbors], incident);
+  }
+
+  setHighlight(id, nodes, edges) {
+    this.highlight = { id, nodes: new Set(nodes), edges: new Set(edges) };
+    this.updateText();
+  }
+
+  clearHighlight() {
+    this.highlight = null;
+    this.pathMode = false;
+    this.pathEnds = [];
+    this.pathStatus = null;
+    this.updateText();
+  }
+
+  /**
+   * Let the next two taps on the graph pick the path's accounts
+   */
+  startPath() {
+    this.pathMode = true;
+    this.pathEnds = [];
+    this.highlight = null;
+    this.pathStatus = { key: 'pickStart' };
+    this.updateText();
+  }
+
+  /**
+   * Account tapped while picking a path (FraudGraphNetwork.handleTap)
+   */
+  pickPathNode(node) {
+    this.pathEnds.push(node);
+    if (this.pathEnds.length === 1) {
+      this.pathStatus = { key: 'pickEnd' };
+      this.setHighlight('path', [node], []);
+      return;
+    }
+
+    if (this.stale || !this.results) this.refresh();
+    const [start, end] = this.pathEnds;
+    const path = shortestPath(this.results.adjacency, start.id, end.id);
+    this.pathMode = false;
+    this.pathEnds = [];
+
+    if (!path) {
+      this.pathStatus = { key: 'noPath' };
+      this.setHighlight('path', [start, end], []);
+      return;
+    }
+
+    const { graph } = this;
+    this.pathStatus = { key: 'pathFound', params: { hops: path.length - 1 } };
+    this.setHighlight(
+      'path',
+      path.map((i) => graph.nodes[i]),
+      path.slice(1).map((i, step) => graph.getEdge(path[step], i))
+    );
+  }
+
+  /**
+   * Highlighted edges and node rings, drawn in screen space over either renderer
+   */
+  render(ctx) {
+    const { highlight } = this;
+    if (!highlight || highlight.nodes.size + highlight.edges.size > ANALYTICS_CONFIG.MAX_OVERLAY) {
+      return;
+    }
+
+    const { nodes, transform } = this.graph;
+    const toScreen = (node) => [
+      node.x * transform.scale + transform.x,
+      node.y * transform.scale + transform.y,
+    ];
+
+    ctx.save();
+    ctx.strokeStyle = ANALYTICS_CONFIG.COLOR_HIGHLIGHT;
+    ctx.lineWidth = 1.5;
+
+    highlight.edges.forEach((edge) => {
+      ctx.beginPath();
+      ctx.moveTo(...toScreen(nodes[edge.source]));
+      ctx.lineTo(...toScreen(nodes[edge.target]));
+      ctx.stroke();
+    });
+
+    highlight.nodes.forEach((node) => {
+      const radius = node.radius * (node.isHub ? 1.3 : 1) * transform.scale + 4;
+      ctx.beginPath();
+      ctx.arc(...toScreen(node), radius, 0, Math.PI * 2);
+      ctx.stroke();
+    });
+
+    ctx.restore();
+  }
+
+  destroy() {
+    this.toggleButton.remove();
+    this.panel.remove();
+  }
+}
+
+export { GraphAnalytics, ANALYTICS_CONFIG };
@@ -0,0 +1,188 @@
+/* =========================
+FRAUD GRAPH DATA
+Normalizes imported transaction graphs for FraudGraphNetwork.loadGraph()
+
+JSON: { "nodes": [{ "id", "riskScore", "cluster", "accountId", "hub" }],
+        "edges": [{ "source", "target", "atoRisk" }] }   ("links" is accepted for "edges")
+CSV:  accounts.csv - id, risk_score, cluster[, account_id, hub]
+      transfers.csv - source, target[, ato_risk]
+Live transfers (FraudGraphNetwork.ingest): { "source", "target", "amount", "timestamp", "atoRisk" }
+Column and key names are matched against the aliases below, extra columns are ignored
+=========================== */
+
+import { parseCSV } from '../utils/csv.js';
+
+const GRAPH_DATA_CONFIG = {
+  NODE_ID: ['id', 'node_id', 'nodeId', 'account_id', 'accountId', 'account'],
+  NODE_RISK: ['riskScore', 'risk_score', 'risk', 'score'],
+  NODE_CLUSTER: ['cluster', 'cluster_id', 'clusterId', 'cluster_label', 'clusterLabel'],
+  NODE_ACCOUNT: ['accountId', 'account_id', 'account', 'label'],
+  NODE_HUB: ['hub', 'isHub', 'is_hub'],
+  EDGE_SOURCE: ['source', 'from', 'sender', 'source_id'],
+  EDGE_TARGET: ['target', 'to', 'receiver', 'target_id'],
+  EDGE_RISK: ['atoRisk', 'ato_risk', 'risk', 'probability'],
+  TRANSFER_ID: ['id', 'transaction_id', 'transactionId', 'transfer_id', 'transferId'],
+  TRANSFER_AMOUNT: ['amount', 'value'],
+  TRANSFER_TIME: ['timestamp', 'time', 'created_at', 'createdAt'],
+  // Cluster values that mean "not in a mule network"
+  NO_CLUSTER: ['', 'none', 'null', '-'],
+};
+
+// First alias with a value on a record (empty CSV cells count as missing)
+const pick = (record, aliases) => {
+  const key = aliases.find(
+    (alias) => record[alias] !== undefined && record[alias] !== null && record[alias] !== ''
+  );
+  return key === undefined ? undefined : record[key];
+};
+
+const toNumber = (value) => {
+  if (value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const toBoolean = (value) => value === true || /^(true|yes|1)$/i.test(String(value ?? ''));
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value));
+
+/**
+ * Normalize a { nodes, edges } graph (JSON or parsed CSV records)
+ *
+ * @param {Object} data - { nodes: Object[], edges|links: Object[] }
+ * @returns {{ nodes: Object[], edges: Object[] }} Nodes keyed by string id, edges referencing them
+ * @throws {Error} When nodes are missing, lack an id or have duplicate ids
+ */
+const normalizeGraph = (data) => {
+  const records = data?.nodes;
+  const edgeRecords = data?.edges ?? data?.links ?? [];
+
+  if (!Array.isArray(records) || records.length === 0) {
+    throw new Error('Graph data has no nodes');
+  }
+  if (!Array.isArray(edgeRecords)) {
+    throw new Error('Graph edges must be an array');
+  }
+
+  const ids = new Set();
+  const nodes = records.map((record, i) => {
+    const id = pick(record, GRAPH_DATA_CONFIG.NODE_ID);
+    if (id === undefined) throw new Error(`Node ${i + 1} has no id`);
+    if (ids.has(String(id))) throw new Error(`Duplicate node id "${id}"`);
+    ids.add(String(id));
+
+    const cluster = pick(record, GRAPH_DATA_CONFIG.NODE_CLUSTER);
+    const isClustered =
+      cluster !== undefined &&
+      !GRAPH_DATA_CONFIG.NO_CLUSTER.includes(String(cluster).trim().toLowerCase());
+
+    return {
+      id: String(id),
+      riskScore: clamp01(toNumber(pick(record, GRAPH_DATA_CONFIG.NODE_RISK)) ?? 0),
+      cluster: isClustered ? String(cluster).trim() : null,
+      accountId: String(pick(record, GRAPH_DATA_CONFIG.NODE_ACCOUNT) ?? id),
+      isHub: toBoolean(pick(record, GRAPH_DATA_CONFIG.NODE_HUB)),
+    };
+  });
+
+  let skipped = 0;
+  const edges = edgeRecords.flatMap((record) => {
+    const source = String(pick(record, GRAPH_DATA_CONFIG.EDGE_SOURCE) ?? '');
+    const target = String(pick(record, GRAPH_DATA_CONFIG.EDGE_TARGET) ?? '');
+
+    if (!ids.has(source) || !ids.has(target) || source === target) {
+      skipped++;
+      return [];
+    }
+
+    const atoRisk = toNumber(pick(record, GRAPH_DATA_CONFIG.EDGE_RISK));
+    return [{ source, target, atoRisk: atoRisk === null ? null : clamp01(atoRisk) }];
+  });
+
+  if (skipped > 0) {
+    console.warn(`Skipped ${skipped} graph edge(s) with unknown or identical endpoints`);
+  }
+
+  return { nodes, edges };
+};
+
+/**
+ * Normalize one streamed transfer
+ *
+ * @param {Object} record - Transfer with source and target account ids (see aliases above)
+ * @returns {{ id, source, target, amount, timestamp, atoRisk }} Ids as strings, timestamp in ms
+ * @throws {Error} When an endpoint is missing or both are the same account
+ */
+const normalizeTransaction = (record) => {
+  const source = pick(record ?? {}, GRAPH_DATA_CONFIG.EDGE_SOURCE);
+  const target = pick(record ?? {}, GRAPH_DATA_CONFIG.EDGE_TARGET);
+
+  if (source === undefined || target === undefined) {
+    throw new Error('Transfer needs a source and a target account');
+  }
+  if (String(source) === String(target)) {
+    throw new Error(`Transfer from account "${source}" to itself`);
+  }
+
+  const id = pick(record, GRAPH_DATA_CONFIG.TRANSFER_ID);
+  const time = pick(record, GRAPH_DATA_CONFIG.TRANSFER_TIME);
+  const atoRisk = toNumber(pick(record, GRAPH_DATA_CONFIG.EDGE_RISK));
+
+  return {
+    id: id === undefined ? null : String(id),
+    source: String(source),
+    target: String(target),
+    amount: toNumber(pick(record, GRAPH_DATA_CONFIG.TRANSFER_AMOUNT)),
+    timestamp: toNumber(time) ?? (Date.parse(time) || Date.now()),
+    atoRisk: atoRisk === null ? null : clamp01(atoRisk),
+  };
+};
+
+/**
+ * Normalize an accounts CSV and a transfers CSV
+ */
+const parseGraphCSV = (accountsText, transfersText) =>
+  normalizeGraph({ nodes: parseCSV(accountsText), edges: parseCSV(transfersText) });
+
+/**
+ * Normalize any supported input: { nodes, edges } or { accounts, transfers } CSV text
+ */
+const toGraph = (data) => {
+  if (typeof data?.accounts === 'string') {
+    return parseGraphCSV(data.accounts, data.transfers ?? '');
+  }
+  return normalizeGraph(data);
+};
+
+const fetchText = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+  return response.text();
+};
+
+/**
+ * Load the graph referenced by a data-graph-src attribute:
+ * "graph.json" or "accounts.csv transfers.csv" (space or comma separated)
+ */
+const fetchGraph = async (src) => {
+  const urls = src.split(/[\s,]+/).filter(Boolean);
+
+  if (urls.length === 1) {
+    return toGraph(JSON.parse(await fetchText(urls[0])));
+  }
+  if (urls.length === 2) {
+    const [accounts, transfers] = await Promise.all(urls.map(fetchText));
+    return parseGraphCSV(accounts, transfers);
+  }
+
+  throw new Error(`data-graph-src expects a JSON file or two CSV files, got "${src}"`);
+};
+
+export {
+  GRAPH_DATA_CONFIG,
+  fetchGraph,
+  normalizeGraph,
+  normalizeTransaction,
+  parseGraphCSV,
+  toGraph,
+};
@@ -0,0 +1,447 @@
+/* =========================
+FRAUD GRAPH STORY MODE
+Scripted walkthrough played on a FraudGraphNetwork (data-story on the container)
+1. A suspicious transfer flashes
+2. Risk propagates from it along the mule network's edges, hop by hop
+3. The view expands onto the mule cluster
+4. Innocent accounts near the cluster are highlighted as correctly cleared
+Captions come from banking.graph.story.* translation keys
+data-story="autoplay" plays the timeline while the graph is scrolled into view
+=========================== */
+
+// Configuration constants
+const STORY_CONFIG = {
+  HOP_INTERVAL: 900, // ms between propagation hops
+  MAX_CLEARED: 8, // Innocent nodes highlighted at most
+  CLEARED_RADIUS: 1.3, // Innocent search radius, multiple of the cluster radius
+  AUTOPLAY_THRESHOLD: 0.5, // Visible share of the graph that starts autoplay
+  MARK_FADE: 400, // ms for a highlight ring to appear
+  COLOR_RISK: '#ff3b5c',
+  COLOR_CLEARED: '#64c864',
+};
+
+// Timeline: caption key (banking.graph.story.*), duration in ms (propagate adds its hops)
+const STORY_STEPS = [
+  { id: 'intro', duration: 3500 },
+  { id: 'transfer', duration: 3500 },
+  { id: 'propagate', duration: 1500 },
+  { id: 'cluster', duration: 3500 },
+  { id: 'cleared', duration: 4500 },
+  { id: 'outro', duration: 4000 },
+];
+
+// English fallbacks while translations load
+const STORY_TEXT = {
+  intro: 'Every account and transfer in the network is scored in real time.',
+  transfer: 'A suspicious transfer is flagged between two accounts.',
+  propagate: 'Risk propagates along connected transfers, hop by hop.',
+  cluster: 'The connected accounts form a mule network.',
+  cleared: 'Nearby accounts with legitimate activity are correctly cleared.',
+  outro: 'Real fraud caught, fewer false positives.',
+  play: 'Play walkthrough',
+  pause: 'Pause walkthrough',
+  step: 'Next step',
+  replay: 'Replay walkthrough',
+};
+
+const storyText = (key) => window.i18n?.t(`banking.graph.story.${key}`) || STORY_TEXT[key];
+
+/**
+ * GraphStory Class
+ * Timeline state, highlight overlay and play / pause / step controls
+ */
+class GraphStory {
+  /**
+   * @param {FraudGraphNetwork} graph
+   * @param {Object} options - { autoplay: play while scrolled into view }
+   */
+  constructor(graph, { autoplay = false } = {}) {
+    this.graph = graph;
+    this.autoplay = autoplay;
+    this.index = -1; // Current step, -1 before the first one
+    this.elapsed = 0; // ms into the current step
+    this.clock = 0; // ms since the walkthrough started (highlight fade-in)
+    this.playing = false;
+    this.userPaused = false; // Paused by the user, autoplay then leaves it paused
+    this.scene = null; // Transfer, propagation hops and cleared nodes, picked on start
+    this.marks = new Map(); // node -> { kind: 'risk' | 'cleared', since }
+    this.observer = null;
+
+    this.createControls();
+    if (autoplay) this.observeVisibility();
+  }
+
+  /**
+   * Caption and controls panel, placed inside the graph wrapper
+   */
+  createControls() {
+    const { isMobile } = this.graph;
+
+    this.panel = document.createElement('div');
+    this.panel.className = 'fraud-graph-story';
+    this.panel.style.cssText = `
+      position: absolute;
+      ${isMobile ? 'bottom: 40px;' : 'top: 16px;'}
+      inset-inline-start: 16px;
+      max-width: min(420px, calc(100% - 32px));
+      display: flex;
+      flex-direction: column;
+      gap: 8px;
+      font-size: 12px;
+      font-family: "SF Mono", "Fira Code", "Consolas", monospace;
+      color: rgba(255, 255, 255, 0.8);
+      user-select: none;
+    `;
+
+    this.caption = document.createElement('p');
+    this.caption.setAttribute('aria-live', 'polite');
+    this.caption.style.cssText = 'margin: 0; min-height: 1.5em; line-height: 1.5;';
+
+    const buttonStyle = `
+      padding: 4px 10px;
+      border: 1px solid rgba(255, 255, 255, 0.2);
+      border-radius: 6px;
+      background: rgba(0, 0, 0, 0.6);
+      color: inherit;
+      font: inherit;
+      cursor: pointer;
+    `;
+    this.playButton = document.createElement('button');
+    this.playButton.type = 'button';
+    this.playButton.style.cssText = buttonStyle;
+    this.playButton.addEventListener('click', () => this.toggle());
+
+    this.stepButton = document.createElement('button');
+    this.stepButton.type = 'button';
+    this.stepButton.style.cssText = buttonStyle;
+    this.stepButton.addEventListener('click', () => this.step());
+
+    this.progress = document.createElement('span');
+    this.progress.style.cssText = 'color: rgba(255, 255, 255, 0.4);';
+
+    const controls = document.createElement('div');
+    controls.style.cssText = 'display: flex; align-items: center; gap: 8px;';
+    controls.append(this.playButton, this.stepButton, this.progress);
+
+    this.panel.append(this.caption, controls);
+    this.graph.wrapper.appendChild(this.panel);
+    this.updateText();
+  }
+
+  /**
+   * Refresh caption and button labels (current language and state)
+   */
+  updateText() {
+    const current = STORY_STEPS[this.index];
+    const finished = this.index === STORY_STEPS.length - 1 && !this.playing;
+    const playLabel = this.playing
+      ? storyText('pause')
+      : finished
+        ? storyText('replay')
+        : storyText('play');
+
+    this.caption.textContent = current ? storyText(current.id) : '';
+    this.playButton.textContent = this.playing ? '❚❚' : finished ? '↺' : '▶';
+    this.playButton.setAttribute('aria-label', playLabel);
+    this.playButton.title = playLabel;
+    this.stepButton.textContent = '⏭';
+    this.stepButton.setAttribute('aria-label', storyText('step'));
+    this.stepButton.title = storyText('step');
+    this.progress.textContent = current ? `${this.index + 1} / ${STORY_STEPS.length}` : '';
+  }
+
+  // Start playing once the graph is mostly in view, pause when it scrolls away
+  observeVisibility() {
+    if (!('IntersectionObserver' in window)) return;
+
+    this.observer = new IntersectionObserver(
+      ([entry]) => {
+        if (entry.isIntersecting) {
+          const finished = this.index === STORY_STEPS.length - 1;
+          if (!this.userPaused && !finished) this.play();
+        } else if (this.playing) {
+          this.pause();
+        }
+      },
+      { threshold: STORY_CONFIG.AUTOPLAY_THRESHOLD }
+    );
+    this.observer.observe(this.graph.wrapper);
+  }
+
+  play() {
+    if (this.index === STORY_STEPS.length - 1 && !this.playing) this.reset();
+    if (this.index === -1) this.enterStep(0);
+    this.playing = true;
+    this.userPaused = false;
+    this.updateText();
+  }
+
+  pause() {
+    this.playing = false;
+    this.updateText();
+  }
+
+  toggle() {
+    if (this.playing) {
+      this.pause();
+      this.userPaused = true;
+    } else {
+      this.play();
+    }
+  }
+
+  /**
+   * Jump to the next step and hold there (the first step again after the last one)
+   */
+  step() {
+    this.playing = false;
+    this.userPaused = true;
+    if (this.index === STORY_STEPS.length - 1) this.reset();
+    this.enterStep(this.index + 1);
+  }
+
+  /**
+   * Pointer interaction on the graph takes over from the walkthrough
+   */
+  interrupt() {
+    if (!this.playing) return;
+    this.pause();
+    this.userPaused = true;
+  }
+
+  /**
+   * Stop and keep autoplay from starting again, e.g. while a shared view is shown
+   */
+  hold() {
+    this.pause();
+    this.userPaused = true;
+  }
+
+  /**
+   * Back to before the first step (also after the graph was regenerated)
+   */
+  reset() {
+    this.index = -1;
+    this.elapsed = 0;
+    this.clock = 0;
+    this.scene = null;
+    this.marks.clear();
+    this.updateText();
+  }
+
+  /**
+   * Advance the timeline, called from FraudGraphNetwork.update()
+   */
+  update(deltaTime) {
+    // Reset while playing (the graph was regenerated): start over on the new network
+    if (this.index === -1 && this.playing) this.enterStep(0);
+    if (this.index === -1) return;
+
+    // Highlights keep fading in while paused, the timeline only moves while playing
+    this.clock += deltaTime;
+    if (!this.playing) return;
+
+    this.elapsed += deltaTime;
+    this.tickStep();
+
+    if (this.elapsed >= this.stepDuration(this.index)) {
+      if (this.index === STORY_STEPS.length - 1) {
+        this.pause();
+      } else {
+        this.enterStep(this.index + 1);
+      }
+    }
+  }
+
+  stepDuration(index) {
+    const { id, duration } = STORY_STEPS[index];
+    const hops = id === 'propagate' && this.scene ? this.scene.hops.length : 0;
+    return duration + hops * STORY_CONFIG.HOP_INTERVAL;
+  }
+
+  enterStep(index) {
+    this.scene ||= this.buildScene();
+    this.index = index;
+    this.elapsed = 0;
+
+    const { graph, scene } = this;
+    if (!scene) {
+      this.updateText();
+      return;
+    }
+
+    switch (STORY_STEPS[index].id) {
+      case 'intro':
+        this.marks.clear();
+        if (graph.transform.focusedCluster !== null || graph.isViewTransformed()) graph.zoomOut();
+        break;
+      case 'transfer':
+        this.mark(graph.nodes[scene.transfer.source], 'risk');
+        this.mark(graph.nodes[scene.transfer.target], 'risk');
+        break;
+      case 'propagate':
+        // Stepping skips the hop-by-hop reveal
+        if (!this.playing) scene.hops.flat().forEach((node) => this.mark(node, 'risk'));
+        break;
+      case 'cluster':
+        scene.hops.flat().forEach((node) => this.mark(node, 'risk'));
+        graph.zoomToCluster(scene.clusterNodes[0]);
+        break;
+      case 'cleared':
+        scene.cleared.forEach((node) => this.mark(node, 'cleared'));
+        break;
+      case 'outro':
+        graph.zoomOut();
+        break;
+    }
+
+    this.updateText();
+  }
+
+  // Per-frame work of the current step
+  tickStep() {
+    const { scene } = this;
+    if (!scene) return;
+
+    const { id } = STORY_STEPS[this.index];
+    if (id === 'transfer' && !scene.transfer.isFlashing) {
+      scene.transfer.isFlashing = true;
+      scene.transfer.flashProgress = 0;
+    }
+
+    if (id === 'propagate') {
+      const hop = Math.floor(this.elapsed / STORY_CONFIG.HOP_INTERVAL);
+      scene.hops.slice(0, hop + 1).forEach((nodes, i) => {
+        nodes.forEach((node) => this.mark(node, 'risk'));
+        scene.hopEdges[i].forEach((edge) => {
+          if (edge.isFlashing || scene.flashed.has(edge)) return;
+          edge.isFlashing = true;
+          edge.flashProgress = 0;
+          scene.flashed.add(edge);
+        });
+      });
+    }
+  }
+
+  mark(node, kind) {
+    if (!this.marks.has(node)) this.marks.set(node, { kind, since: this.clock });
+  }
+
+  /**
+   * Highlighted nodes stay fully visible while a cluster is focused
+   */
+  isHighlighted(node) {
+    return this.marks.has(node);
+  }
+
+  /**
+   * Pick the walkthrough's transfer, propagation order and cleared accounts
+   * The largest mule cluster is used, its transfer is the one to a satellite account
+   * (the hidden link) when there is one
+   */
+  buildScene() {
+    const { nodes, edges, muleClusters } = this.graph;
+    const clusterNodes = muleClusters
+      .filter(Boolean)
+      .reduce((largest, cluster) => (cluster.length > largest.length ? cluster : largest), []);
+    if (clusterNodes.length < 2) return null;
+
+    const clusterId = clusterNodes[0].clusterId;
+    const clusterEdges = edges.filter(
+      (edge) =>
+        nodes[edge.source].clusterId === clusterId && nodes[edge.target].clusterId === clusterId
+    );
+    if (clusterEdges.length === 0) return null;
+
+    const transfer =
+      clusterEdges.find(
+        (edge) => nodes[edge.source].isSatellite || nodes[edge.target].isSatellite
+      ) || clusterEdges[0];
+
+    // Breadth-first hops from the transfer's accounts across the cluster's edges
+    const neighbors = new Map(clusterNodes.map((node) => [node.id, []]));
+    clusterEdges.forEach((edge) => {
+      neighbors.get(edge.source).push([edge.target, edge]);
+      neighbors.get(edge.target).push([edge.source, edge]);
+    });
+
+    const reached = new Set([transfer.source, transfer.target]);
+    const hops = [];
+    const hopEdges = [];
+    let frontier = [transfer.source, transfer.target];
+    while (frontier.length > 0) {
+      const next = [];
+      const via = [];
+      frontier.forEach((id) =>
+        neighbors.get(id).forEach(([neighbor, edge]) => {
+          if (reached.has(neighbor)) return;
+          reached.add(neighbor);
+          next.push(neighbor);
+          via.push(edge);
+        })
+      );
+      if (next.length > 0) {
+        hops.push(next.map((id) => nodes[id]));
+        hopEdges.push(via);
+      }
+      frontier = next;
+    }
+
+    // Low-risk accounts around the cluster (the generated ones are flagged)
+    const centerX = clusterNodes.reduce((sum, node) => sum + node.x, 0) / clusterNodes.length;
+    const centerY = clusterNodes.reduce((sum, node) => sum + node.y, 0) / clusterNodes.length;
+    const radius =
+      Math.max(...clusterNodes.map((node) => Math.hypot(node.x - centerX, node.y - centerY))) *
+      STORY_CONFIG.CLEARED_RADIUS;
+    const nearby = nodes.filter(
+      (node) => !node.isHighRisk && Math.hypot(node.x - centerX, node.y - centerY) < radius
+    );
+    const flagged = nearby.filter((node) => node.isInnocentNearCluster);
+    const cleared = (flagged.length > 0 ? flagged : nearby).slice(0, STORY_CONFIG.MAX_CLEARED);
+
+    // flashed: hop edges already flashed once by the propagation
+    return { transfer, clusterNodes, hops, hopEdges, cleared, flashed: new Set() };
+  }
+
+  /**
+   * Highlight rings and scores, drawn in screen space over either renderer
+   */
+  render(ctx) {
+    if (this.marks.size === 0) return;
+
+    const { transform } = this.graph;
+    ctx.save();
+    ctx.font = '10px "SF Mono", "Fira Code", "Consolas", monospace';
+    ctx.textBaseline = 'middle';
+
+    this.marks.forEach(({ kind, since }, node) => {
+      const appear = Math.min(1, (this.clock - since) / STORY_CONFIG.MARK_FADE);
+      const x = node.x * transform.scale + transform.x;
+      const y = node.y * transform.scale + transform.y;
+      const radius = node.radius * (node.isHub ? 1.3 : 1) * transform.scale + 4 + 4 * (1 - appear);
+      const color = kind === 'risk' ? STORY_CONFIG.COLOR_RISK : STORY_CONFIG.COLOR_CLEARED;
+
+      ctx.globalAlpha = appear;
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      ctx.arc(x, y, radius, 0, Math.PI * 2);
+      ctx.stroke();
+
+      // Score next to the ring once the view is close enough to read it
+      if (transform.scale > 1.5) {
+        ctx.fillStyle = color;
+        ctx.fillText(node.riskScore.toFixed(2), x + radius + 4, y);
+      }
+    });
+
+    ctx.restore();
+  }
+
+  destroy() {
+    this.observer?.disconnect();
+    this.panel.remove();
+  }
+}
+
+export { GraphStory, STORY_CONFIG, STORY_STEPS };
@@ -0,0 +1,172 @@
+/* =========================
+FRAUD GRAPH TRANSACTION STREAM
+Live transfer feeds for FraudGraphNetwork.ingest() (data-stream-src on the container)
+- http(s) URLs are read as Server-Sent Events, ws(s) URLs as a WebSocket
+- Every message is one transfer or an array of transfers as JSON (see graph-data.js)
+- "mock" plays a generated feed locally, for demos and tests
+=========================== */
+
+import { createRandom } from '../utils/random.js';
+
+// Configuration constants
+const STREAM_CONFIG = {
+  RECONNECT_DELAY: 1000, // ms before the first WebSocket reconnect, doubled per failed attempt
+  RECONNECT_DELAY_MAX: 30000,
+
+  // Mock feed
+  MOCK_INTERVAL: 700, // ms between generated transfers
+  MOCK_ACCOUNTS: 60, // Accounts generated when none are given
+  MOCK_MULE_SHARE: 0.3, // Share of transfers moving money between mule accounts
+  MOCK_NEW_ACCOUNT_SHARE: 0.05, // Share of transfers sent from an account not seen before
+  MOCK_AMOUNT_MIN: 20,
+  MOCK_AMOUNT_MAX: 5000,
+};
+
+/**
+ * Parse one stream message, skipping (and reporting) anything that isn't JSON
+ *
+ * @returns {Object[]} The transfers in the message
+ */
+const parseMessage = (data) => {
+  try {
+    const message = JSON.parse(data);
+    return Array.isArray(message) ? message : [message];
+  } catch (error) {
+    console.warn('Ignored a transaction stream message that is not JSON:', error);
+    return [];
+  }
+};
+
+/**
+ * Subscribe to a Server-Sent Events or WebSocket transfer feed
+ * EventSource reconnects by itself, WebSockets are reopened with a growing delay
+ *
+ * @param {string} url - http(s):// for Server-Sent Events, ws(s):// for a WebSocket
+ * @param {(transfer: Object) => void} onTransaction - Called once per received transfer
+ * @param {Object} [options] - { event: SSE event name, defaults to "message" }
+ * @returns {{ close: () => void }}
+ */
+const connectTransactionStream = (url, onTransaction, { event = 'message' } = {}) => {
+  const dispatch = (data) => parseMessage(data).forEach((transfer) => onTransaction(transfer));
+
+  if (!/^wss?:/i.test(url)) {
+    const source = new EventSource(url);
+    source.addEventListener(event, (e) => dispatch(e.data));
+    source.addEventListener('error', () => {
+      if (source.readyState === EventSource.CLOSED) {
+        console.error(`Transaction stream "${url}" closed`);
+      }
+    });
+    return { close: () => source.close() };
+  }
+
+  let socket = null;
+  let retryTimer = null;
+  let delay = STREAM_CONFIG.RECONNECT_DELAY;
+  let closed = false;
+
+  const open = () => {
+    socket = new WebSocket(url);
+    socket.addEventListener('open', () => {
+      delay = STREAM_CONFIG.RECONNECT_DELAY;
+    });
+    socket.addEventListener('message', (e) => dispatch(e.data));
+    socket.addEventListener('close', () => {
+      if (closed) return;
+      console.warn(`Transaction stream "${url}" disconnected, retrying in ${delay} ms`);
+      retryTimer = setTimeout(open, delay);
+      delay = Math.min(delay * 2, STREAM_CONFIG.RECONNECT_DELAY_MAX);
+    });
+  };
+  open();
+
+  return {
+    close: () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      socket.close();
+    },
+  };
+};
+
+/**
+ * MockTransactionStream Class
+ * Generates plausible transfers: mule accounts pass money around their ring,
+ * everyone else pays random counterparties, now and then a new account shows up
+ */
+class MockTransactionStream {
+  /**
+   * @param {Object} [options]
+   * @param {string[]} [options.accounts] - Account ids to transfer between (at least two)
+   * @param {string[]} [options.muleAccounts] - Accounts that form the mule ring
+   * @param {number|string} [options.seed] - Seed for a reproducible feed
+   * @param {number} [options.interval] - ms between transfers while subscribed
+   */
+  constructor({ accounts, muleAccounts = [], seed = null, interval } = {}) {
+    this.random = createRandom(seed);
+    this.accounts =
+      accounts?.length > 1
+        ? [...accounts]
+        : Array.from({ length: STREAM_CONFIG.MOCK_ACCOUNTS }, (_, i) => `MOCK-${i + 1}`);
+    this.muleAccounts = muleAccounts.length > 1 ? [...muleAccounts] : this.accounts.slice(0, 6);
+    this.interval = interval ?? STREAM_CONFIG.MOCK_INTERVAL;
+    this.count = 0;
+    this.timer = null;
+  }
+
+  pickAccount(accounts) {
+    return accounts[Math.floor(this.random() * accounts.length)];
+  }
+
+  // Two different accounts from a list
+  pickPair(accounts) {
+    const source = this.pickAccount(accounts);
+    let target = this.pickAccount(accounts);
+    while (target === source) target = this.pickAccount(accounts);
+    return [source, target];
+  }
+
+  /**
+   * The next generated transfer
+   */
+  next() {
+    this.count++;
+    const isMule = this.random() < STREAM_CONFIG.MOCK_MULE_SHARE;
+    const [sender, target] = this.pickPair(isMule ? this.muleAccounts : this.accounts);
+    const isNewAccount = !isMule && this.random() < STREAM_CONFIG.MOCK_NEW_ACCOUNT_SHARE;
+    const source = isNewAccount ? `MOCK-NEW-${this.count}` : sender;
+    if (isNewAccount) this.accounts.push(source);
+
+    // Log-uniform amounts, mule transfers sit just under typical reporting limits
+    const { MOCK_AMOUNT_MIN: min, MOCK_AMOUNT_MAX: max } = STREAM_CONFIG;
+    const amount = isMule ? 900 + this.random() * 99 : min * Math.pow(max / min, this.random());
+
+    return {
+      id: `TX-${this.count}`,
+      source,
+      target,
+      amount: Math.round(amount * 100) / 100,
+      timestamp: Date.now(),
+      atoRisk: isMule ? 0.6 + this.random() * 0.4 : this.random() * 0.15,
+    };
+  }
+
+  /**
+   * Emit a transfer every interval until closed
+   *
+   * @param {(transfer: Object) => void} onTransaction
+   * @returns {MockTransactionStream} this
+   */
+  subscribe(onTransaction) {
+    this.close();
+    this.timer = setInterval(() => onTransaction(this.next()), this.interval);
+    return this;
+  }
+
+  close() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+export { MockTransactionStream, STREAM_CONFIG, connectTransactionStream };
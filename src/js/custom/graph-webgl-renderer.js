@@ -0,0 +1,442 @@
+/* =========================
+GRAPH WEBGL RENDERER
+WebGL backend for FraudGraphNetwork.render(), used when WebGL is available
+- Nodes are instanced quads shaded as anti-aliased discs
+- Edges are one instanced draw of quads shaded as butt-capped lines
+- Glow and flash reproduce the Canvas 2D shadow in the fragment shaders
+  (Gaussian blur with sigma = shadowBlur / 2)
+Styles come from FraudGraphNetwork.getNodeStyle() / getEdgeStyle(), the same ones the
+Canvas 2D path draws with, so both backends stay visually equivalent
+=========================== */
+
+// Configuration constants
+const WEBGL_CONFIG = {
+  CONTEXT_OPTIONS: { alpha: false, antialias: false, premultipliedAlpha: true },
+  GLOW_EXTENT: 3, // Quads reach this many blur sigmas past the shape
+  NODE_FLOATS: 12, // center xy, radius, color rgba, glow color rgba, glow sigma
+  EDGE_FLOATS: 14, // from xy, to xy, width, color rgba, glow color rgba, glow sigma
+};
+
+// Shared by both fragment shaders. A Canvas shadow is the shape blurred with a Gaussian,
+// for a rectangle that is exactly a product of two 1D box blurs (erf differences)
+const SHADOW_GLSL = `
+  #ifdef GL_FRAGMENT_PRECISION_HIGH
+    precision highp float;
+  #else
+    precision mediump float;
+  #endif
+
+  // Abramowitz & Stegun 7.1.26
+  float erfApprox(float x) {
+    float z = abs(x);
+    float t = 1.0 / (1.0 + 0.3275911 * z);
+    float poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 +
+      t * (-1.453152027 + t * 1.061405429))));
+    return sign(x) * (1.0 - poly * exp(-z * z));
+  }
+
+  // Gaussian blur (sigma) of a 1D box of half width h, at distance u from its center
+  float boxBlur(float u, float h, float sigma) {
+    float scale = 1.0 / (sigma * 1.41421356);
+    return 0.5 * (erfApprox((u + h) * scale) - erfApprox((u - h) * scale));
+  }
+
+  // Canvas shape drawn over its shadow, premultiplied
+  vec4 shade(vec4 color, vec4 glowColor, float coverage, float shadow) {
+    vec4 shape = vec4(color.rgb * color.a, color.a) * coverage;
+    float shadowAlpha = glowColor.a * color.a * shadow;
+    return shape + vec4(glowColor.rgb * shadowAlpha, shadowAlpha) * (1.0 - shape.a);
+  }
+`;
+
+const NODE_VERTEX = `
+  attribute vec2 a_corner;
+  attribute vec2 a_center;
+  attribute float a_radius;
+  attribute vec4 a_color;
+  attribute vec4 a_glowColor;
+  attribute float a_glow;
+  uniform vec3 u_transform;
+  uniform vec2 u_resolution;
+  varying vec2 v_offset;
+  varying float v_radius;
+  varying vec4 v_color;
+  varying vec4 v_glowColor;
+  varying float v_glow;
+
+  void main() {
+    v_radius = a_radius * u_transform.z;
+    v_offset = a_corner * (v_radius + a_glow * ${WEBGL_CONFIG.GLOW_EXTENT.toFixed(1)} + 1.0);
+    v_color = a_color;
+    v_glowColor = a_glowColor;
+    v_glow = a_glow;
+
+    vec2 screen = a_center * u_transform.z + u_transform.xy + v_offset;
+    gl_Position = vec4(screen / u_resolution * vec2(2.0, -2.0) + vec2(-1.0, 1.0), 0.0, 1.0);
+  }
+`;
+
+const NODE_FRAGMENT = `
+  ${SHADOW_GLSL}
+  varying vec2 v_offset;
+  varying float v_radius;
+  varying vec4 v_color;
+  varying vec4 v_glowColor;
+  varying float v_glow;
+
+  void main() {
+    float d = length(v_offset);
+    float coverage = clamp(v_radius - d + 0.5, 0.0, 1.0);
+
+    // Shadow of the disc approximated by an equal-area square, evaluated radially
+    float shadow = 0.0;
+    if (v_glow > 0.0) {
+      float h = v_radius * 0.886227;
+      shadow = boxBlur(d, h, v_glow) * boxBlur(0.0, h, v_glow);
+    }
+    gl_FragColor = shade(v_color, v_glowColor, coverage, shadow);
+  }
+`;
+
+const EDGE_VERTEX = `
+  attribute vec2 a_corner;
+  attribute vec2 a_from;
+  attribute vec2 a_to;
+  attribute float a_width;
+  attribute vec4 a_color;
+  attribute vec4 a_glowColor;
+  attribute float a_glow;
+  uniform vec3 u_transform;
+  uniform vec2 u_resolution;
+  varying vec2 v_local;
+  varying float v_length;
+  varying float v_halfWidth;
+  varying vec4 v_color;
+  varying vec4 v_glowColor;
+  varying float v_glow;
+
+  void main() {
+    vec2 from = a_from * u_transform.z + u_transform.xy;
+    vec2 to = a_to * u_transform.z + u_transform.xy;
+    vec2 along = to - from;
+    v_length = length(along);
+    vec2 direction = v_length > 0.0 ? along / v_length : vec2(1.0, 0.0);
+    vec2 normal = vec2(-direction.y, direction.x);
+
+    v_halfWidth = a_width * u_transform.z * 0.5;
+    float reach = a_glow * ${WEBGL_CONFIG.GLOW_EXTENT.toFixed(1)} + 1.0;
+    // Local coordinates: x along the edge from its start, y across it
+    v_local = vec2(
+      mix(-reach, v_length + reach, a_corner.x),
+      a_corner.y * (v_halfWidth + reach)
+    );
+    v_color = a_color;
+    v_glowColor = a_glowColor;
+    v_glow = a_glow;
+
+    vec2 screen = from + direction * v_local.x + normal * v_local.y;
+    gl_Position = vec4(screen / u_resolution * vec2(2.0, -2.0) + vec2(-1.0, 1.0), 0.0, 1.0);
+  }
+`;
+
+const EDGE_FRAGMENT = `
+  ${SHADOW_GLSL}
+  varying vec2 v_local;
+  varying float v_length;
+  varying float v_halfWidth;
+  varying vec4 v_color;
+  varying vec4 v_glowColor;
+  varying float v_glow;
+
+  void main() {
+    float across = abs(v_local.y);
+    float ends = min(v_local.x, v_length - v_local.x);
+    // Butt caps, like the default Canvas lineCap, so the stroke is a rectangle
+    float coverage = clamp(v_halfWidth - across + 0.5, 0.0, 1.0) * clamp(ends + 0.5, 0.0, 1.0);
+
+    float shadow = 0.0;
+    if (v_glow > 0.0) {
+      float halfLength = v_length * 0.5;
+      shadow = boxBlur(v_local.x - halfLength, halfLength, v_glow) *
+        boxBlur(v_local.y, v_halfWidth, v_glow);
+    }
+    gl_FragColor = shade(v_color, v_glowColor, coverage, shadow);
+  }
+`;
+
+const colorCache = new Map();
+
+/**
+ * CSS color (#rgb, #rrggbb, rgb() or rgba()) as [r, g, b, a] in 0..1
+ */
+const parseColor = (color) => {
+  if (!color) return [0, 0, 0, 0];
+  if (colorCache.has(color)) return colorCache.get(color);
+
+  let rgba = [0, 0, 0, 1];
+  const hex = color.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  const functional = color.match(/^rgba?\(([^)]+)\)$/i);
+
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+    rgba = [0, 2, 4].map((i) => parseInt(digits.slice(i, i + 2), 16) / 255).concat(1);
+  } else if (functional) {
+    const [r, g, b, a = 1] = functional[1].split(',').map((part) => parseFloat(part));
+    rgba = [r / 255, g / 255, b / 255, a];
+  } else {
+    console.warn(`Unsupported color "${color}" in the WebGL renderer`);
+  }
+
+  colorCache.set(color, rgba);
+  return rgba;
+};
+
+const compileProgram = (gl, vertexSource, fragmentSource) => {
+  const program = gl.createProgram();
+
+  [
+    [gl.VERTEX_SHADER, vertexSource],
+    [gl.FRAGMENT_SHADER, fragmentSource],
+  ].forEach(([type, source]) => {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+      throw new Error(gl.getShaderInfoLog(shader));
+    }
+    gl.attachShader(program, shader);
+  });
+
+  gl.linkProgram(program);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    throw new Error(gl.getProgramInfoLog(program));
+  }
+  return program;
+};
+
+/**
+ * GraphWebGLRenderer Class
+ * Draws the graph into its own canvas, placed under the Canvas 2D overlay (tooltips, minimap)
+ */
+class GraphWebGLRenderer {
+  /**
+   * Create a renderer, or null when WebGL (or instancing) is unavailable
+   *
+   * @param {Object} options - { background, onContextLost }
+   * @returns {GraphWebGLRenderer|null}
+   */
+  static create(options) {
+    const canvas = document.createElement('canvas');
+    const gl =
+      canvas.getContext('webgl2', WEBGL_CONFIG.CONTEXT_OPTIONS) ||
+      canvas.getContext('webgl', WEBGL_CONFIG.CONTEXT_OPTIONS);
+    if (!gl) return null;
+
+    try {
+      return new GraphWebGLRenderer(canvas, gl, options);
+    } catch (error) {
+      console.warn('WebGL renderer unavailable, using Canvas 2D:', error);
+      return null;
+    }
+  }
+
+  constructor(canvas, gl, { background, onContextLost }) {
+    this.canvas = canvas;
+    this.gl = gl;
+    this.background = parseColor(background);
+    this.width = 0;
+    this.height = 0;
+    this.dpr = 1;
+
+    // Instancing is core in WebGL2, an extension in WebGL1
+    if (typeof WebGL2RenderingContext !== 'undefined' && gl instanceof WebGL2RenderingContext) {
+      this.instancing = {
+        divisor: (location, divisor) => gl.vertexAttribDivisor(location, divisor),
+        draw: (mode, count, instances) => gl.drawArraysInstanced(mode, 0, count, instances),
+      };
+    } else {
+      const extension = gl.getExtension('ANGLE_instanced_arrays');
+      if (!extension) throw new Error('ANGLE_instanced_arrays is not supported');
+      this.instancing = {
+        divisor: (location, divisor) => extension.vertexAttribDivisorANGLE(location, divisor),
+        draw: (mode, count, instances) =>
+          extension.drawArraysInstancedANGLE(mode, 0, count, instances),
+      };
+    }
+
+    this.nodeProgram = this.createBatch(NODE_VERTEX, NODE_FRAGMENT, [-1, -1, 1, -1, -1, 1, 1, 1], {
+      a_center: 2,
+      a_radius: 1,
+      a_color: 4,
+      a_glowColor: 4,
+      a_glow: 1,
+    });
+    this.edgeProgram = this.createBatch(EDGE_VERTEX, EDGE_FRAGMENT, [0, -1, 1, -1, 0, 1, 1, 1], {
+      a_from: 2,
+      a_to: 2,
+      a_width: 1,
+      a_color: 4,
+      a_glowColor: 4,
+      a_glow: 1,
+    });
+
+    this.nodeData = new Float32Array(0);
+    this.edgeData = new Float32Array(0);
+    this.nodeStyle = {};
+    this.edgeStyle = {};
+
+    canvas.addEventListener('webglcontextlost', () => onContextLost?.());
+  }
+
+  /**
+   * Program with a shared corner quad and interleaved per-instance attributes
+   */
+  createBatch(vertexSource, fragmentSource, corners, attributes) {
+    const { gl } = this;
+    const program = compileProgram(gl, vertexSource, fragmentSource);
+
+    const cornerBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, cornerBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(corners), gl.STATIC_DRAW);
+
+    return {
+      program,
+      cornerBuffer,
+      cornerLocation: gl.getAttribLocation(program, 'a_corner'),
+      instanceBuffer: gl.createBuffer(),
+      attributes: Object.entries(attributes).map(([name, size]) => ({
+        location: gl.getAttribLocation(program, name),
+        size,
+      })),
+      stride: Object.values(attributes).reduce((sum, size) => sum + size, 0) * 4,
+      transform: gl.getUniformLocation(program, 'u_transform'),
+      resolution: gl.getUniformLocation(program, 'u_resolution'),
+    };
+  }
+
+  resize(width, height, dpr) {
+    this.width = width;
+    this.height = height;
+    this.dpr = dpr;
+    this.canvas.width = width * dpr;
+    this.canvas.height = height * dpr;
+  }
+
+  /**
+   * Draw edges then nodes, in array order like the Canvas 2D path
+   *
+   * @param {FraudGraphNetwork} graph - nodes, edges, transform and the style getters
+   */
+  render(graph) {
+    const { gl } = this;
+    const [r, g, b] = this.background;
+
+    gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+    gl.clearColor(r, g, b, 1);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+
+    this.edgeData = this.fillEdges(graph);
+    this.draw(this.edgeProgram, this.edgeData, graph.edges.length, graph.transform);
+
+    this.nodeData = this.fillNodes(graph);
+    this.draw(this.nodeProgram, this.nodeData, graph.nodes.length, graph.transform);
+  }
+
+  // Grow a per-instance buffer to fit, reusing it between frames
+  reserve(data, length) {
+    return data.length >= length ? data : new Float32Array(Math.max(length, data.length * 2));
+  }
+
+  fillNodes(graph) {
+    const data = this.reserve(this.nodeData, graph.nodes.length * WEBGL_CONFIG.NODE_FLOATS);
+    let offset = 0;
+
+    for (const node of graph.nodes) {
+      const style = graph.getNodeStyle(node, this.nodeStyle);
+
+      data[offset++] = node.x;
+      data[offset++] = node.y;
+      data[offset++] = style.radius;
+      offset = this.writeStyle(data, offset, style);
+    }
+
+    return data;
+  }
+
+  fillEdges(graph) {
+    const data = this.reserve(this.edgeData, graph.edges.length * WEBGL_CONFIG.EDGE_FLOATS);
+    let offset = 0;
+
+    for (const edge of graph.edges) {
+      const style = graph.getEdgeStyle(edge, this.edgeStyle);
+      const source = graph.nodes[edge.source];
+      const target = graph.nodes[edge.target];
+
+      data[offset++] = source.x;
+      data[offset++] = source.y;
+      data[offset++] = target.x;
+      data[offset++] = target.y;
+      data[offset++] = style.width;
+      offset = this.writeStyle(data, offset, style);
+    }
+
+    return data;
+  }
+
+  // Color (with the style's alpha applied), glow color and glow sigma, shared by both batches
+  writeStyle(data, offset, style) {
+    const color = parseColor(style.color);
+    const glowColor = parseColor(style.glowColor);
+
+    data[offset++] = color[0];
+    data[offset++] = color[1];
+    data[offset++] = color[2];
+    data[offset++] = color[3] * style.alpha;
+    data[offset++] = glowColor[0];
+    data[offset++] = glowColor[1];
+    data[offset++] = glowColor[2];
+    data[offset++] = glowColor[3];
+    // Canvas shadowBlur is in device pixels and ignores the transform, sigma is half of it
+    data[offset++] = style.glowBlur > 0 ? style.glowBlur / 2 / this.dpr : 0;
+    return offset;
+  }
+
+  draw(batch, data, count, transform) {
+    if (count === 0) return;
+    const { gl, instancing } = this;
+
+    gl.useProgram(batch.program);
+    gl.uniform3f(batch.transform, transform.x, transform.y, transform.scale);
+    gl.uniform2f(batch.resolution, this.width, this.height);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, batch.cornerBuffer);
+    gl.enableVertexAttribArray(batch.cornerLocation);
+    gl.vertexAttribPointer(batch.cornerLocation, 2, gl.FLOAT, false, 0, 0);
+    instancing.divisor(batch.cornerLocation, 0);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, batch.instanceBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, data.subarray(0, (count * batch.stride) / 4), gl.DYNAMIC_DRAW);
+
+    let offset = 0;
+    for (const { location, size } of batch.attributes) {
+      // Attributes the compiler optimized away have no location
+      if (location >= 0) {
+        gl.enableVertexAttribArray(location);
+        gl.vertexAttribPointer(location, size, gl.FLOAT, false, batch.stride, offset);
+        instancing.divisor(location, 1);
+      }
+      offset += size * 4;
+    }
+
+    instancing.draw(gl.TRIANGLE_STRIP, 4, count);
+  }
+
+  destroy() {
+    this.gl.getExtension('WEBGL_lose_context')?.loseContext();
+    this.canvas.remove();
+  }
+}
+
+export { GraphWebGLRenderer, WEBGL_CONFIG, parseColor };
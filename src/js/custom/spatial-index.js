@@ -0,0 +1,269 @@
+/* =========================
+SPATIAL INDEX
+Uniform grid over FraudGraphNetwork nodes and edge segments for hover hit-testing
+- Nodes sit in the cell containing them, edges in every cell their segment crosses
+- Positions are indexed with a tolerance: a node is only moved (and its edges re-traced)
+  once it drifts further than TOLERANCE, queries widen their search by the same amount
+- Only the nodes that moved are re-indexed, so the idle float stays cheap,
+  when most of the graph moved at once (layout ticks) the grid is rebuilt instead
+=========================== */
+
+// Configuration constants
+const SPATIAL_INDEX_CONFIG = {
+  CELL_SIZE: 32, // Canvas px per grid cell
+  TOLERANCE: 6, // Canvas px a node may drift before it is re-indexed
+  REBUILD_RATIO: 0.05, // Rebuild from scratch when more than this share of nodes moved
+  MARGIN: 4, // Extra cells around the node extent, positions beyond clamp to the border
+};
+
+// Squared distance from a point to a segment
+const segmentDistance2 = (px, py, x1, y1, x2, y2) => {
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const lengthSq = dx * dx + dy * dy;
+  const param = lengthSq === 0 ? 0 : ((px - x1) * dx + (py - y1) * dy) / lengthSq;
+  const t = Math.max(0, Math.min(1, param));
+  const x = x1 + t * dx - px;
+  const y = y1 + t * dy - py;
+  return x * x + y * y;
+};
+
+// Remove one entry from an unordered cell (swap with the last one)
+const removeFromCell = (cell, i) => {
+  const position = cell.indexOf(i);
+  if (position === -1) return;
+  cell[position] = cell[cell.length - 1];
+  cell.pop();
+};
+
+/**
+ * SpatialIndex Class
+ * Answers "topmost node / first edge near a point" without scanning the whole graph
+ */
+class SpatialIndex {
+  /**
+   * @param {Object[]} nodes - Graph nodes with x and y (read, never modified)
+   * @param {Object[]} edges - Edges with source / target node indices
+   * @param {Object} options - Optional { cellSize, tolerance } overrides
+   */
+  constructor(nodes, edges, options = {}) {
+    this.cellSize = options.cellSize ?? SPATIAL_INDEX_CONFIG.CELL_SIZE;
+    this.tolerance = options.tolerance ?? SPATIAL_INDEX_CONFIG.TOLERANCE;
+    this.rebuild(nodes, edges);
+  }
+
+  /**
+   * Index a set of nodes and edges from scratch, with a grid sized to the node extent
+   */
+  rebuild(nodes = this.nodes, edges = this.edges) {
+    this.nodes = nodes;
+    this.edges = edges;
+
+    const count = nodes.length;
+    this.indexedX = new Float64Array(count);
+    this.indexedY = new Float64Array(count);
+    this.nodeCell = new Int32Array(count);
+    this.edgeCells = edges.map(() => []);
+
+    // Edges touching each node, re-traced when the node is re-indexed
+    this.incidentEdges = Array.from({ length: count }, () => []);
+    edges.forEach((edge, i) => {
+      this.incidentEdges[edge.source].push(i);
+      this.incidentEdges[edge.target].push(i);
+    });
+
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    for (const node of nodes) {
+      minX = Math.min(minX, node.x);
+      minY = Math.min(minY, node.y);
+      maxX = Math.max(maxX, node.x);
+      maxY = Math.max(maxY, node.y);
+    }
+    if (count === 0) minX = minY = maxX = maxY = 0;
+
+    const margin = SPATIAL_INDEX_CONFIG.MARGIN;
+    this.originColumn = Math.floor(minX / this.cellSize) - margin;
+    this.originRow = Math.floor(minY / this.cellSize) - margin;
+    this.columns = Math.floor(maxX / this.cellSize) - this.originColumn + margin + 1;
+    this.rows = Math.floor(maxY / this.cellSize) - this.originRow + margin + 1;
+    this.nodeGrid = Array.from({ length: this.columns * this.rows }, () => []);
+    this.edgeGrid = Array.from({ length: this.columns * this.rows }, () => []);
+
+    this.reindex();
+  }
+
+  /**
+   * Index every current position again (same nodes, edges and grid)
+   * Cell arrays are emptied and refilled rather than reallocated to keep GC pauses down
+   */
+  reindex() {
+    const { nodes, edges } = this;
+    this.nodeGrid.forEach((cell) => (cell.length = 0));
+    this.edgeGrid.forEach((cell) => (cell.length = 0));
+
+    nodes.forEach((node, i) => this.insertNode(i, node.x, node.y));
+    edges.forEach((_, i) => this.insertEdge(i));
+  }
+
+  /**
+   * Re-index the nodes that drifted past the tolerance (and their edges)
+   * Falls back to a full rebuild when nodes or edges were added or removed
+   */
+  update() {
+    if (this.nodes.length !== this.indexedX.length || this.edges.length !== this.edgeCells.length) {
+      this.rebuild();
+      return;
+    }
+
+    const tolerance2 = this.tolerance * this.tolerance;
+    const moved = [];
+    this.nodes.forEach((node, i) => {
+      const dx = node.x - this.indexedX[i];
+      const dy = node.y - this.indexedY[i];
+      if (dx * dx + dy * dy > tolerance2) moved.push(i);
+    });
+
+    if (moved.length > this.nodes.length * SPATIAL_INDEX_CONFIG.REBUILD_RATIO) {
+      this.reindex();
+      return;
+    }
+
+    const staleEdges = new Set();
+    for (const i of moved) {
+      removeFromCell(this.nodeGrid[this.nodeCell[i]], i);
+      this.insertNode(i, this.nodes[i].x, this.nodes[i].y);
+      this.incidentEdges[i].forEach((edgeIndex) => staleEdges.add(edgeIndex));
+    }
+
+    for (const edgeIndex of staleEdges) {
+      this.edgeCells[edgeIndex].forEach((cell) => removeFromCell(this.edgeGrid[cell], edgeIndex));
+      this.insertEdge(edgeIndex);
+    }
+  }
+
+  /**
+   * Topmost (highest index) node within radius of a canvas point
+   */
+  findNode(x, y, radius) {
+    const radius2 = radius * radius;
+    let found = -1;
+
+    this.forEachCandidate(this.nodeGrid, x, y, radius, (i) => {
+      if (i <= found) return;
+      const node = this.nodes[i];
+      const dx = node.x - x;
+      const dy = node.y - y;
+      if (dx * dx + dy * dy < radius2) found = i;
+    });
+
+    return found === -1 ? null : this.nodes[found];
+  }
+
+  /**
+   * First (lowest index) edge within threshold of a canvas point
+   *
+   * @param {(edge: Object) => boolean} [accept] - Only edges passing it are considered
+   */
+  findEdge(x, y, threshold, accept = () => true) {
+    const threshold2 = threshold * threshold;
+    let found = Infinity;
+
+    this.forEachCandidate(this.edgeGrid, x, y, threshold, (i) => {
+      if (i >= found) return;
+      const edge = this.edges[i];
+      if (!accept(edge)) return;
+      const source = this.nodes[edge.source];
+      const target = this.nodes[edge.target];
+      if (segmentDistance2(x, y, source.x, source.y, target.x, target.y) < threshold2) {
+        found = i;
+      }
+    });
+
+    return found === Infinity ? null : this.edges[found];
+  }
+
+  // Visit every entry in the cells around a point, widened by the indexing tolerance
+  // (edges spanning several of these cells are visited more than once)
+  forEachCandidate(grid, x, y, radius, visit) {
+    const reach = radius + this.tolerance;
+    const minColumn = this.clampColumn(Math.floor((x - reach) / this.cellSize));
+    const maxColumn = this.clampColumn(Math.floor((x + reach) / this.cellSize));
+    const minRow = this.clampRow(Math.floor((y - reach) / this.cellSize));
+    const maxRow = this.clampRow(Math.floor((y + reach) / this.cellSize));
+
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let column = minColumn; column <= maxColumn; column++) {
+        grid[row * this.columns + column].forEach(visit);
+      }
+    }
+  }
+
+  // Grid column / row of an absolute cell coordinate, positions off the grid use the border
+  clampColumn(column) {
+    return Math.max(0, Math.min(this.columns - 1, column - this.originColumn));
+  }
+
+  clampRow(row) {
+    return Math.max(0, Math.min(this.rows - 1, row - this.originRow));
+  }
+
+  cellAt(column, row) {
+    return this.clampRow(row) * this.columns + this.clampColumn(column);
+  }
+
+  insertNode(i, x, y) {
+    const cell = this.cellAt(Math.floor(x / this.cellSize), Math.floor(y / this.cellSize));
+    this.indexedX[i] = x;
+    this.indexedY[i] = y;
+    this.nodeCell[i] = cell;
+    this.nodeGrid[cell].push(i);
+  }
+
+  // Add an edge to every cell its indexed segment crosses (grid traversal)
+  insertEdge(i) {
+    const { source, target } = this.edges[i];
+    const x1 = this.indexedX[source] / this.cellSize;
+    const y1 = this.indexedY[source] / this.cellSize;
+    const x2 = this.indexedX[target] / this.cellSize;
+    const y2 = this.indexedY[target] / this.cellSize;
+
+    let column = Math.floor(x1);
+    let row = Math.floor(y1);
+    const endColumn = Math.floor(x2);
+    const endRow = Math.floor(y2);
+    const stepX = Math.sign(x2 - x1);
+    const stepY = Math.sign(y2 - y1);
+
+    // Segment parameter at the next vertical / horizontal cell boundary, and per cell
+    const deltaX = stepX === 0 ? Infinity : Math.abs(1 / (x2 - x1));
+    const deltaY = stepY === 0 ? Infinity : Math.abs(1 / (y2 - y1));
+    let nextX = stepX === 0 ? Infinity : (stepX > 0 ? column + 1 - x1 : x1 - column) * deltaX;
+    let nextY = stepY === 0 ? Infinity : (stepY > 0 ? row + 1 - y1 : y1 - row) * deltaY;
+
+    const cells = this.edgeCells[i];
+    cells.length = 0;
+    cells.push(this.cellAt(column, row));
+    const steps = Math.abs(endColumn - column) + Math.abs(endRow - row);
+    for (let step = 0; step < steps; step++) {
+      // Never step past the end cell on an axis (guards against rounding at cell corners)
+      if (row === endRow || (column !== endColumn && nextX < nextY)) {
+        column += stepX;
+        nextX += deltaX;
+      } else {
+        row += stepY;
+        nextY += deltaY;
+      }
+
+      // Off the grid the clamped border cell repeats, store it once
+      const cell = this.cellAt(column, row);
+      if (cell !== cells[cells.length - 1]) cells.push(cell);
+    }
+
+    cells.forEach((cell) => this.edgeGrid[cell].push(i));
+  }
+}
+
+export { SpatialIndex, SPATIAL_INDEX_CONFIG };
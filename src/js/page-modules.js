@@ -0,0 +1,133 @@
+/* =========================
+PAGE MODULES
+Modules that only a few pages need, each registered with the selector of the markup it enhances.
+main.js imports a module only when its selector matches the page, Vite emits one chunk per module
+and page-weight-report.js uses the same selectors to report the JS each built page loads
+Selectors are kept to tags, #ids, .classes and [attr] / [attr^="value"] so the build can match them
+=========================== */
+
+const PAGE_MODULES = [
+  {
+    module: 'animation/accordion',
+    selector: '.accordion',
+    load: () => import('./animation/accordion.js'),
+  },
+  {
+    module: 'animation/customer-success-stories',
+    selector: '.story-card, .dropdown-button',
+    load: () => import('./animation/customer-success-stories.js'),
+  },
+  {
+    module: 'animation/glossary',
+    selector: '.glossary-card',
+    load: () => import('./animation/glossary.js'),
+  },
+  {
+    module: 'animation/gradient-path',
+    selector: '[id^="curve-path-"]',
+    load: () => import('./animation/gradient-path.js'),
+  },
+  {
+    module: 'animation/marquee',
+    selector: '[class*="marquee-container"], .top-nav-marquee',
+    load: () => import('./animation/marquee.js'),
+  },
+  {
+    module: 'animation/modal',
+    selector: '.modal-overlay, .modal-action',
+    load: () => import('./animation/modal.js'),
+  },
+  {
+    module: 'animation/sidebar',
+    selector: '.sidebar',
+    load: () => import('./animation/sidebar.js'),
+  },
+  {
+    module: 'animation/slider',
+    selector: '.testimonial-avatar',
+    load: () => import('./animation/slider.js'),
+  },
+  {
+    module: 'animation/svg-draw',
+    selector: '#svg-one, #svg-two, #svg-three',
+    load: () => import('./animation/svg-draw.js'),
+  },
+  {
+    module: 'animation/swiper',
+    selector:
+      '.reviews-swiper, .single-card-reviews-swiper, .reviews-fade-in-swiper, .blog-article-swiper, .social-proof-swiper',
+    load: () => import('./animation/swiper.js'),
+  },
+  {
+    module: 'animation/tab',
+    selector: '.tab-bar, .tab-mobile',
+    load: () => import('./animation/tab.js'),
+  },
+  {
+    module: 'animation/tab-filter',
+    selector: '.tab-bar',
+    load: () => import('./animation/tab-filter.js'),
+  },
+  {
+    module: 'common/parallax-effect',
+    selector: '#scene, .parallax-effect',
+    load: () => import('./common/parallax-effect.js'),
+  },
+  {
+    module: 'common/price-switcher',
+    selector: '#priceCheck',
+    load: () => import('./common/price-switcher.js'),
+  },
+  {
+    module: 'common/progress',
+    selector: '[data-progress-item]',
+    load: () => import('./common/progress.js'),
+  },
+  {
+    module: 'common/reveal-elements',
+    selector: '[data-ns-animate]',
+    load: () => import('./common/reveal-elements.js'),
+  },
+  {
+    module: 'utils/counter',
+    selector: '[data-counter]',
+    load: () => import('./utils/counter.js'),
+  },
+  {
+    module: 'utils/img-before-after-slider',
+    selector: '.slider-handle',
+    load: () => import('./utils/img-before-after-slider.js'),
+  },
+  {
+    module: 'utils/leaflet',
+    selector: '#map',
+    load: () => import('./utils/leaflet.js'),
+  },
+  {
+    module: 'custom/digital-twin',
+    selector: '#spline-viewer-pump, #mobile-svg-pump',
+    load: () => import('./custom/digital-twin.js'),
+  },
+  {
+    module: 'custom/fraud-graph-network',
+    selector: '#fraud-graph-container',
+    load: () => import('./custom/fraud-graph-network.js'),
+  },
+  {
+    module: 'custom/dendrite-simulation',
+    selector: '#dendrite-simulation-container',
+    load: () => import('./custom/dendrite-simulation.js'),
+  },
+];
+
+/**
+ * Import every registered module whose selector matches the current page
+ */
+const loadPageModules = (root = document) =>
+  Promise.all(
+    PAGE_MODULES.filter(({ selector }) => root.querySelector(selector)).map(({ module, load }) =>
+      load().catch((error) => console.error(`Failed to load page module ${module}:`, error))
+    )
+  );
+
+export { PAGE_MODULES, loadPageModules };
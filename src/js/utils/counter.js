@@ -1,5 +1,7 @@
+import { onDomReady } from './dom-ready.js';
+
 // Initialize number animations when DOM is loaded
-document.addEventListener('DOMContentLoaded', function () {
+onDomReady(function () {
   // Create Intersection Observer for number animations
   const numberObserver = new IntersectionObserver(
     (entries) => {
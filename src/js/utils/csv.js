@@ -0,0 +1,86 @@
+/* =========================
+CSV
+RFC 4180 parsing for data files loaded by the visualizations
+(quoted fields, "" escapes, CRLF or LF line endings), and writing for their exports
+=========================== */
+
+/**
+ * Parse CSV text into rows of string fields
+ */
+const parseCSVRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Skip blank lines
+  return rows.filter((fields) => fields.length > 1 || fields[0].trim() !== '');
+};
+
+/**
+ * Parse CSV text with a header row into objects keyed by the (trimmed) column names
+ *
+ * @param {string} text - CSV file contents
+ * @returns {Object[]} One object per data row
+ */
+const parseCSV = (text) => {
+  const [header = [], ...rows] = parseCSVRows(text.replace(/^\uFEFF/, ''));
+  const columns = header.map((column) => column.trim());
+
+  return rows.map((fields) =>
+    Object.fromEntries(columns.map((column, i) => [column, (fields[i] ?? '').trim()]))
+  );
+};
+
+/**
+ * Write rows of values as CSV text, quoting fields with commas, quotes or line breaks
+ *
+ * @param {Array<Array<string|number>>} rows - Header row first
+ * @returns {string}
+ */
+const toCSV = (rows) =>
+  rows
+    .map((fields) =>
+      fields
+        .map((value) => {
+          const field = String(value ?? '');
+          return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+        })
+        .join(',')
+    )
+    .join('\r\n') + '\r\n';
+
+export { parseCSV, parseCSVRows, toCSV };
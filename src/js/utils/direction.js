@@ -0,0 +1,24 @@
+/* =========================
+TEXT DIRECTION
+Helpers for components whose behavior depends on the document direction
+(<html dir> is set by I18n and by the pre-render for RTL locales such as ar and he)
+=========================== */
+
+const isRTL = () => document.documentElement.getAttribute('dir') === 'rtl';
+
+/**
+ * Mirror a horizontal direction keyword on RTL pages ('left' <-> 'right')
+ */
+const mirrorDirection = (direction) => {
+  if (!isRTL()) return direction;
+  if (direction === 'left') return 'right';
+  if (direction === 'right') return 'left';
+  return direction;
+};
+
+/**
+ * Mirror a horizontal offset on RTL pages
+ */
+const mirrorX = (value) => (isRTL() ? -value : value);
+
+export { isRTL, mirrorDirection, mirrorX };
@@ -0,0 +1,18 @@
+/* =========================
+DOM READY
+Page modules are imported on demand (see src/js/page-modules.js) and usually
+evaluate after DOMContentLoaded has already fired
+=========================== */
+
+/**
+ * Run a callback once the DOM is parsed, immediately if it already is
+ */
+const onDomReady = (callback) => {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', callback, { once: true });
+  } else {
+    callback();
+  }
+};
+
+export { onDomReady };
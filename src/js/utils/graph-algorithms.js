@@ -0,0 +1,289 @@
+/* =========================
+GRAPH ALGORITHMS
+Structure analysis on undirected graphs given as adjacency lists (node index -> neighbor indices)
+- Connected components
+- Louvain community detection (modularity optimization with graph aggregation)
+- Shortest (fewest hops) path
+- Degree and betweenness centrality (Brandes, optionally sampled)
+=========================== */
+
+import { shuffle } from './random.js';
+
+const GRAPH_ALGORITHMS_CONFIG = {
+  LOUVAIN_MAX_LEVELS: 10,
+  LOUVAIN_MAX_PASSES: 20, // Local moving passes per level
+  MIN_GAIN: 1e-10, // Modularity gain below which a node stays in its community
+};
+
+/**
+ * Adjacency lists from edges with source / target node indices
+ * Duplicate and self edges are dropped
+ *
+ * @param {number} count - Number of nodes
+ * @param {{ source: number, target: number }[]} edges
+ * @returns {number[][]}
+ */
+const buildAdjacency = (count, edges) => {
+  const neighbors = Array.from({ length: count }, () => new Set());
+  for (const { source, target } of edges) {
+    if (source === target) continue;
+    neighbors[source].add(target);
+    neighbors[target].add(source);
+  }
+  return neighbors.map((set) => [...set]);
+};
+
+/**
+ * Connected components, largest first
+ *
+ * @returns {number[][]} Node indices per component
+ */
+const connectedComponents = (adjacency) => {
+  const seen = new Uint8Array(adjacency.length);
+  const components = [];
+
+  for (let start = 0; start < adjacency.length; start++) {
+    if (seen[start]) continue;
+    seen[start] = 1;
+    const component = [start];
+    for (let i = 0; i < component.length; i++) {
+      for (const neighbor of adjacency[component[i]]) {
+        if (seen[neighbor]) continue;
+        seen[neighbor] = 1;
+        component.push(neighbor);
+      }
+    }
+    components.push(component);
+  }
+
+  return components.sort((a, b) => b.length - a.length);
+};
+
+/**
+ * Modularity of a partition, Q in [-0.5, 1]
+ *
+ * @param {number[][]} adjacency
+ * @param {ArrayLike<number>} membership - Community per node
+ */
+const modularity = (adjacency, membership) => {
+  const twiceEdges = adjacency.reduce((sum, neighbors) => sum + neighbors.length, 0);
+  if (twiceEdges === 0) return 0;
+
+  const inside = new Map();
+  const total = new Map();
+  adjacency.forEach((neighbors, i) => {
+    const community = membership[i];
+    total.set(community, (total.get(community) || 0) + neighbors.length);
+    const internal = neighbors.filter((j) => membership[j] === community).length;
+    inside.set(community, (inside.get(community) || 0) + internal);
+  });
+
+  let q = 0;
+  total.forEach((degree, community) => {
+    q += inside.get(community) / twiceEdges - (degree / twiceEdges) ** 2;
+  });
+  return q;
+};
+
+// One Louvain level: move nodes between neighboring communities while modularity improves
+// graph: weighted adjacency (Map neighbor -> weight, self loops hold twice the internal weight)
+const moveNodes = (graph, random) => {
+  const count = graph.length;
+  const degree = graph.map((row) => [...row.values()].reduce((sum, weight) => sum + weight, 0));
+  const twiceEdges = degree.reduce((sum, d) => sum + d, 0);
+  const community = Array.from({ length: count }, (_, i) => i);
+  const total = [...degree];
+  const order = shuffle(
+    Array.from({ length: count }, (_, i) => i),
+    random
+  );
+
+  let moved = false;
+  for (let pass = 0; pass < GRAPH_ALGORITHMS_CONFIG.LOUVAIN_MAX_PASSES; pass++) {
+    let changes = 0;
+
+    for (const i of order) {
+      // Edge weight from i to each neighboring community
+      const links = new Map();
+      graph[i].forEach((weight, j) => {
+        if (j !== i) links.set(community[j], (links.get(community[j]) || 0) + weight);
+      });
+
+      const current = community[i];
+      total[current] -= degree[i];
+
+      let best = current;
+      let bestGain = (links.get(current) || 0) - (total[current] * degree[i]) / twiceEdges;
+      links.forEach((weight, candidate) => {
+        const gain = weight - (total[candidate] * degree[i]) / twiceEdges;
+        if (gain > bestGain + GRAPH_ALGORITHMS_CONFIG.MIN_GAIN) {
+          best = candidate;
+          bestGain = gain;
+        }
+      });
+
+      total[best] += degree[i];
+      if (best !== current) {
+        community[i] = best;
+        changes++;
+      }
+    }
+
+    if (changes === 0) break;
+    moved = true;
+  }
+
+  return { community, moved };
+};
+
+/**
+ * Louvain community detection
+ *
+ * @param {number[][]} adjacency
+ * @param {Object} [options] - { random } node visiting order, seeded for reproducible runs
+ * @returns {{ communities: number[][], membership: Int32Array, modularity: number }}
+ *   Communities largest first, membership indexes into them
+ */
+const detectCommunities = (adjacency, { random = Math.random } = {}) => {
+  let graph = adjacency.map((neighbors) => new Map(neighbors.map((j) => [j, 1])));
+  let membership = adjacency.map((_, i) => i);
+
+  for (let level = 0; level < GRAPH_ALGORITHMS_CONFIG.LOUVAIN_MAX_LEVELS; level++) {
+    const { community, moved } = moveNodes(graph, random);
+    if (!moved) break;
+
+    // Renumber communities and collapse each into one node of the next level
+    const renumber = new Map();
+    community.forEach((c) => renumber.has(c) || renumber.set(c, renumber.size));
+    const next = Array.from({ length: renumber.size }, () => new Map());
+    graph.forEach((row, i) => {
+      const from = renumber.get(community[i]);
+      row.forEach((weight, j) => {
+        const to = renumber.get(community[j]);
+        next[from].set(to, (next[from].get(to) || 0) + weight);
+      });
+    });
+
+    membership = membership.map((c) => renumber.get(community[c]));
+    graph = next;
+  }
+
+  const groups = new Map();
+  membership.forEach((c, i) => {
+    if (!groups.has(c)) groups.set(c, []);
+    groups.get(c).push(i);
+  });
+  const communities = [...groups.values()].sort((a, b) => b.length - a.length);
+  const ordered = new Int32Array(adjacency.length);
+  communities.forEach((members, c) => members.forEach((i) => (ordered[i] = c)));
+
+  return { communities, membership: ordered, modularity: modularity(adjacency, ordered) };
+};
+
+/**
+ * Fewest-hops path between two nodes (breadth-first search)
+ *
+ * @returns {number[]|null} Node indices from start to end, null when they aren't connected
+ */
+const shortestPath = (adjacency, start, end) => {
+  if (start === end) return [start];
+
+  const previous = new Int32Array(adjacency.length).fill(-1);
+  previous[start] = start;
+  const queue = [start];
+
+  for (let head = 0; head < queue.length; head++) {
+    const node = queue[head];
+    for (const neighbor of adjacency[node]) {
+      if (previous[neighbor] !== -1) continue;
+      previous[neighbor] = node;
+      if (neighbor === end) {
+        const path = [end];
+        while (path[0] !== start) path.unshift(previous[path[0]]);
+        return path;
+      }
+      queue.push(neighbor);
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Degree centrality, neighbors / (n - 1)
+ */
+const degreeCentrality = (adjacency) => {
+  const scale = 1 / Math.max(1, adjacency.length - 1);
+  return Float64Array.from(adjacency, (neighbors) => neighbors.length * scale);
+};
+
+/**
+ * Betweenness centrality (Brandes), normalized to [0, 1]
+ * With sources set, only that many random start nodes are used and the result is extrapolated
+ *
+ * @param {number[][]} adjacency
+ * @param {Object} [options] - { sources: sample size, random }
+ * @returns {Float64Array}
+ */
+const betweennessCentrality = (adjacency, { sources = Infinity, random = Math.random } = {}) => {
+  const count = adjacency.length;
+  const centrality = new Float64Array(count);
+  if (count < 3) return centrality;
+
+  const all = Array.from({ length: count }, (_, i) => i);
+  const starts = sources < count ? shuffle(all, random).slice(0, sources) : all;
+
+  const sigma = new Float64Array(count);
+  const distance = new Int32Array(count);
+  const delta = new Float64Array(count);
+  const order = [];
+
+  for (const start of starts) {
+    sigma.fill(0);
+    distance.fill(-1);
+    delta.fill(0);
+    order.length = 0;
+    sigma[start] = 1;
+    distance[start] = 0;
+
+    // Shortest path counts, nodes in order of distance
+    const queue = [start];
+    for (let head = 0; head < queue.length; head++) {
+      const node = queue[head];
+      order.push(node);
+      for (const neighbor of adjacency[node]) {
+        if (distance[neighbor] === -1) {
+          distance[neighbor] = distance[node] + 1;
+          queue.push(neighbor);
+        }
+        if (distance[neighbor] === distance[node] + 1) sigma[neighbor] += sigma[node];
+      }
+    }
+
+    // Dependencies accumulated back from the farthest nodes
+    for (let i = order.length - 1; i > 0; i--) {
+      const node = order[i];
+      for (const neighbor of adjacency[node]) {
+        if (distance[neighbor] === distance[node] - 1) {
+          delta[neighbor] += (sigma[neighbor] / sigma[node]) * (1 + delta[node]);
+        }
+      }
+      centrality[node] += delta[node];
+    }
+  }
+
+  // Every pair is counted from both ends, normalize by the (n - 1)(n - 2) / 2 pairs
+  const scale = count / starts.length / ((count - 1) * (count - 2));
+  return centrality.map((value) => value * scale);
+};
+
+export {
+  GRAPH_ALGORITHMS_CONFIG,
+  betweennessCentrality,
+  buildAdjacency,
+  connectedComponents,
+  degreeCentrality,
+  detectCommunities,
+  modularity,
+  shortestPath,
+};
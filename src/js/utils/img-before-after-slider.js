@@ -1,4 +1,7 @@
-document.addEventListener('DOMContentLoaded', function () {
+import { isRTL } from './direction.js';
+import { onDomReady } from './dom-ready.js';
+
+onDomReady(function () {
   const slider = document.querySelector('.slider');
   const handle = document.querySelector('.slider-handle');
   const afterImage = document.querySelector('.after');
@@ -21,10 +24,13 @@ document.addEventListener('DOMContentLoaded', function () {
   }
 
   // Update the clip path for the after image
+  // (the after image sits at the start edge: left in LTR, right in RTL)
   function updateClipPath(position) {
     const sliderRect = slider.getBoundingClientRect();
     const percentage = (position / sliderRect.width) * 100;
-    afterImage.style.clipPath = `inset(0 ${100 - percentage}% 0 0)`;
+    afterImage.style.clipPath = isRTL()
+      ? `inset(0 0 0 ${percentage}%)`
+      : `inset(0 ${100 - percentage}% 0 0)`;
   }
 
   // Handle mouse down
@@ -143,6 +149,11 @@ document.addEventListener('DOMContentLoaded', function () {
     initSlider();
   });
 
+  // Re-clip when the text direction changes with the language
+  document.addEventListener('languageChanged', () => {
+    updateClipPath(parseInt(handle.style.left) || slider.offsetWidth / 2);
+  });
+
   // Initialize slider
   initSlider();
 
@@ -161,11 +172,12 @@ document.addEventListener('DOMContentLoaded', function () {
       case 'ArrowRight':
         newPosition = Math.min(sliderRect.width, currentPosition + step);
         break;
+      // Home/End jump to the start/end edge, which swap sides on RTL pages
       case 'Home':
-        newPosition = 0;
+        newPosition = isRTL() ? sliderRect.width : 0;
         break;
       case 'End':
-        newPosition = sliderRect.width;
+        newPosition = isRTL() ? 0 : sliderRect.width;
         break;
       default:
         return;
@@ -0,0 +1,144 @@
+/* =========================
+LANGUAGE DETECTORS
+Pluggable detector chain used by I18n.detectLanguage()
+Detectors marked thirdParty only run once consent has been recorded
+=========================== */
+
+// Configuration
+const DETECTOR_CONFIG = {
+  DEFAULT_TIMEOUT: 1500, // ms before a detector is aborted
+  CONSENT_STORAGE_KEY: 'thirdPartyConsent',
+  PREFERENCE_STORAGE_KEY: 'preferredLanguage',
+};
+
+// -------------------- CONSENT --------------------
+const hasThirdPartyConsent = () =>
+  localStorage.getItem(DETECTOR_CONFIG.CONSENT_STORAGE_KEY) === 'granted';
+
+const setThirdPartyConsent = (granted) => {
+  localStorage.setItem(DETECTOR_CONFIG.CONSENT_STORAGE_KEY, granted ? 'granted' : 'denied');
+};
+
+const readCookie = (name) => {
+  const match = document.cookie.split('; ').find((c) => c.startsWith(`${name}=`));
+  return match ? decodeURIComponent(match.split('=')[1]) : null;
+};
+
+/**
+ * Run a detector with a real AbortController timeout
+ * Resolves to the detected language or null (errors and timeouts never block init)
+ */
+const runDetector = async (detector, context) => {
+  const controller = new AbortController();
+  let timer;
+
+  const timedOut = new Promise((resolve) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      resolve(null);
+    }, detector.timeout ?? DETECTOR_CONFIG.DEFAULT_TIMEOUT);
+  });
+
+  try {
+    return await Promise.race([
+      detector.detect({ ...context, signal: controller.signal }),
+      timedOut,
+    ]);
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      console.warn(`Language detector "${detector.name}" failed:`, error);
+    }
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// -------------------- BUILT-IN DETECTORS --------------------
+
+// ?lang=es in the URL
+const queryParamDetector = ({ param = 'lang' } = {}) => ({
+  name: 'queryParam',
+  detect: ({ i18n }) => {
+    const value = new URLSearchParams(window.location.search).get(param);
+    return value ? i18n.negotiateLanguage([value]) : null;
+  },
+});
+
+// Language the visitor picked in the switcher
+const storageDetector = ({ key = DETECTOR_CONFIG.PREFERENCE_STORAGE_KEY } = {}) => ({
+  name: 'storage',
+  detect: () => localStorage.getItem(key),
+});
+
+// Accept-Language negotiation across every entry of navigator.languages
+const acceptLanguageDetector = () => ({
+  name: 'acceptLanguage',
+  detect: ({ i18n }) => {
+    const preferences = navigator.languages?.length ? navigator.languages : [navigator.language];
+    return i18n.negotiateLanguage(preferences.filter(Boolean));
+  },
+});
+
+/**
+ * Country provided by our own edge (e.g. Vercel middleware), never a third party:
+ * a cookie set by the edge, or a response header of a same-origin endpoint
+ */
+const edgeCountryDetector = ({
+  cookieName = 'country',
+  endpoint = null,
+  headerName = 'x-country',
+} = {}) => ({
+  name: 'edgeCountry',
+  detect: async ({ i18n, signal }) => {
+    let country = readCookie(cookieName);
+
+    if (!country && endpoint) {
+      const url = new URL(endpoint, window.location.href);
+      if (url.origin !== window.location.origin) {
+        console.warn(`Edge country endpoint must be same-origin: ${url.href}`);
+        return null;
+      }
+
+      const response = await fetch(url, { method: 'HEAD', credentials: 'same-origin', signal });
+      country = response.headers.get(headerName);
+    }
+
+    return country ? i18n.getLanguageFromCountry(country.toUpperCase()) : null;
+  },
+});
+
+// IP geolocation through a third-party service (opt-in, consent required)
+const geoIpDetector = ({ url = 'https://ipapi.co/json/', field = 'country_code' } = {}) => ({
+  name: 'geoIp',
+  thirdParty: true,
+  timeout: 3000,
+  detect: async ({ i18n, signal }) => {
+    const response = await fetch(url, { signal });
+    if (!response.ok) throw new Error('Geolocation API failed');
+
+    const data = await response.json();
+    return data[field] ? i18n.getLanguageFromCountry(data[field]) : null;
+  },
+});
+
+// Default chain: nothing here sends visitor data to a third party
+const defaultDetectors = () => [
+  queryParamDetector(),
+  storageDetector(),
+  acceptLanguageDetector(),
+  edgeCountryDetector(),
+];
+
+export {
+  DETECTOR_CONFIG,
+  acceptLanguageDetector,
+  defaultDetectors,
+  edgeCountryDetector,
+  geoIpDetector,
+  hasThirdPartyConsent,
+  queryParamDetector,
+  runDetector,
+  setThirdPartyConsent,
+  storageDetector,
+};
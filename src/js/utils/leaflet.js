@@ -1,3 +1,5 @@
+import { onDomReady } from './dom-ready.js';
+
 const leaflet = {
   init() {
     // Check if map container exists
@@ -26,6 +28,6 @@ const leaflet = {
 };
 
 // Initialize when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
+onDomReady(() => {
   leaflet.init();
 });
@@ -0,0 +1,68 @@
+/* =========================
+LOCALES
+BCP-47 helpers shared by I18n and the build scripts
+Regional locales (pt-PT, es-ES) inherit every key from their base language
+=========================== */
+
+/**
+ * Base language of a locale tag ('pt-PT' -> 'pt')
+ */
+const getBaseLanguage = (locale) => locale.split('-')[0].toLowerCase();
+
+const isRegionalLocale = (locale) => getBaseLanguage(locale) !== locale;
+
+// Scripts written right-to-left (Arabic, Hebrew, Persian, Urdu, ...)
+const RTL_LANGUAGES = ['ar', 'he', 'fa', 'ur', 'ps', 'sd', 'ckb', 'yi', 'dv'];
+
+/**
+ * Text direction of a locale ('ar-EG' -> 'rtl', 'pt-PT' -> 'ltr')
+ */
+const getTextDirection = (locale) =>
+  RTL_LANGUAGES.includes(getBaseLanguage(locale)) ? 'rtl' : 'ltr';
+
+/**
+ * Deep-merge regional overrides onto the base language translations
+ */
+const mergeTranslations = (base, overrides) => {
+  const merged = { ...base };
+
+  for (const [key, value] of Object.entries(overrides)) {
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+    merged[key] = isObject && base[key] ? mergeTranslations(base[key], value) : value;
+  }
+
+  return merged;
+};
+
+/**
+ * Best supported locale for an ordered preference list (RFC 4647 lookup)
+ * Each preference is tried as-is, then truncated ('es-419' -> 'es'), before moving on to the next
+ *
+ * @param {string[]} preferences - e.g. navigator.languages: ['pt-PT', 'pt', 'en-US']
+ * @param {string[]} supported - Supported locale tags, e.g. ['en', 'pt', 'pt-PT']
+ * @returns {string|null} Supported tag in its canonical casing
+ */
+const lookupLocale = (preferences, supported) => {
+  const canonical = new Map(supported.map((locale) => [locale.toLowerCase(), locale]));
+
+  for (const preference of preferences) {
+    const subtags = preference.replace(/_/g, '-').toLowerCase().split('-');
+
+    while (subtags.length > 0) {
+      const match = canonical.get(subtags.join('-'));
+      if (match) return match;
+      subtags.pop();
+    }
+  }
+
+  return null;
+};
+
+export {
+  RTL_LANGUAGES,
+  getBaseLanguage,
+  getTextDirection,
+  isRegionalLocale,
+  lookupLocale,
+  mergeTranslations,
+};
@@ -0,0 +1,381 @@
+/* =========================
+ICU MESSAGE FORMAT
+Lightweight parser/formatter for translation strings
+Supports {name}, number/date/time arguments, plural, selectordinal and select
+=========================== */
+
+// Parsed messages and Intl formatters are cached, translations are re-rendered often
+const messageCache = new Map();
+const formatterCache = new Map();
+
+const DATE_STYLES = ['short', 'medium', 'long', 'full'];
+
+/**
+ * Get a cached Intl formatter for a locale and option set
+ */
+const getFormatter = (Constructor, locale, options = {}) => {
+  const cacheKey = `${Constructor.name}|${locale}|${JSON.stringify(options)}`;
+  if (!formatterCache.has(cacheKey)) {
+    formatterCache.set(cacheKey, new Constructor(locale, options));
+  }
+  return formatterCache.get(cacheKey);
+};
+
+/**
+ * Convert a Date, timestamp or ISO string to a Date
+ * Date-only strings ('2024-03-05') are local dates, Date would read them as UTC midnight
+ */
+const toDate = (value) => {
+  if (value instanceof Date) return value;
+
+  const dateOnly = typeof value === 'string' && /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (dateOnly) {
+    const [, year, month, day] = dateOnly.map(Number);
+    return new Date(year, month - 1, day);
+  }
+  return new Date(value);
+};
+
+/**
+ * Resolve Intl.NumberFormat options from an ICU number style
+ * ('integer', 'percent', 'currency', 'currency/EUR' or the '::currency/EUR' skeleton)
+ */
+const getNumberOptions = (style, params) => {
+  if (!style) return {};
+
+  const normalized = style.replace(/^::/, '');
+  const [name, argument] = normalized.split('/');
+
+  switch (name) {
+    case 'integer':
+      return { maximumFractionDigits: 0 };
+    case 'percent':
+      return { style: 'percent' };
+    case 'compact':
+      return { notation: 'compact' };
+    case 'currency': {
+      const currency = argument || params.currency;
+      return currency ? { style: 'currency', currency } : {};
+    }
+    default:
+      return {};
+  }
+};
+
+// -------------------- PARSER --------------------
+class MessageParser {
+  constructor(message) {
+    this.message = message;
+    this.pos = 0;
+  }
+
+  parse() {
+    const parts = this.parseMessage(0, false);
+    if (this.pos < this.message.length) {
+      throw new SyntaxError(`Unexpected "}" at position ${this.pos}`);
+    }
+    return parts;
+  }
+
+  /**
+   * Parse literal text and arguments until the end of the (sub)message
+   */
+  parseMessage(depth, inPlural) {
+    const parts = [];
+    let text = '';
+
+    const flushText = () => {
+      if (text) parts.push(text);
+      text = '';
+    };
+
+    while (this.pos < this.message.length) {
+      const char = this.message[this.pos];
+
+      if (char === "'") {
+        text += this.parseApostrophe(inPlural);
+      } else if (char === '{') {
+        flushText();
+        parts.push(this.parseArgument());
+      } else if (char === '}') {
+        if (depth === 0) break;
+        flushText();
+        return parts;
+      } else if (char === '#' && inPlural) {
+        flushText();
+        parts.push({ type: 'pound' });
+        this.pos++;
+      } else {
+        text += char;
+        this.pos++;
+      }
+    }
+
+    if (depth > 0) {
+      throw new SyntaxError('Unclosed "{" in message');
+    }
+
+    flushText();
+    return parts;
+  }
+
+  /**
+   * ICU apostrophe quoting: '' is a literal apostrophe and '{...}' is literal text,
+   * any other apostrophe (e.g. "we're") is kept as-is
+   */
+  parseApostrophe(inPlural) {
+    const next = this.message[this.pos + 1];
+
+    if (next === "'") {
+      this.pos += 2;
+      return "'";
+    }
+
+    if (next !== '{' && next !== '}' && !(next === '#' && inPlural)) {
+      this.pos++;
+      return "'";
+    }
+
+    let quoted = '';
+    this.pos++;
+    while (this.pos < this.message.length) {
+      const char = this.message[this.pos];
+      if (char === "'") {
+        if (this.message[this.pos + 1] === "'") {
+          quoted += "'";
+          this.pos += 2;
+          continue;
+        }
+        this.pos++;
+        return quoted;
+      }
+      quoted += char;
+      this.pos++;
+    }
+    return quoted;
+  }
+
+  /**
+   * Parse a {name}, {name, type} or {name, type, style} argument
+   */
+  parseArgument() {
+    this.pos++; // Skip "{"
+    this.skipWhitespace();
+    const name = this.readWord();
+    if (!name) {
+      throw new SyntaxError(`Missing argument name at position ${this.pos}`);
+    }
+    this.skipWhitespace();
+
+    if (this.consume('}')) {
+      return { type: 'argument', name };
+    }
+
+    this.expect(',');
+    this.skipWhitespace();
+    const format = this.readWord();
+    this.skipWhitespace();
+
+    if (this.consume('}')) {
+      return { type: 'argument', name, format };
+    }
+
+    this.expect(',');
+
+    if (format === 'plural' || format === 'selectordinal') {
+      return {
+        type: 'plural',
+        name,
+        ordinal: format === 'selectordinal',
+        ...this.parseOptions(true),
+      };
+    }
+
+    if (format === 'select') {
+      return { type: 'select', name, ...this.parseOptions(false) };
+    }
+
+    const styleStart = this.pos;
+    while (this.pos < this.message.length && this.message[this.pos] !== '}') {
+      this.pos++;
+    }
+    const style = this.message.slice(styleStart, this.pos).trim();
+    this.expect('}');
+
+    return { type: 'argument', name, format, style };
+  }
+
+  /**
+   * Parse the selector {submessage} pairs of a plural or select argument
+   */
+  parseOptions(isPlural) {
+    const options = {};
+    let offset = 0;
+
+    this.skipWhitespace();
+    if (isPlural && this.message.startsWith('offset:', this.pos)) {
+      this.pos += 'offset:'.length;
+      this.skipWhitespace();
+      offset = Number(this.readWord());
+    }
+
+    while (true) {
+      this.skipWhitespace();
+      if (this.consume('}')) break;
+
+      const selector = this.readWord();
+      if (!selector) {
+        throw new SyntaxError(`Missing selector at position ${this.pos}`);
+      }
+      this.skipWhitespace();
+      this.expect('{');
+      options[selector] = this.parseMessage(1, isPlural);
+      this.expect('}');
+    }
+
+    if (!options.other) {
+      throw new SyntaxError('Plural and select arguments require an "other" option');
+    }
+
+    return { options, offset };
+  }
+
+  readWord() {
+    const start = this.pos;
+    while (this.pos < this.message.length && !/[\s,{}]/.test(this.message[this.pos])) {
+      this.pos++;
+    }
+    return this.message.slice(start, this.pos);
+  }
+
+  skipWhitespace() {
+    while (this.pos < this.message.length && /\s/.test(this.message[this.pos])) {
+      this.pos++;
+    }
+  }
+
+  consume(char) {
+    if (this.message[this.pos] === char) {
+      this.pos++;
+      return true;
+    }
+    return false;
+  }
+
+  expect(char) {
+    if (!this.consume(char)) {
+      throw new SyntaxError(`Expected "${char}" at position ${this.pos}`);
+    }
+  }
+}
+
+/**
+ * Parse a message into its AST (cached)
+ */
+const parseMessage = (message) => {
+  if (!messageCache.has(message)) {
+    messageCache.set(message, new MessageParser(message).parse());
+  }
+  return messageCache.get(message);
+};
+
+// -------------------- FORMATTER --------------------
+
+/**
+ * Format a single number/date/time/plain argument
+ */
+const formatArgument = (part, value, params, locale) => {
+  if (value === undefined || value === null) {
+    return `{${part.name}}`;
+  }
+
+  switch (part.format) {
+    case 'number':
+      return getFormatter(Intl.NumberFormat, locale, getNumberOptions(part.style, params)).format(
+        value
+      );
+    case 'date':
+    case 'time': {
+      const style = DATE_STYLES.includes(part.style) ? part.style : 'medium';
+      const options = part.format === 'date' ? { dateStyle: style } : { timeStyle: style };
+      return getFormatter(Intl.DateTimeFormat, locale, options).format(toDate(value));
+    }
+    default:
+      if (typeof value === 'number') {
+        return getFormatter(Intl.NumberFormat, locale).format(value);
+      }
+      if (value instanceof Date) {
+        return getFormatter(Intl.DateTimeFormat, locale).format(value);
+      }
+      return String(value);
+  }
+};
+
+/**
+ * Pick the plural submessage: exact "=N" matches win over locale plural categories
+ */
+const selectPluralOption = (part, value, locale) => {
+  const exact = part.options[`=${value}`];
+  if (exact) return exact;
+
+  const rules = getFormatter(Intl.PluralRules, locale, {
+    type: part.ordinal ? 'ordinal' : 'cardinal',
+  });
+  return part.options[rules.select(value - part.offset)] || part.options.other;
+};
+
+const formatParts = (parts, params, locale, pluralValue) => {
+  let result = '';
+
+  for (const part of parts) {
+    if (typeof part === 'string') {
+      result += part;
+      continue;
+    }
+
+    switch (part.type) {
+      case 'pound':
+        result += getFormatter(Intl.NumberFormat, locale).format(pluralValue);
+        break;
+      case 'plural': {
+        const value = Number(params[part.name]);
+        if (Number.isNaN(value)) {
+          result += `{${part.name}}`;
+          break;
+        }
+        const option = selectPluralOption(part, value, locale);
+        result += formatParts(option, params, locale, value - part.offset);
+        break;
+      }
+      case 'select': {
+        const option = part.options[String(params[part.name])] || part.options.other;
+        result += formatParts(option, params, locale, pluralValue);
+        break;
+      }
+      default:
+        result += formatArgument(part, params[part.name], params, locale);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Format an ICU message with parameters for a locale
+ * Malformed messages are returned unformatted so the page never breaks
+ *
+ * @param {string} message - ICU message, e.g. "{count, plural, one {# node} other {# nodes}}"
+ * @param {Object} params - Argument values keyed by name
+ * @param {string} locale - BCP-47 locale used for plural rules and Intl formatting
+ * @returns {string}
+ */
+const formatMessage = (message, params = {}, locale = 'en') => {
+  try {
+    return formatParts(parseMessage(message), params, locale);
+  } catch (error) {
+    console.warn(`Invalid ICU message "${message}":`, error.message);
+    return message;
+  }
+};
+
+export { formatMessage, getFormatter, parseMessage };
@@ -0,0 +1,62 @@
+/* =========================
+SEEDED RANDOM
+Deterministic PRNG for reproducible visualizations (screenshots, visual regression)
+A seed comes from a data-seed attribute or a constructor option, without one Math.random is used
+=========================== */
+
+// 32-bit FNV-1a hash, turns any seed (number or string) into a PRNG state
+const hashSeed = (seed) => {
+  let hash = 0x811c9dc5;
+  for (const char of String(seed)) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+const hasSeed = (seed) => seed !== null && seed !== undefined && seed !== '';
+
+/**
+ * Random number generator returning floats in [0, 1)
+ * mulberry32 when seeded (same seed, same sequence), Math.random otherwise
+ *
+ * @param {number|string|null} seed
+ * @returns {() => number}
+ */
+const createRandom = (seed = null) => {
+  if (!hasSeed(seed)) return Math.random;
+
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Random seed for a run without one, so it can still be reproduced later (e.g. a shared link)
+ */
+const createSeed = () => Math.floor(Math.random() * 2 ** 32).toString(36);
+
+/**
+ * Fisher–Yates shuffle in place (sort(() => random() - 0.5) is biased and engine dependent)
+ */
+const shuffle = (array, random = Math.random) => {
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+};
+
+/**
+ * Seed for a component: the constructor option wins over the element's data-seed
+ */
+const readSeed = (element, seed) => {
+  if (hasSeed(seed)) return seed;
+  return hasSeed(element?.dataset.seed) ? element.dataset.seed : null;
+};
+
+export { createRandom, createSeed, hasSeed, readSeed, shuffle };
@@ -0,0 +1,101 @@
+/* =========================
+URL STATE
+Shareable state of interactive components in the URL hash, e.g.
+#dendrite.pressure=4&dendrite.roughness=1.5&graph.seed=k3x9&graph.cluster=1
+- Each component owns the parameters under its key, other entries are kept when it writes
+- Writing pushes a history entry, so back / forward step through the states
+- Hashes without parameters (plain in-page anchors) hold no state
+=========================== */
+
+// Hash parameters of the current URL, empty for plain anchors like #pricing
+const readHashParams = () => {
+  const hash = window.location.hash.slice(1);
+  return new URLSearchParams(hash.includes('=') ? hash : '');
+};
+
+/**
+ * State of one component from the URL hash
+ *
+ * @param {string} key - Component key, the prefix of its parameters
+ * @returns {Object|null} Values as strings, null when the hash holds none for the key
+ */
+const readUrlState = (key) => {
+  const prefix = `${key}.`;
+  const state = {};
+  let found = false;
+  readHashParams().forEach((value, name) => {
+    if (!name.startsWith(prefix)) return;
+    state[name.slice(prefix.length)] = value;
+    found = true;
+  });
+  return found ? state : null;
+};
+
+/**
+ * Store a component's state in the URL hash as a new history entry, replacing its previous
+ * parameters. Nothing happens when the hash already holds this state
+ *
+ * @param {string} key - Component key
+ * @param {Object} state - Values are stringified, null / undefined ones are left out
+ * @returns {boolean} Whether the URL changed
+ */
+const writeUrlState = (key, state) => {
+  const values = Object.entries(state)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([name, value]) => [name, String(value)]);
+  if (JSON.stringify(readUrlState(key) ?? {}) === JSON.stringify(Object.fromEntries(values))) {
+    return false;
+  }
+
+  const prefix = `${key}.`;
+  const params = readHashParams();
+  [...params.keys()]
+    .filter((name) => name.startsWith(prefix))
+    .forEach((name) => params.delete(name));
+  values.forEach(([name, value]) => params.set(prefix + name, value));
+
+  const hash = params.toString();
+  const { pathname, search } = window.location;
+  const url = `${pathname}${search}${hash ? `#${hash}` : ''}`;
+  window.history.pushState(null, '', url);
+  return true;
+};
+
+/**
+ * Call back with a component's state whenever the user moves through the history or opens
+ * another hash (both fire popstate), null when the entry holds no state for the key
+ *
+ * @returns {Function} Stops listening
+ */
+const onUrlStateChange = (key, callback) => {
+  const handlePopState = () => callback(readUrlState(key));
+  window.addEventListener('popstate', handlePopState);
+  return () => window.removeEventListener('popstate', handlePopState);
+};
+
+/**
+ * Copy the current URL to the clipboard
+ *
+ * @returns {Promise<boolean>} Whether it was copied
+ */
+const copyUrl = async () => {
+  const url = window.location.href;
+  try {
+    await navigator.clipboard.writeText(url);
+    return true;
+  } catch (error) {
+    // No Clipboard API (insecure context, older browser): copy from a selected text field
+    const field = document.createElement('textarea');
+    field.value = url;
+    field.setAttribute('readonly', '');
+    field.style.cssText = 'position: fixed; top: 0; opacity: 0;';
+    document.body.appendChild(field);
+    field.select();
+    const copied = document.execCommand('copy');
+    field.remove();
+    if (!copied) console.warn('Could not copy the link to the clipboard:', error);
+    return copied;
+  }
+};
+
+export { copyUrl, onUrlStateChange, readUrlState, writeUrlState };
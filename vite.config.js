@@ -4,6 +4,9 @@ import path from 'path';
 import { minify } from 'terser';
 import { defineConfig } from 'vite';
 import injectHTML from 'vite-plugin-html-inject';
+import { componentProps } from './component-props.js';
+import { i18nPrerender } from './i18n-prerender.js';
+import { pageWeightReport } from './page-weight-report.js';
 
 const getHtmlEntries = () => {
   const pagesDir = path.resolve(__dirname, '');
@@ -113,23 +116,36 @@ const vendorMinifier = () => {
 export default defineConfig({
   plugins: [
     tailwindcss(),
+    componentProps(),
     injectHTML({
       tagName: 'Component',
     }),
     jsToBottomNoModule(),
     cssCrossOriginRemove(),
     vendorMinifier(),
+    i18nPrerender(),
+    pageWeightReport(),
   ],
   build: {
     rollupOptions: {
       input: getHtmlEntries(),
       output: {
-        entryFileNames: 'assets/main.js',
-        assetFileNames: (assetInfo) => {
-          return `assets/${assetInfo.name || '[name].[ext]'}`;
+        // Everything in assets/ is content-hashed and served immutable (see vercel.json)
+        entryFileNames: 'assets/[name].[hash].js',
+        // Translation namespaces: assets/i18n/<lang>/<namespace>-[hash].js
+        chunkFileNames: (chunkInfo) => {
+          const translation = chunkInfo.facadeModuleId?.match(
+            /src\/translations\/([^/]+)\/([^/]+)\.json$/
+          );
+          return translation
+            ? `assets/i18n/${translation[1]}/${translation[2]}-[hash].js`
+            : 'assets/[name].[hash].js';
         },
+        assetFileNames: 'assets/[name].[hash][extname]',
       },
     },
+    // dist/.vite/manifest.json maps source entries to their hashed files (checked by post-build.js)
+    manifest: true,
     minify: false,
     modulePreload: false,
     cssMinify: false,